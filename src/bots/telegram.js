@@ -5,21 +5,32 @@ const { Telegraf } = require('telegraf');
 const { Batcher } = require('../services/batcher');
 const { processBatch } = require('../services/ai/pipeline');
 
-const {
-  applyLocationUpdate,
-  applySold,
-  addChecklistItem,
-  setReadinessStatus,
-  setNextLocation,
-  ensureCarForAction,
-} = require('../services/updaters/carUpdater');
+const { applyAction } = require('../services/actionApplier');
+const { ensureCarForAction } = require('../services/updaters/carUpdater');
 
 const {
-  createDropOffTask,
-  createGenericTask,
-} = require('../services/creators/taskCreator');
-const { createCustomerAppointment } = require('../services/creators/customerAppointmentCreator');
-const { createReconditionerAppointment } = require('../services/creators/reconAppointmentCreator');
+  startBatch,
+  finishBatch,
+  latestRevertableBatch,
+  revertBatch,
+  createdEntry,
+} = require('../services/batchLog');
+const { queueHeldActions } = require('../services/reviewQueue');
+const Task = require('../models/Task');
+const {
+  shortId,
+  findTaskByRef,
+  findTaskByNotification,
+  completeTask,
+} = require('../services/tasks');
+const RegoConfirmation = require('../models/RegoConfirmation');
+const {
+  candidateLabel,
+  questionText,
+  confirmMatch,
+  confirmNewCar,
+  dismiss,
+} = require('../services/regoConfirmations');
 
 const { analyzeImageVehicle } = require('../services/ai/llmClient');
 const timeline = require('../services/logging/timelineLogger');
@@ -77,6 +88,7 @@ async function safeReply(ctx, text, extra) {
   }
 }
 
+// Returns the sent message (from the admin chat when silenced), or null
 async function notifyChatOrAdmin(chatId, text, extra) {
   try {
     const silent =
@@ -84,27 +96,56 @@ async function notifyChatOrAdmin(chatId, text, extra) {
       (SILENT_ALL_GROUPS && isGroupChatId(chatId));
     if (silent) {
       if (ADMIN_CHAT_ID) {
-        await bot.telegram.sendMessage(
+        return await bot.telegram.sendMessage(
           ADMIN_CHAT_ID,
           `[#${chatId}] ${text}`,
           extra
         );
       }
-      return;
+      return null;
     }
-    await bot.telegram.sendMessage(chatId, text, extra);
+    return await bot.telegram.sendMessage(chatId, text, extra);
   } catch (e) {
     console.warn('[telegram] notifyChatOrAdmin failed:', e.message);
+    return null;
+  }
+}
+
+/* ----------------------------------------------------------------
+   Task notifications — reply "done" to one (or /done <id>) to complete it
+---------------------------------------------------------------- */
+const DONE_REPLY = /^(?:done|finished|completed|sorted|✅)(?!\w)/i;
+
+async function announceTask(chatId, taskId) {
+  try {
+    const task = await Task.findById(taskId);
+    if (!task) return;
+    const msg = await notifyChatOrAdmin(
+      chatId,
+      `📝 Task ${shortId(task)}: ${task.task}\n↩️ Reply "done" (or /done ${shortId(task)}) when finished`
+    );
+    if (!msg) return;
+    task.notification = { chatId: String(msg.chat.id), messageId: msg.message_id };
+    await task.save();
+  } catch (e) {
+    console.warn('[telegram] task notification failed:', e.message);
   }
 }
 
+async function replyCompleted(ctx, task, changed) {
+  const label = `${shortId(task)}: ${task.task}`;
+  return safeReply(ctx, changed ? `✅ Done — ${label}` : `ℹ️ Already done — ${label}`);
+}
+
 /* ----------------------------------------------------------------
    Rego debug stores
    - lastRegoLogByChat: log lines from ensureCarForAction
    - lastRegoMapByChat: { rawRego -> canonicalRego } per chat
+   - createdCarsByChat: cars auto-created from photos, logged in the next batch for /undo
 ---------------------------------------------------------------- */
 const lastRegoLogByChat = new Map(); // chatId -> [lines]
 const lastRegoMapByChat = new Map(); // chatId -> { RAW -> CANONICAL }
+const createdCarsByChat = new Map(); // chatId -> [car] created from photos since the last flush
 
 /* ----------------------------------------------------------------
    Batch window (1 minute)
@@ -115,7 +156,11 @@ const batcher = new Batcher({
     const tctx = timeline.newContext({ chatId });
 
     // Full pipeline (filter/refine/categorize/extract/audit/gate)
-    const { actions } = await processBatch(messages, tctx);
+    const { actions, held = [] } = await processBatch(messages, tctx);
+
+    // Appointment times like "tomorrow at 12" are read relative to when the batch started
+    const messageTs = messages[0]?.ts || Date.now();
+    for (const a of [...actions, ...held.map((h) => h.action)]) a._messageTs = messageTs;
 
     const out = [];
 
@@ -139,81 +184,30 @@ const batcher = new Batcher({
       lastRegoMapByChat.delete(chatId);
     }
 
+    // Reversible changeset for /undo (best-effort: never blocks applying actions)
+    let batchDoc = null;
+    try {
+      batchDoc = await startBatch({ chatId, messages });
+      tctx.batchId = String(batchDoc._id);
+    } catch (e) {
+      console.warn('[telegram] batch log start failed:', e.message);
+    }
+    const applied = [];
+
     // 4️⃣ Apply actions to DB
-    for (const a of actions) {
+    for (const [i, a] of actions.entries()) {
+      const record = {
+        type: a.type,
+        rego: a.rego || '',
+        sourceSpeaker: a._sourceSpeaker || '',
+        sourceText: a._sourceText || '',
+        changes: [],
+      };
       try {
-        let msg = '';
-        switch (a.type) {
-          case 'LOCATION_UPDATE': {
-            const r = await applyLocationUpdate(a, tctx);
-            msg = r.changed
-              ? `✅ ${r.car.rego} location: "${r.previousLocation || '-'}" → "${r.car.location}"`
-              : `ℹ️ ${r.car.rego} already at "${r.car.location}"`;
-            break;
-          }
-          case 'SOLD': {
-            const r = await applySold(a, tctx);
-            msg = r.changed
-              ? `✅ ${r.car.rego} marked Sold`
-              : `ℹ️ ${r.car.rego} already Sold`;
-            break;
-          }
-          case 'REPAIR': {
-            const r = await addChecklistItem(a, tctx);
-            msg = `🛠️ ${r.car.rego} checklist + ${r.item}`;
-            break;
-          }
-          case 'READY': {
-            const r = await setReadinessStatus(a, tctx);
-            msg = `✅ ${r.car.rego} readiness → ${r.readiness}`;
-            break;
-          }
-          case 'DROP_OFF': {
-            const r = await createDropOffTask(a, tctx);
-            msg = `📦 Task: ${r.task.task}`;
-            break;
-          }
-          case 'CUSTOMER_APPOINTMENT': {
-            const r = await createCustomerAppointment(a, tctx);
-            const label = r.car
-              ? r.car.rego ||
-                [r.car.make, r.car.model].filter(Boolean).join(' ')
-              : r.appointment?.carText || 'unidentified vehicle';
-            const when = r.appointment?.dateTime
-              ? ` @ ${r.appointment.dateTime}`
-              : '';
-            msg = `👤 Customer appt created for ${label}${when}`;
-            break;
-          }
-          case 'RECON_APPOINTMENT': {
-            const r = await createReconditionerAppointment(a, tctx);
-            const label = r.car
-              ? r.car.rego ||
-                `${r.car.make} ${r.car.model}`.trim()
-              : r.carText || 'unidentified vehicle';
-            const when = r.appointment?.dateTime
-              ? ` @ ${r.appointment.dateTime}`
-              : '';
-            const cat = r.appointment?.category?.name
-              ? ` • ${r.appointment.category.name}`
-              : '';
-            msg = `🔧 Recon appt created for ${label}${when} (${r.appointment.name}${cat})`;
-            break;
-          }
-          case 'NEXT_LOCATION': {
-            const r = await setNextLocation(a, tctx);
-            msg = `➡️ ${r.car.rego} next location updated`;
-            break;
-          }
-          case 'TASK': {
-            const r = await createGenericTask(a, tctx);
-            msg = `📝 Task: ${r.task.task}`;
-            break;
-          }
-          default:
-            msg = `⚠️ Skipped: ${a.type}`;
-        }
-        out.push(msg);
+        const r = await applyAction(a, tctx);
+        record.changes.push(...r.changes);
+        record.summary = r.msg;
+        out.push(`${i + 1}. ${r.msg}`);
       } catch (err) {
         if (typeof timeline.identFail === 'function') {
           timeline.identFail(tctx, {
@@ -223,7 +217,48 @@ const batcher = new Batcher({
             model: a.model,
           });
         }
-        out.push(`❌ ${a.type} ${a.rego || ''}: ${err.message}`);
+        out.push(`${i + 1}. ❌ ${a.type} ${a.rego || ''}: ${err.message}`);
+        record.error = err.message;
+      }
+      applied.push(record);
+    }
+
+    // Cars a photo created go in the batch too: with the first action on that car (reverted
+    // last, after its other changes), else as an action of their own
+    for (const car of createdCarsByChat.get(chatId) || []) {
+      const entry = createdEntry('Car', car, car.rego);
+      const first = applied.find((r) => !r.error && r.rego && String(r.rego).toUpperCase().replace(/[^A-Z0-9]/g, '') === car.rego);
+      if (first) {
+        first.changes.unshift(entry);
+        continue;
+      }
+      applied.push({ type: 'CAR_FROM_PHOTO', rego: car.rego, summary: `🚗 Created ${car.rego} from a photo`, changes: [entry] });
+      out.push(`${applied.length}. 🚗 Created ${car.rego} from a photo`);
+    }
+    createdCarsByChat.delete(chatId);
+
+    // 🕵️ Actions the audit didn't clear wait for a human in the review queue
+    const heldLines = [];
+    if (held.length) {
+      try {
+        await queueHeldActions({ chatId, batchId: batchDoc?._id || null, messages, held });
+        heldLines.push(`🕵️ ${held.length} action(s) held for review:`);
+        for (const h of held) {
+          heldLines.push(`   ${h.action.type} ${h.action.rego || ''} [${h.verdict}]${h.reason ? ` — ${h.reason}` : ''}`);
+        }
+      } catch (e) {
+        console.warn('[telegram] review queue save failed:', e.message);
+        heldLines.push(`⚠️ ${held.length} held action(s) could not be queued: ${e.message}`);
+      }
+    }
+
+    let undoable = false;
+    if (batchDoc) {
+      try {
+        await finishBatch(batchDoc, applied);
+        undoable = batchDoc.actions.some((x) => x.status === 'applied' && x.changes.length);
+      } catch (e) {
+        console.warn('[telegram] batch log save failed:', e.message);
       }
     }
 
@@ -244,10 +279,19 @@ const batcher = new Batcher({
     }
 
     lines.push(...(out.length ? out : ['No actionable updates.']));
+    lines.push(...heldLines);
+    if (undoable) lines.push('↩️ /undo reverts this batch, /undo <n> just one action');
 
     const body = lines.join('\n');
     await notifyChatOrAdmin(chatId, body);
 
+    // 📝 One message per new task, so it can be completed by replying to it
+    for (const r of applied) {
+      for (const c of r.changes) {
+        if (c?.model === 'Task' && c.op === 'create') await announceTask(chatId, c.docId);
+      }
+    }
+
     // 🔚 Print the full, structured pipeline log for this batch
     timeline.print(tctx);
   },
@@ -321,12 +365,145 @@ bot.on('message', async (ctx, next) => {
 bot.command('ping', (ctx) => safeReply(ctx, 'pong'));
 bot.command('id', (ctx) => safeReply(ctx, `chat.id: ${ctx.chat?.id}`));
 
+// /undo      → revert the latest batch in this chat
+// /undo <n>  → revert only action #n of that batch
+bot.command('undo', async (ctx) => {
+  const arg = String(ctx.message?.text || '').trim().split(/\s+/)[1];
+  const actionIndex = arg ? Number(arg) : null;
+  if (arg && !Number.isInteger(actionIndex)) {
+    return safeReply(ctx, 'Usage: /undo  or  /undo <action number>');
+  }
+
+  try {
+    const batch = await latestRevertableBatch(ctx.chat.id);
+    if (!batch) return safeReply(ctx, 'ℹ️ Nothing to undo.');
+
+    const { reverted } = await revertBatch(batch, {
+      actionIndex,
+      source: {
+        kind: 'telegram',
+        chatId: String(ctx.chat.id),
+        speaker: senderName(ctx),
+        message: ctx.message?.text || '',
+      },
+    });
+
+    const lines = [`↩️ Reverted ${reverted.length} action(s):`];
+    for (const r of reverted) {
+      lines.push(`${r.index}. ${r.type} ${r.rego}`.trim());
+      for (const c of r.conflicts) lines.push(`   ⚠️ ${c}`);
+    }
+    return safeReply(ctx, lines.join('\n'));
+  } catch (e) {
+    return safeReply(ctx, `❌ Undo failed: ${e.message}`);
+  }
+});
+
+// /done <task id>  → mark a task done (last 6 characters of the id are enough)
+bot.command('done', async (ctx) => {
+  const ref = String(ctx.message?.text || '').trim().split(/\s+/)[1];
+  if (!ref) return safeReply(ctx, 'Usage: /done <task id>  (or reply "done" to the task message)');
+  try {
+    const task = await findTaskByRef(ref);
+    const { changed } = await completeTask(task, { by: senderName(ctx) });
+    return replyCompleted(ctx, task, changed);
+  } catch (e) {
+    return safeReply(ctx, `❌ ${e.message}`);
+  }
+});
+
+/* ----------------------------------------------------------------
+   Rego confirmation (fuzzy "review" matches) — inline buttons
+   rc:<id>:<candidate index> | rc:<id>:new | rc:<id>:x
+---------------------------------------------------------------- */
+// raw (photo rego) -> canonical (car.rego), applied to the next batch flush
+function rememberRegoMapping(chatId, rawRego, carRego) {
+  const raw = String(rawRego || '')
+    .toUpperCase()
+    .replace(/\s+/g, '');
+  const canonical = String(carRego || '')
+    .toUpperCase()
+    .replace(/\s+/g, '');
+  if (raw && canonical && raw !== canonical) {
+    const existing = lastRegoMapByChat.get(chatId) || {};
+    existing[raw] = canonical;
+    lastRegoMapByChat.set(chatId, existing);
+  }
+}
+
+async function askRegoConfirmation(chatId, doc) {
+  const id = String(doc._id);
+  const keyboard = doc.candidates.map((c, i) => [
+    { text: `✅ ${candidateLabel(c)}`, callback_data: `rc:${id}:${i}` },
+  ]);
+  keyboard.push([
+    { text: `➕ New car ${doc.rego}`, callback_data: `rc:${id}:new` },
+    { text: '✖️ Ignore', callback_data: `rc:${id}:x` },
+  ]);
+  await notifyChatOrAdmin(chatId, questionText(doc), {
+    reply_markup: { inline_keyboard: keyboard },
+  });
+}
+
+bot.action(/^rc:([a-f0-9]{24}):(\d+|new|x)$/, async (ctx) => {
+  const [, id, choice] = ctx.match;
+  const by = senderName(ctx);
+
+  try {
+    const doc = await RegoConfirmation.findById(id);
+    if (!doc) return ctx.answerCbQuery('Not found');
+    if (doc.status !== 'pending') {
+      await ctx.answerCbQuery(`Already ${doc.status}`);
+      return ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    }
+
+    let result;
+    if (choice === 'x') {
+      await dismiss(doc, { by });
+      result = `✖️ ${doc.rego} ignored (by ${by})`;
+    } else if (choice === 'new') {
+      const r = await confirmNewCar(doc, { by });
+      result = r.created
+        ? `➕ Created new car ${r.car.rego} (by ${by})`
+        : `ℹ️ ${r.car.rego} already exists — using it (by ${by})`;
+    } else {
+      const candidate = doc.candidates[Number(choice)];
+      if (!candidate) return ctx.answerCbQuery('Unknown candidate');
+      const r = await confirmMatch(doc, { carId: candidate.car, by });
+      const chatKey = Number.isFinite(Number(doc.chatId)) ? Number(doc.chatId) : doc.chatId;
+      rememberRegoMapping(chatKey, doc.rego, r.car.rego);
+      result = `✅ ${doc.rego} → ${candidateLabel(candidate)} (by ${by})`;
+    }
+
+    await ctx.answerCbQuery('Saved');
+    await ctx.editMessageText(`${questionText(doc)}\n\n${result}`).catch(() => {});
+  } catch (e) {
+    console.warn('[telegram] rego confirmation failed:', e.message);
+    await ctx.answerCbQuery(`Failed: ${e.message}`.slice(0, 190)).catch(() => {});
+  }
+});
+
 /* ----------------------------------------------------------------
    TEXT handler
 ---------------------------------------------------------------- */
 bot.on('text', async (ctx) => {
   const text = ctx.message?.text?.trim();
   if (!text) return;
+
+  // "done" in reply to a task notification completes it instead of going to the batch
+  const repliedTo = ctx.message.reply_to_message;
+  if (repliedTo && DONE_REPLY.test(text)) {
+    try {
+      const task = await findTaskByNotification(ctx.chat.id, repliedTo.message_id);
+      if (task) {
+        const { changed } = await completeTask(task, { by: senderName(ctx) });
+        return replyCompleted(ctx, task, changed);
+      }
+    } catch (e) {
+      return safeReply(ctx, `❌ ${e.message}`);
+    }
+  }
+
   addToBatch(ctx, text, ctx.message.message_id);
   await safeReply(ctx, '📦 Added to 1-minute batch…');
 });
@@ -368,19 +545,15 @@ bot.on('photo', async (ctx) => {
           make: veh.make,
           model: veh.model,
           badge: veh.badge,
-          color: veh.color,
+          colour: veh.colour,
+          bodyType: veh.bodyType,
+          vin: veh.vin,
+          odometer: veh.odometer,
           year: veh.year,
           description: veh.description,
         },
         null,
-        { withLog: true }
-      );
-
-      const car = ensureInfo.car;
-      console.log(
-        `✅ Ensured car exists: ${car.rego} (${car.make || ''} ${
-          car.model || ''
-        })`
+        { withLog: true, chatId: ctx.chat.id }
       );
 
       // Store log lines for next batch summary
@@ -391,17 +564,21 @@ bot.on('photo', async (ctx) => {
         );
       }
 
-      // Store rego mapping: raw (veh.rego) -> canonical (car.rego)
-      const raw = String(veh.rego || '')
-        .toUpperCase()
-        .replace(/\s+/g, '');
-      const canonical = String(car.rego || '')
-        .toUpperCase()
-        .replace(/\s+/g, '');
-      if (raw && canonical && raw !== canonical) {
-        const existing = lastRegoMapByChat.get(ctx.chat.id) || {};
-        existing[raw] = canonical;
-        lastRegoMapByChat.set(ctx.chat.id, existing);
+      const car = ensureInfo.car;
+      if (car) {
+        console.log(
+          `✅ Ensured car exists: ${car.rego} (${car.make || ''} ${
+            car.model || ''
+          })`
+        );
+        rememberRegoMapping(ctx.chat.id, veh.rego, car.rego);
+        if (ensureInfo.created) {
+          const list = createdCarsByChat.get(ctx.chat.id) || [];
+          list.push({ _id: car._id, rego: car.rego });
+          createdCarsByChat.set(ctx.chat.id, list);
+        }
+      } else if (ensureInfo.confirmation) {
+        await askRegoConfirmation(ctx.chat.id, ensureInfo.confirmation);
       }
     }
 
@@ -450,4 +627,4 @@ bot.on('photo', async (ctx) => {
   }
 });
 
-module.exports = { bot };
+module.exports = { bot, notifyChatOrAdmin };
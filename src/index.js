@@ -20,10 +20,25 @@ const photoRoutes = require('./routes/photoRoutes');
 const reconIngestRoutes = require('./routes/reconIngest');
 const carImportRouter = require('./routes/carImport');
 const autogateSyncRoutes = require('./routes/autogateSync');
+const usersRouter = require('./routes/users');
+const batchesRouter = require('./routes/batches');
+const reviewQueueRouter = require('./routes/reviewQueue');
+const regoConfirmationsRouter = require('./routes/regoConfirmations');
+const vinRouter = require('./routes/vin');
+const reportsRouter = require('./routes/reports');
+const calendarRouter = require('./routes/calendar');
+const customersRouter = require('./routes/customers');
+const locationsRouter = require('./routes/locations');
+const eventsRouter = require('./routes/events');
+const webhooksRouter = require('./routes/webhooks');
 
 // Auth
 const authRoutes = require('./routes/auth');
 const requireAuth = require('./middleware/requireAuth');
+const { requireRole } = require('./middleware/requireRole');
+
+// Everyone except the read-only reconditioner role
+const STAFF = requireRole('admin', 'sales', 'yard');
 
 // Optional public controller from cars
 const carsModule = require('./routes/cars');
@@ -32,9 +47,16 @@ const resolveRegoController =
     ? carsModule.resolveRegoController
     : (_req, res) => res.status(500).json({ message: 'resolveRegoController missing' });
 
+// Background jobs (reminders, digests)
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+const { registerAppointmentJobs } = require('./services/appointmentReminders');
+const { registerAgedStockJobs } = require('./services/agedStockAlerts');
+const { registerWebhookJobs } = require('./services/webhooks');
+
 // Telegram
 let bot = null;
-try { ({ bot } = require('./bots/telegram')); }
+let notifyChatOrAdmin = null;
+try { ({ bot, notifyChatOrAdmin } = require('./bots/telegram')); }
 catch (e) { console.warn('[telegram] unavailable:', e.message); }
 
 const app = express();
@@ -116,15 +138,26 @@ if (bot) {
 app.post('/api/cars/resolve-rego', resolveRegoController);
 
 // Protected routes
-app.use('/api/cars', requireAuth, carsRouter);
-app.use('/api/customer-appointments', requireAuth, customerAppointmentsRouter);
+app.use('/api/cars', requireAuth, STAFF, carsRouter);
+app.use('/api/customer-appointments', requireAuth, STAFF, customerAppointmentsRouter);
+app.use('/api/customers', requireAuth, STAFF, customersRouter);
+app.use('/api/locations', requireAuth, STAFF, locationsRouter);
 app.use('/api/reconditioner-categories', requireAuth, reconditionerCategoriesRouter);
 app.use('/api/reconditioner-appointments', requireAuth, reconditionerAppointmentsRouter);
-app.use('/api/tasks', requireAuth, tasksRouter);
-app.use('/api/photos', requireAuth, photoRoutes);
-app.use('/api/recon', requireAuth, reconIngestRoutes);
-app.use('/api/cars', requireAuth, carImportRouter);
-app.use('/api/cars', requireAuth, autogateSyncRoutes);
+app.use('/api/tasks', requireAuth, STAFF, tasksRouter);
+app.use('/api/photos', requireAuth, STAFF, photoRoutes);
+app.use('/api/recon', requireAuth, STAFF, reconIngestRoutes);
+app.use('/api/cars', requireAuth, STAFF, carImportRouter);
+app.use('/api/cars', requireAuth, STAFF, autogateSyncRoutes);
+app.use('/api/users', requireAuth, requireRole('admin'), usersRouter);
+app.use('/api/webhooks', requireAuth, requireRole('admin'), webhooksRouter);
+app.use('/api/batches', requireAuth, STAFF, batchesRouter);
+app.use('/api/review-queue', requireAuth, STAFF, reviewQueueRouter);
+app.use('/api/rego-confirmations', requireAuth, STAFF, regoConfirmationsRouter);
+app.use('/api/vin', requireAuth, STAFF, vinRouter);
+app.use('/api/reports', requireAuth, STAFF, reportsRouter);
+app.use('/api/events', requireAuth, eventsRouter); // SSE; roles filtered in routes/events.js
+app.use('/api/calendar', calendarRouter); // feeds authenticate by ?token= (see routes/calendar.js)
 
 // Root + 404
 app.get('/', (_req, res) => res.json({ message: 'Welcome to CRAI Backend' }));
@@ -151,6 +184,16 @@ async function start() {
       console.log(`CORS Pages host allowed: ${BASE_PAGES_HOST} and all *.${BASE_PAGES_HOST}`);
     });
 
+    // before the bot: in polling mode bot.launch() only resolves when polling stops
+    const registered = [registerWebhookJobs()]; // webhook retries don't need Telegram
+    if (notifyChatOrAdmin) {
+      registered.push(
+        registerAppointmentJobs({ notify: notifyChatOrAdmin }),
+        registerAgedStockJobs({ notify: notifyChatOrAdmin })
+      );
+    }
+    if (registered.some(Boolean)) startScheduler();
+
     if (bot) {
       if (TG_WEBHOOK_DOMAIN) {
         const url = `https://${TG_WEBHOOK_DOMAIN}${TG_WEBHOOK_PATH}`;
@@ -174,6 +217,8 @@ async function start() {
     const shutdown = async (signal) => {
       console.log(`\nReceived ${signal}, shutting down...`);
       try {
+        stopScheduler();
+        eventsRouter.closeAllStreams();
         if (stopTelegram) await stopTelegram();
         if (mongoose.connection.readyState) await mongoose.disconnect();
         if (server) server.close(() => { console.log('HTTP server closed.'); process.exit(0); });
@@ -1,22 +1,53 @@
 // src/middleware/requireAuth.js
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
 const COOKIE_NAME = "sid";
+const ALLOW_LOGIN_DEV = String(process.env.ALLOW_LOGIN_DEV || "").toLowerCase() === "true";
+
+/** Pull the session token from the sid cookie or an Authorization: Bearer header */
+function tokenFromRequest(req) {
+  const fromCookie = req.cookies?.[COOKIE_NAME];
+  const auth = req.headers.authorization || "";
+  const fromHeader = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  return fromCookie || fromHeader;
+}
+
+/**
+ * Verify a token and resolve it to { id, username, role }.
+ * Returns null for invalid tokens and for deactivated/deleted users.
+ */
+async function resolveUser(token) {
+  if (!token) return null;
+  const payload = jwt.verify(token, process.env.JWT_SECRET || "changeme");
+
+  // dev tokens carry no user id; only honoured while dev login is enabled
+  if (payload.dev) {
+    return ALLOW_LOGIN_DEV ? { id: null, username: "dev", role: payload.role || "admin" } : null;
+  }
 
-module.exports = function requireAuth(req, res, next) {
+  if (!payload.sub) return null;
+  const user = await User.findById(payload.sub).lean();
+  if (!user || !user.active) return null;
+
+  return { id: String(user._id), username: user.username, name: user.name || "", role: user.role };
+}
+
+async function requireAuth(req, res, next) {
   // Allow CORS preflight without auth
   if (req.method === "OPTIONS") return res.sendStatus(204);
 
   try {
-    const fromCookie = req.cookies?.[COOKIE_NAME];
-    const auth = req.headers.authorization || "";
-    const fromHeader = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+    const user = await resolveUser(tokenFromRequest(req));
+    if (!user) return res.status(401).json({ message: "Unauthorized" });
 
-    const token = fromCookie || fromHeader;
-    if (!token) return res.status(401).json({ message: "Unauthorized" });
-
-    req.user = jwt.verify(token, process.env.JWT_SECRET || "changeme");
+    req.user = user;
     return next();
   } catch {
     return res.status(401).json({ message: "Unauthorized" });
   }
-};
+}
+
+module.exports = requireAuth;
+module.exports.tokenFromRequest = tokenFromRequest;
+module.exports.resolveUser = resolveUser;
@@ -0,0 +1,23 @@
+// src/middleware/requireRole.js
+// Role checks that run AFTER requireAuth (which sets req.user.role).
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/** Only let the listed roles through. */
+function requireRole(...roles) {
+  const allowed = new Set(roles.flat());
+  return (req, res, next) => {
+    const role = req.user?.role;
+    if (!role) return res.status(401).json({ message: "Unauthorized" });
+    if (!allowed.has(role)) return res.status(403).json({ message: "Forbidden" });
+    return next();
+  };
+}
+
+/** Reads are open to any logged-in user; writes only to the listed roles. */
+function requireRoleForWrites(...roles) {
+  const check = requireRole(...roles);
+  return (req, res, next) => (READ_METHODS.has(req.method) ? next() : check(req, res, next));
+}
+
+module.exports = { requireRole, requireRoleForWrites };
@@ -0,0 +1,59 @@
+// src/models/Batch.js
+const mongoose = require('mongoose');
+
+/**
+ * One reversible write made by an action.
+ * - op "update": `before`/`after` hold only the fields that changed
+ * - op "create": reverting deletes the created document (incl. cars auto-created from photos)
+ */
+const ChangeSchema = new mongoose.Schema(
+  {
+    model: {
+      type: String,
+      enum: ['Car', 'Task', 'CustomerAppointment', 'ReconditionerAppointment'],
+      required: true,
+    },
+    op: { type: String, enum: ['update', 'create'], required: true },
+    docId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    label: { type: String, default: '' },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    reverted: { type: Boolean, default: false }, // set as the undo goes, so a retried undo skips it
+  },
+  { _id: false }
+);
+
+const BatchActionSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true }, // 1-based, as shown in the chat summary
+    type: { type: String, default: '' },
+    rego: { type: String, default: '' },
+    summary: { type: String, default: '' },
+    sourceSpeaker: { type: String, default: '' },
+    sourceText: { type: String, default: '' },
+    status: { type: String, enum: ['applied', 'failed', 'reverted'], default: 'applied' },
+    error: { type: String, default: '' },
+    changes: { type: [ChangeSchema], default: [] },
+    revertedAt: { type: Date, default: null },
+    revertedBy: { type: String, default: '' },
+    conflicts: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const BatchSchema = new mongoose.Schema(
+  {
+    chatId: { type: String, default: '', index: true },
+    messages: {
+      type: [{ speaker: String, text: String, ts: Number, _id: false }],
+      default: [],
+    },
+    actions: { type: [BatchActionSchema], default: [] },
+    status: { type: String, enum: ['applied', 'partially-reverted', 'reverted'], default: 'applied' },
+  },
+  { timestamps: true }
+);
+
+BatchSchema.index({ chatId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Batch', BatchSchema);
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { isValidVin, vinProblem } = require('../services/vin');
+const { liveEventsPlugin } = require('../services/liveEvents');
+const { webhookEventsPlugin } = require('../services/webhooks');
 
 const HistorySchema = new mongoose.Schema(
   {
@@ -19,6 +23,46 @@ const PhotoSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const CHECKLIST_STATUSES = ['open', 'in-progress', 'done', 'wont-fix'];
+
+const ChecklistItemSchema = new mongoose.Schema(
+  {
+    text: { type: String, trim: true, required: true },
+    category: { type: String, trim: true, default: '' }, // recon category name, if known
+    status: { type: String, enum: CHECKLIST_STATUSES, default: 'open' },
+    assignee: { type: String, trim: true, default: '' },
+    source: { type: String, trim: true, default: '' }, // web | telegram | csv-import | vision | recon | migration
+    createdBy: { type: String, trim: true, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    completedBy: { type: String, trim: true, default: '' },
+    photoKeys: { type: [String], default: [] },
+  },
+  { _id: true }
+);
+
+const OdometerReadingSchema = new mongoose.Schema(
+  {
+    km: { type: Number, required: true, min: 0 },
+    readAt: { type: Date, default: Date.now },
+    source: { type: String, trim: true, default: '' }, // web | csv-import | vision | telegram
+  },
+  { _id: false }
+);
+
+const PriceChangeSchema = new mongoose.Schema(
+  {
+    price: { type: Number, default: null }, // null = taken off the price board
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+// Older documents / callers still hand over plain strings
+const toChecklistItems = (v) =>
+  Array.isArray(v) ? v.map((x) => (typeof x === 'string' ? { text: x } : x)) : v;
+
 const CarSchema = new mongoose.Schema(
   {
     rego: {
@@ -41,7 +85,27 @@ const CarSchema = new mongoose.Schema(
     year: { type: Number },
     description: { type: String, trim: true },
 
-    checklist: { type: [String], default: [] },
+    // vehicle identity (normalised by services/vehicleDetails.js)
+    vin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: '',
+      validate: {
+        validator: (v) => !v || isValidVin(v),
+        message: (p) => vinProblem(p.value) || 'Invalid VIN',
+      },
+    },
+    colour: { type: String, trim: true, default: '', alias: 'color' },
+    bodyType: { type: String, trim: true, default: '' },
+    transmission: { type: String, trim: true, default: '' },
+    drive: { type: String, trim: true, default: '' }, // 4WD | AWD | FWD | RWD | 2WD
+    fuel: { type: String, trim: true, default: '' },
+    engine: { type: String, trim: true, default: '' },
+    odometer: { type: Number, default: null, min: 0 }, // km, latest of odometerReadings
+    odometerReadings: { type: [OdometerReadingSchema], default: [] },
+
+    checklist: { type: [ChecklistItemSchema], default: [], set: toChecklistItems },
 
     // current/actual location + history
     location: { type: String, trim: true },
@@ -54,14 +118,73 @@ const CarSchema = new mongoose.Schema(
     photos: { type: [PhotoSchema], default: [] },
 
     readinessStatus: { type: String, trim: true },
-    stage: { type: String, trim: true }, // 'In Works', 'Online', 'Sold'
+    stage: { type: String, trim: true }, // see services/carStage.js (STAGES / TRANSITIONS)
+    stageChangedAt: { type: Date, default: null },
+    listedAt: { type: Date, default: null }, // first went Online / In Works/Online
+    soldAt: { type: Date, default: null },
     notes: { type: String, trim: true },
 
+    // money (services/carFinancials.js); recon spend is rolled up from appointments/tasks
+    purchasePrice: { type: Number, default: null, min: 0 },
+    purchaseDate: { type: Date, default: null },
+    purchaseSource: { type: String, trim: true, default: '' }, // auction, trade-in, private...
+    advertisedPrice: { type: Number, default: null, min: 0 },
+    priceHistory: { type: [PriceChangeSchema], default: [] },
+    salePrice: { type: Number, default: null, min: 0 },
+
     dateCreated: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+// Id for a legacy string item, from car + position + text: the same on every load (so the
+// item can be addressed by id) and kept by scripts/migrateChecklists.js
+const legacyItemId = (carId, index, text) =>
+  new mongoose.Types.ObjectId(
+    crypto.createHash('md5').update(`${carId}:${index}:${text}`).digest('hex').slice(0, 24)
+  );
+
+// Un-migrated string checklists (see scripts/migrateChecklists.js) load as open items
+CarSchema.pre('init', function (raw) {
+  if (!Array.isArray(raw?.checklist)) return;
+  raw.checklist = raw.checklist.map((x, i) =>
+    typeof x === 'string' ? { _id: legacyItemId(raw._id, i, x), text: x } : x
+  );
+});
+
+// Case-insensitive equality: queries run with this collation (GET /api/cars, make/model
+// matching) compare "toyota" = "Toyota" and can use the *_ci indexes below
+const CI_COLLATION = { locale: 'en', strength: 2 };
+
+// List filters / sorts (GET /api/cars). Old default-collation copies of these are dropped
+// by scripts/syncCarIndexes.js
+CarSchema.index({ stage: 1, updatedAt: -1 }, { name: 'stage_updatedAt_ci', collation: CI_COLLATION });
+CarSchema.index({ location: 1 }, { name: 'location_ci', collation: CI_COLLATION });
+CarSchema.index({ nextLocations: 1 }, { name: 'nextLocations_ci', collation: CI_COLLATION });
+CarSchema.index({ make: 1, model: 1, year: 1 }, { name: 'make_model_year_ci', collation: CI_COLLATION });
+CarSchema.index({ readinessStatus: 1 }, { name: 'readinessStatus_ci', collation: CI_COLLATION });
+CarSchema.index({ updatedAt: -1, _id: -1 });
+CarSchema.index({ stage: 1, soldAt: -1 });
+CarSchema.index({ vin: 1 }, { partialFilterExpression: { vin: { $gt: '' } } });
+
+// Full-text search (services/carSearch.js)
+CarSchema.index(
+  {
+    rego: 'text',
+    make: 'text',
+    model: 'text',
+    badge: 'text',
+    series: 'text',
+    description: 'text',
+    notes: 'text',
+    'checklist.text': 'text',
+  },
+  {
+    name: 'car_text_search',
+    weights: { rego: 10, make: 5, model: 5, badge: 3, series: 3, description: 2, notes: 1, 'checklist.text': 1 },
+  }
+);
+
 // Virtual: last nextLocation
 CarSchema.virtual('nextLocation').get(function () {
   if (!Array.isArray(this.nextLocations) || this.nextLocations.length === 0) return '';
@@ -71,4 +194,13 @@ CarSchema.virtual('nextLocation').get(function () {
 CarSchema.set('toJSON', { virtuals: true });
 CarSchema.set('toObject', { virtuals: true });
 
+CarSchema.statics.CHECKLIST_STATUSES = CHECKLIST_STATUSES;
+CarSchema.statics.CI_COLLATION = CI_COLLATION;
+CarSchema.statics.legacyItemId = legacyItemId;
+
+// GET /api/events
+CarSchema.plugin(liveEventsPlugin, { entity: 'car', fields: ['rego'] });
+// outbound webhooks (services/webhooks.js)
+CarSchema.plugin(webhookEventsPlugin, { source: 'car' });
+
 module.exports = mongoose.model('Car', CarSchema);
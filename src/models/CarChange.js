@@ -0,0 +1,46 @@
+// src/models/CarChange.js
+const mongoose = require('mongoose');
+
+const SOURCE_KINDS = ['web', 'telegram', 'csv-import', 'autogate-sync', 'vision', 'system'];
+
+const SourceSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: SOURCE_KINDS, required: true },
+    // web / csv / autogate: the logged-in user
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    username: { type: String, default: '' },
+    // telegram: chat + who said it + the message the action came from
+    chatId: { type: String, default: '' },
+    speaker: { type: String, default: '' },
+    message: { type: String, default: '' },
+    // free reference: CSV filename, S3 key, batch id, ...
+    ref: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * One row per changed field. Append-only: rows are inserted, never edited.
+ */
+const CarChangeSchema = new mongoose.Schema(
+  {
+    car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car', required: true, index: true },
+    rego: { type: String, default: '' },
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    source: { type: SourceSchema, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+CarChangeSchema.index({ car: 1, at: -1 });
+
+CarChangeSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+  throw new Error('CarChange is append-only');
+});
+
+CarChangeSchema.statics.SOURCE_KINDS = SOURCE_KINDS;
+
+module.exports = mongoose.model('CarChange', CarChangeSchema);
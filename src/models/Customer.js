@@ -0,0 +1,54 @@
+// src/models/Customer.js
+const mongoose = require('mongoose');
+
+// enquiry → test-drive → negotiating → sold | lost (services/customers.js)
+const LEAD_STATUSES = ['enquiry', 'test-drive', 'negotiating', 'sold', 'lost'];
+const INTEREST_KINDS = ['viewed', 'test-drive', 'bought'];
+
+const CarInterestSchema = new mongoose.Schema(
+  {
+    car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car', required: true },
+    kind: { type: String, enum: INTEREST_KINDS, default: 'viewed' },
+    at: { type: Date, default: Date.now },
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomerAppointment', default: null },
+  },
+  { _id: false }
+);
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: LEAD_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+const CustomerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Name is required'], trim: true },
+    // digits only, Australian mobiles as 04xxxxxxxx (services/customers.js normalizePhone)
+    phone: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    notes: { type: String, trim: true, default: '' },
+    source: { type: String, trim: true, default: '' }, // walk-in, website, telegram, referral ...
+
+    leadStatus: { type: String, enum: LEAD_STATUSES, default: 'enquiry' },
+    leadStatusChangedAt: { type: Date, default: Date.now },
+    statusHistory: { type: [StatusChangeSchema], default: [] },
+
+    // cars this customer looked at / drove / bought, oldest first
+    cars: { type: [CarInterestSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+CustomerSchema.index({ phone: 1 }, { partialFilterExpression: { phone: { $gt: '' } } });
+CustomerSchema.index({ name: 1 });
+CustomerSchema.index({ 'cars.car': 1 });
+CustomerSchema.index({ leadStatus: 1 });
+
+CustomerSchema.statics.LEAD_STATUSES = LEAD_STATUSES;
+CustomerSchema.statics.INTEREST_KINDS = INTEREST_KINDS;
+
+module.exports = mongoose.model('Customer', CustomerSchema);
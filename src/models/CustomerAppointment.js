@@ -1,14 +1,25 @@
 // models/CustomerAppointment.js
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../services/liveEvents');
+const { webhookEventsPlugin } = require('../services/webhooks');
 
 const CustomerAppointmentSchema = new mongoose.Schema(
   {
     name: { type: String, default: 'Customer' },
+    // the customer record behind the name, when known (services/customers.js)
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null, index: true },
 
     dateTime: { type: String, default: '' },
 
     originalDateTime: { type: String, default: '' },
 
+    // dateTime resolved to a real time (services/dateParsing.js); null when it couldn't be read
+    scheduledAt: { type: Date, default: null, index: true },
+    // the day is known but not the time (scheduledAt is local midnight)
+    allDay: { type: Boolean, default: false },
+    // the scheduledAt a Telegram reminder was sent for (services/appointmentReminders.js)
+    reminderSentFor: { type: Date, default: null },
+
     isDelivery: { type: Boolean, default: false },
 
     // ✅ THIS IS THE MISSING PIECE
@@ -24,6 +35,11 @@ const CustomerAppointmentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// GET /api/events
+CustomerAppointmentSchema.plugin(liveEventsPlugin, { entity: 'customerAppointment', fields: ['name'] });
+// outbound webhooks (services/webhooks.js)
+CustomerAppointmentSchema.plugin(webhookEventsPlugin, { source: 'customerAppointment' });
+
 module.exports = mongoose.model(
   'CustomerAppointment',
   CustomerAppointmentSchema
@@ -0,0 +1,44 @@
+// src/models/Location.js
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['yard', 'reconditioner', 'detailer', 'customer', 'auction'];
+
+// "Haytham's Mechanical" → "haythammechanical" (services/locations.js matches on this)
+const locationKey = (s) =>
+  String(s ?? '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+
+const LocationSchema = new mongoose.Schema(
+  {
+    // what cars' location / history are written as
+    name: { type: String, required: [true, 'Name is required'], trim: true, unique: true },
+    // other spellings people (and the LLM) use: "Haythams", "Lot A", "the yard"
+    aliases: { type: [String], default: [] },
+    type: { type: String, enum: LOCATION_TYPES, default: 'yard' },
+    address: { type: String, trim: true, default: '' },
+    capacity: { type: Number, default: null, min: 0 }, // cars it can hold; null = unlimited
+    onPremises: { type: Boolean, default: false },
+    // a car here longer than this is overstaying (services/stockAnalytics.js); null = the default
+    maxDwellDays: { type: Number, default: null, min: 0 },
+    notes: { type: String, trim: true, default: '' },
+
+    // locationKey() of name + aliases, kept in sync on save
+    keys: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+LocationSchema.index({ keys: 1 });
+
+LocationSchema.pre('validate', function syncKeys(next) {
+  this.aliases = [...new Set((this.aliases || []).map((a) => String(a || '').trim()).filter(Boolean))];
+  this.keys = [...new Set([this.name, ...this.aliases].map(locationKey).filter(Boolean))];
+  next();
+});
+
+LocationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+LocationSchema.statics.locationKey = locationKey;
+
+module.exports = mongoose.model('Location', LocationSchema);
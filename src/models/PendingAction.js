@@ -0,0 +1,45 @@
+// src/models/PendingAction.js
+const mongoose = require('mongoose');
+
+/**
+ * A pipeline action that the QA audit did not clear (INCORRECT / UNSURE / PARTIAL,
+ * see REVIEW_QUEUE_VERDICTS). It waits here until someone approves, edits or rejects it.
+ */
+const PendingActionSchema = new mongoose.Schema(
+  {
+    // the extracted action as the pipeline produced it (type, rego, make, ... fields)
+    action: { type: mongoose.Schema.Types.Mixed, required: true },
+    type: { type: String, default: '' },
+    rego: { type: String, default: '' },
+
+    // where it came from
+    chatId: { type: String, default: '' },
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null },
+    messages: {
+      type: [{ speaker: String, text: String, ts: Number, _id: false }],
+      default: [],
+    },
+    sourceSpeaker: { type: String, default: '' },
+    sourceText: { type: String, default: '' },
+
+    // why it was held
+    verdict: { type: String, enum: ['CORRECT', 'PARTIAL', 'INCORRECT', 'UNSURE'], required: true },
+    auditReason: { type: String, default: '' },
+    evidenceText: { type: String, default: '' },
+
+    // review outcome
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+    edited: { type: Boolean, default: false },
+    resolvedBy: { type: String, default: '' },
+    resolvedAt: { type: Date, default: null },
+    rejectReason: { type: String, default: '' },
+    result: { type: String, default: '' }, // chat-style summary once applied
+    error: { type: String, default: '' }, // last failed approval attempt
+    appliedBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null },
+  },
+  { timestamps: true }
+);
+
+PendingActionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PendingAction', PendingActionSchema);
@@ -1,5 +1,10 @@
 // src/models/ReconditionerAppointment.js
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../services/liveEvents');
+const { webhookEventsPlugin } = require('../services/webhooks');
+
+// quote / approval workflow per car (services/reconQuotes.js)
+const RECON_ENTRY_STATUSES = ['requested', 'quoted', 'approved', 'declined', 'in-progress', 'done'];
 
 const CarEntrySchema = new mongoose.Schema(
   {
@@ -9,8 +14,25 @@ const CarEntrySchema = new mongoose.Schema(
     carText: { type: String, trim: true, default: '' },
     // Per-car notes
     notes: { type: String, trim: true, default: '' },
+    status: { type: String, enum: RECON_ENTRY_STATUSES, default: 'requested' },
+    quotedCost: { type: Number, default: null, min: 0 },
+    approvedCost: { type: Number, default: null, min: 0 },
+    // What the work on this car actually cost (rolled into the car's recon spend)
+    actualCost: { type: Number, default: null, min: 0 },
+    quoteNotes: { type: String, trim: true, default: '' },
+    declineReason: { type: String, trim: true, default: '' },
+
+    requestedAt: { type: Date, default: Date.now },
+    quotedAt: { type: Date, default: null },
+    quotedBy: { type: String, trim: true, default: '' },
+    approvedAt: { type: Date, default: null },
+    approvedBy: { type: String, trim: true, default: '' }, // 'auto' = under the category threshold
+    declinedAt: { type: Date, default: null },
+    declinedBy: { type: String, trim: true, default: '' },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
   },
-  { _id: false }
+  { _id: true } // entries are addressed by id (scripts/migrateReconEntries.js for older ones)
 );
 
 const reconditionerAppointmentSchema = new mongoose.Schema(
@@ -18,11 +40,26 @@ const reconditionerAppointmentSchema = new mongoose.Schema(
     name: { type: String, required: [true, 'Name is required'], trim: true },
     // ❗ Make dateTime optional
     dateTime: { type: String, default: '', trim: true },
+    // dateTime resolved to a real time (services/dateParsing.js); null when it couldn't be read
+    scheduledAt: { type: Date, default: null, index: true },
+    allDay: { type: Boolean, default: false }, // day known, time not
+    reminderSentFor: { type: Date, default: null }, // services/appointmentReminders.js
     cars: { type: [CarEntrySchema], default: [] }, // always push at least one entry
     category: { type: mongoose.Schema.Types.ObjectId, ref: 'ReconditionerCategory', required: true },
+    // closed automatically once every car on it is sold (services/carStage.js)
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    closedAt: { type: Date, default: null },
+    closedReason: { type: String, trim: true, default: '' },
     dateCreated: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+reconditionerAppointmentSchema.statics.RECON_ENTRY_STATUSES = RECON_ENTRY_STATUSES;
+
+// GET /api/events
+reconditionerAppointmentSchema.plugin(liveEventsPlugin, { entity: 'reconAppointment', fields: ['name'] });
+// outbound webhooks (services/webhooks.js)
+reconditionerAppointmentSchema.plugin(webhookEventsPlugin, { source: 'reconAppointment' });
+
 module.exports = mongoose.model('ReconditionerAppointment', reconditionerAppointmentSchema);
@@ -10,6 +10,10 @@ const reconditionerCategorySchema = new mongoose.Schema(
     // already added earlier
     onPremises: { type: Boolean, default: true },
 
+    // Recon quotes above this need approval (at or below: auto-approved).
+    // null = no quote/approval gate for this category.
+    approvalThreshold: { type: Number, default: null, min: 0 },
+
     // NEW: controls display ordering
     sortOrder: { type: Number, default: 0, index: true },
   },
@@ -0,0 +1,55 @@
+// src/models/RegoConfirmation.js
+const mongoose = require('mongoose');
+
+/**
+ * A rego the fuzzy matcher could not settle on its own (matchRego → "review").
+ * Instead of creating a possibly-duplicate car we park it here with the
+ * candidates until someone picks one, asks for a new car, or dismisses it.
+ */
+const CandidateSchema = new mongoose.Schema(
+  {
+    car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car', required: true },
+    rego: { type: String, default: '' },
+    make: { type: String, default: '' },
+    model: { type: String, default: '' },
+    stage: { type: String, default: '' },
+    score: { type: Number, default: null }, // weighted edit distance (lower is closer)
+  },
+  { _id: false }
+);
+
+const RegoConfirmationSchema = new mongoose.Schema(
+  {
+    rego: { type: String, required: true, uppercase: true, trim: true },
+
+    // what we were told about the vehicle (used if a new car is confirmed)
+    details: {
+      make: { type: String, default: '' },
+      model: { type: String, default: '' },
+      badge: { type: String, default: '' },
+      year: { type: mongoose.Schema.Types.Mixed, default: '' },
+      color: { type: String, default: '' },
+      description: { type: String, default: '' },
+    },
+
+    candidates: { type: [CandidateSchema], default: [] },
+    reason: { type: String, default: '' }, // matcher reason, e.g. tie-needs-human
+
+    chatId: { type: String, default: '' }, // Telegram chat the photo came from
+
+    status: {
+      type: String,
+      enum: ['pending', 'matched', 'created', 'dismissed'],
+      default: 'pending',
+      index: true,
+    },
+    car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car', default: null }, // the car it resolved to
+    resolvedBy: { type: String, default: '' },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+RegoConfirmationSchema.index({ rego: 1, status: 1 });
+
+module.exports = mongoose.model('RegoConfirmation', RegoConfirmationSchema);
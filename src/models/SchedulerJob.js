@@ -0,0 +1,22 @@
+// src/models/SchedulerJob.js
+const mongoose = require('mongoose');
+
+/**
+ * Persistent state of one background job (services/scheduler.js), so a restart
+ * neither repeats a job that already ran nor forgets one that is due.
+ * lockedUntil keeps two running instances from running the same job at once.
+ */
+const SchedulerJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    lastRunAt: { type: Date, default: null }, // when the last run started
+    lastFinishedAt: { type: Date, default: null },
+    lastError: { type: String, default: '' }, // '' = last run succeeded
+    lastResult: { type: mongoose.Schema.Types.Mixed, default: null }, // whatever run() returned
+    runCount: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('SchedulerJob', SchedulerJobSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../services/liveEvents');
+
+// services/tasks.js: open → done | cancelled (tasks without a status are open)
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TASK_KINDS = ['task', 'drop-off'];
 
 const TaskSchema = new mongoose.Schema(
   {
@@ -6,9 +12,41 @@ const TaskSchema = new mongoose.Schema(
     car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car', default: null },
     carText: { type: String, default: '' },          // Fallback vehicle string when car isn’t identified
     notes: { type: String, default: '' },            // Optional extra notes/context
+    cost: { type: Number, default: null, min: 0 },   // Money spent doing it (counts as recon spend on the car)
+
+    status: { type: String, enum: TASK_STATUSES, default: 'open', index: true },
+    priority: { type: String, enum: PRIORITIES, default: 'normal' },
+    dueAt: { type: Date, default: null, index: true },
+    // app user, or just a name / Telegram username (lowercase, no @) when they have no login
+    assignee: { type: String, trim: true, lowercase: true, default: '' },
+    assigneeUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    completedAt: { type: Date, default: null },
+    completedBy: { type: String, default: '' },
+
+    // drop-offs: where the car is being taken; done automatically when the car arrives
+    kind: { type: String, enum: TASK_KINDS, default: 'task' },
+    origin: { type: String, trim: true, default: '' },
+    destination: { type: String, trim: true, default: '' },
+
+    // the bot's "new task" message, so replying "done" to it completes the task
+    notification: {
+      chatId: { type: String, default: '' },
+      messageId: { type: Number, default: null },
+    },
+
     dateCreated: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+TaskSchema.index({ kind: 1, status: 1, car: 1 });
+TaskSchema.index({ 'notification.chatId': 1, 'notification.messageId': 1 });
+
+TaskSchema.statics.TASK_STATUSES = TASK_STATUSES;
+TaskSchema.statics.PRIORITIES = PRIORITIES;
+TaskSchema.statics.TASK_KINDS = TASK_KINDS;
+
+// GET /api/events
+TaskSchema.plugin(liveEventsPlugin, { entity: 'task', fields: ['task'] });
+
 module.exports = mongoose.model('Task', TaskSchema);
@@ -0,0 +1,62 @@
+// src/models/User.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'sales', 'yard', 'reconditioner-viewer'];
+const KEY_LEN = 64;
+
+const UserSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: { type: String, trim: true, default: '' },
+    role: { type: String, enum: ROLES, default: 'yard' },
+
+    // "scrypt$<salt hex>$<hash hex>" — never returned to clients
+    passwordHash: { type: String, required: true, select: false },
+
+    // inactive users cannot log in and their existing tokens stop working
+    active: { type: Boolean, default: true },
+    lastLoginAt: { type: Date, default: null },
+
+    // sha256 of the token in this user's calendar feed URLs (routes/calendar.js) — never returned
+    calendarTokenHash: { type: String, default: undefined, select: false, index: { unique: true, sparse: true } },
+  },
+  { timestamps: true }
+);
+
+UserSchema.methods.setPassword = async function (password) {
+  const pw = String(password || '');
+  if (pw.length < 6) throw new Error('Password must be at least 6 characters.');
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(pw, salt, KEY_LEN);
+  this.passwordHash = `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+UserSchema.methods.verifyPassword = async function (password) {
+  const [algo, salt, hex] = String(this.passwordHash || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scrypt(String(password || ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+UserSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.calendarTokenHash;
+    return ret;
+  },
+});
+
+UserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', UserSchema);
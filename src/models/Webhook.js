@@ -0,0 +1,25 @@
+// src/models/Webhook.js
+const mongoose = require('mongoose');
+
+/**
+ * An outbound webhook subscription (services/webhooks.js). Every delivery is a JSON POST
+ * signed with `secret` (X-Crai-Signature); `events` lists the event names to send,
+ * '*' for all of them.
+ */
+const WebhookSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Name is required'], trim: true },
+    url: { type: String, required: [true, 'URL is required'], trim: true },
+    // HMAC-SHA256 key; only shown on create / GET /api/webhooks/:id
+    secret: { type: String, required: true, select: false },
+    events: { type: [String], default: ['*'] },
+    active: { type: Boolean, default: true },
+    description: { type: String, trim: true, default: '' },
+    createdBy: { type: String, trim: true, default: '' },
+  },
+  { timestamps: true }
+);
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,44 @@
+// src/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// pending → sending → success | retrying (→ sending …) | failed
+const DELIVERY_STATUSES = ['pending', 'sending', 'retrying', 'success', 'failed'];
+
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    statusCode: { type: Number, default: null }, // null = no response (network error / timeout)
+    error: { type: String, default: '' },
+    durationMs: { type: Number, default: 0 },
+    manual: { type: Boolean, default: false }, // POST /api/webhooks/deliveries/:id/redeliver
+  },
+  { _id: false }
+);
+
+/**
+ * One event sent to one webhook: the exact payload, its current state and every attempt
+ * (the delivery log). Due retries are picked up by the webhook-deliveries job.
+ */
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true, trim: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: [AttemptSchema], default: [] },
+    nextAttemptAt: { type: Date, default: Date.now }, // null once it succeeded or gave up
+    lastStatusCode: { type: Number, default: null },
+    lastError: { type: String, default: '' },
+    responseBody: { type: String, default: '' }, // first 1000 characters of the last response
+    deliveredAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+WebhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -467,9 +467,13 @@ Field requirements (ORDER MATTERS):
 - badge: series/variant if present (e.g., "SR5", "XLT", "GX", "ST-L"), else "".
 - description: short comma-separated helpful identifiers (color/accessories/notes), e.g., "white, bulbar, roof racks". "" if none.
 - year: 4-digit if present, else "".
+- Optional extras, ONLY when stated in the line (otherwise leave them out or ""):
+  - colour: body colour word(s), e.g. "White", "Dark Grey".
+  - vin: the 17-character VIN exactly as written, no spaces.
+  - odometer: kilometres as a plain number, e.g. "123 thousand k" → "123000".
 
 Always place identification fields first in the object in this exact order:
-rego, make, model, badge, description, year
+rego, make, model, badge, description, year (then colour, vin, odometer if present)
 
 CRITICAL:
 - Use ONLY information explicitly present in the line (and obvious model→make hints).
@@ -588,9 +592,10 @@ ${VEHICLE_FIELDS_HELP}
 
 Return STRICT minified JSON only:
 {"actions":[
-  {"type":"DROP_OFF","rego":"","make":"","model":"","badge":"","description":"","year":"","destination":"","note":""}
+  {"type":"DROP_OFF","rego":"","make":"","model":"","badge":"","description":"","year":"","origin":"","destination":"","note":""}
 ]}
 
+- origin: where the car is being collected from, only if written (e.g., "grab the D-MAX from Capital"), else "".
 - destination: the place/person to drop off to.
 - note: include conditions and pickup intent if present (e.g., "when Mazda 3 is ready, to pick up Mazda 3 and Hummer").
 - Do NOT assume extra pickups or destinations that are not written.
@@ -604,10 +609,11 @@ ${VEHICLE_FIELDS_HELP}
 
 Return STRICT minified JSON only:
 {"actions":[
-  {"type":"CUSTOMER_APPOINTMENT","rego":"","make":"","model":"","badge":"","description":"","year":"","name":"","dateTime":"","notes":""}
+  {"type":"CUSTOMER_APPOINTMENT","rego":"","make":"","model":"","badge":"","description":"","year":"","name":"","phone":"","dateTime":"","notes":""}
 ]}
 
 - name: person coming (customer) if explicitly named, else "".
+- phone: the customer's phone number exactly as written, else "".
 - dateTime: as stated ("today at 3pm", "next Tuesday", etc). Do NOT normalize to absolute dates.
 - notes: any extra context ("bring out car", "second viewing", etc).
 - Only output actions if the line clearly implies a viewing or pickup.
@@ -1,12 +1,15 @@
 // src/routes/auth.js
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { tokenFromRequest, resolveUser } = require("../middleware/requireAuth");
 
 const router = express.Router();
 
 /* ----------------------- Config ----------------------- */
 const JWT_SECRET = process.env.JWT_SECRET || "changeme"; // set real secret in prod
-const MASTER_PASSWORD = process.env.MASTER_PASSWORD || "Fast5";
+// One-time code for creating the first admin account; no code set = setup disabled
+const SETUP_CODE = String(process.env.SETUP_CODE || process.env.MASTER_PASSWORD || "").trim();
 const ALLOW_LOGIN_DEV = String(process.env.ALLOW_LOGIN_DEV || "").toLowerCase() === "true";
 
 /** Compute cookie flags PER REQUEST so localhost & Pages both work */
@@ -38,6 +41,14 @@ function sign(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: "8h" });
 }
 
+function tokenFor(user) {
+  return sign({ sub: String(user._id), username: user.username, role: user.role });
+}
+
+function publicUser(user) {
+  return { id: String(user._id || user.id), username: user.username, name: user.name || "", role: user.role };
+}
+
 /* ----------------------- Public sanity endpoint ----------------------- */
 router.get("/ping", (req, res) => {
   const opts = cookieOpts(req);
@@ -52,15 +63,49 @@ router.get("/ping", (req, res) => {
     ok: true,
     nodeEnv: process.env.NODE_ENV || null,
     cookie: { secure: !!opts.secure, sameSite: opts.sameSite },
-    masterPasswordLen: (MASTER_PASSWORD || "").length,
+    setupEnabled: !!SETUP_CODE,
     jwtSecretSet: JWT_SECRET !== "changeme",
     allowLoginDev: ALLOW_LOGIN_DEV,
   });
 });
 
+/* ----------------------- First-run setup ----------------------- */
+// POST /api/auth/setup  { setupCode, username, password, name? }
+// Creates the first admin. Only works while there are no users at all, and only
+// with SETUP_CODE (or the legacy MASTER_PASSWORD) set in the env.
+router.post("/setup", async (req, res) => {
+  try {
+    const count = await User.countDocuments();
+    if (count > 0) return res.status(409).json({ message: "Setup already completed" });
+
+    if (!SETUP_CODE) {
+      return res.status(503).json({ message: "Setup is disabled: set SETUP_CODE in the backend env" });
+    }
+
+    const { setupCode, username, password, name } = req.body || {};
+    if (!setupCode || String(setupCode).trim() !== SETUP_CODE) {
+      return res.status(401).json({ message: "Invalid setup code" });
+    }
+    if (!username || !password) {
+      return res.status(400).json({ message: "username and password required" });
+    }
+
+    const user = new User({ username, name: name || "", role: "admin" });
+    await user.setPassword(password);
+    await user.save();
+
+    const token = tokenFor(user);
+    res.cookie("sid", token, cookieOpts(req));
+    return res.status(201).json({ message: "ok", token, user: publicUser(user) });
+  } catch (e) {
+    console.error("Auth setup error:", e);
+    return res.status(400).json({ message: "Setup failed", error: e.message });
+  }
+});
+
 /* ----------------------- Login ----------------------- */
-// POST /api/auth/login  { password }
-router.post("/login", (req, res) => {
+// POST /api/auth/login  { username, password }
+router.post("/login", async (req, res) => {
   try {
     const bodyKeys = req.body ? Object.keys(req.body) : [];
     console.log(
@@ -74,22 +119,29 @@ router.post("/login", (req, res) => {
       return res.status(400).json({ message: "Bad request: no JSON body" });
     }
 
-    const raw = req.body.password ?? req.body.pass ?? req.body.code ?? "";
+    const username = String(req.body.username || "").trim().toLowerCase();
+    const raw = req.body.password ?? req.body.pass ?? "";
     const password = typeof raw === "string" ? raw.trim() : "";
 
-    if (!password || password !== MASTER_PASSWORD) {
-      return res.status(401).json({
-        message: "Invalid password",
-        hint: "Check MASTER_PASSWORD in backend env matches what you type.",
-      });
+    if (!username || !password) {
+      return res.status(400).json({ message: "username and password required" });
     }
 
-    const token = sign({ role: "user" });
+    const user = await User.findOne({ username }).select("+passwordHash");
+    const ok = user && user.active && (await user.verifyPassword(password));
+    if (!ok) {
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const token = tokenFor(user);
 
     // Set cookie for same-site flows; frontend will also store token and send Bearer
     res.cookie("sid", token, cookieOpts(req));
 
-    return res.status(200).json({ message: "ok", token });
+    return res.status(200).json({ message: "ok", token, user: publicUser(user) });
   } catch (e) {
     console.error("Auth login error:", e);
     return res.status(500).json({ message: "Server error" });
@@ -99,28 +151,21 @@ router.post("/login", (req, res) => {
 /* ----------------------- Optional dev login ----------------------- */
 router.post("/login-dev", (req, res) => {
   if (!ALLOW_LOGIN_DEV) return res.status(403).json({ message: "Disabled" });
-  const token = sign({ role: "user", dev: true });
+  const token = sign({ role: "admin", dev: true });
   res.cookie("sid", token, cookieOpts(req));
   return res.status(200).json({ message: "ok-dev", token });
 });
 
 /* ----------------------- Session info ----------------------- */
 // GET /api/auth/me  → accept cookie OR Bearer token (important for mobile)
-router.get("/me", (req, res) => {
-  // 1) Try cookie
-  let token = req.cookies?.sid;
-
-  // 2) Fallback to Authorization: Bearer <token>
-  if (!token) {
-    const auth = req.headers.authorization || "";
-    if (auth.startsWith("Bearer ")) token = auth.slice(7).trim();
-  }
-
+router.get("/me", async (req, res) => {
+  const token = tokenFromRequest(req);
   if (!token) return res.status(401).json({ message: "Not logged in" });
 
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return res.json({ ok: true, user: { role: payload.role || "user" } });
+    const user = await resolveUser(token);
+    if (!user) throw new Error("inactive");
+    return res.json({ ok: true, user });
   } catch {
     // If there was a cookie and it’s invalid/expired, clear it
     if (req.cookies?.sid) {
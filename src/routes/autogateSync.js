@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const Car = require('../models/Car');
+const { sourceFromRequest, snapshot, recordCarChanges } = require('../services/carChanges');
+const { applyStage, runStageHooks } = require('../services/carStage');
 
 const normalizeRego = (s) =>
   typeof s === 'string' ? s.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
@@ -52,7 +54,8 @@ function extractRegos(raw = '') {
  * POST /api/cars/mark-online-from-text
  * Body: { text: string }
  * Effect: For any car whose rego appears in the pasted text,
- *         if its current stage is EXACTLY "In Works", change to "Online".
+ *         if its current stage is EXACTLY "In Works", change to "Online"
+ *         ("In Works/Online" while it still has open checklist items).
  *         Do NOT change "Sold", "In Works/Online", or anything else.
  */
 router.post('/mark-online-from-text', async (req, res) => {
@@ -68,35 +71,33 @@ router.post('/mark-online-from-text', async (req, res) => {
     }
 
     // Find cars by rego
-    const cars = await Car.find({ rego: { $in: regos } }).lean();
+    const cars = await Car.find({ rego: { $in: regos } });
 
     const byRego = new Map(cars.map((c) => [String(c.rego).toUpperCase(), c]));
     const changed = [];
     const skipped = [];
     const notFound = [];
+    const source = { ...sourceFromRequest(req), kind: 'autogate-sync' };
 
-    // Prepare bulk ops ONLY for exact "In Works"
-    const ops = [];
+    // Only exact "In Works" moves; carStage turns it into "In Works/Online" if work is still open
     for (const r of regos) {
       const car = byRego.get(r);
       if (!car) { notFound.push(r); continue; }
 
       const stage = String(car.stage || '').trim();
-      if (/^in works$/i.test(stage)) {
-        ops.push({
-          updateOne: {
-            filter: { _id: car._id, stage: { $regex: /^in works$/i } },
-            update: { $set: { stage: 'Online' } }
-          }
-        });
-        changed.push({ rego: r, from: stage, to: 'Online' });
-      } else {
+      if (!/^in works$/i.test(stage)) {
         // explicitly not changing anything else
         skipped.push({ rego: r, stage });
+        continue;
       }
-    }
 
-    if (ops.length) await Car.bulkWrite(ops, { ordered: false });
+      const before = snapshot(car);
+      const t = applyStage(car, 'Online');
+      await car.save();
+      await recordCarChanges(car, before, source);
+      await runStageHooks(car, t, { source });
+      changed.push({ rego: r, from: stage, to: car.stage });
+    }
 
     res.json({
       message: 'Processed pasted list.',
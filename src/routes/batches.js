@@ -0,0 +1,57 @@
+// src/routes/batches.js — Telegram batch changesets + revert
+const express = require('express');
+const router = express.Router();
+const Batch = require('../models/Batch');
+const { revertBatch } = require('../services/batchLog');
+const { sourceFromRequest } = require('../services/carChanges');
+
+// GET /api/batches?chatId=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const q = {};
+    if (req.query.chatId) q.chatId = String(req.query.chatId);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const batches = await Batch.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ message: 'Batches retrieved successfully', data: batches });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving batches', error: error.message });
+  }
+});
+
+// GET /api/batches/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id).lean();
+    if (!batch) return res.status(404).json({ message: 'Batch not found' });
+    res.json({ message: 'Batch retrieved successfully', data: batch });
+  } catch (error) {
+    res.status(400).json({ message: 'Error retrieving batch', error: error.message });
+  }
+});
+
+// POST /api/batches/:id/revert  { actionIndex? }  (omit actionIndex to revert the whole batch)
+router.post('/:id/revert', async (req, res) => {
+  try {
+    const raw = req.body?.actionIndex;
+    const actionIndex = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+    if (actionIndex !== null && !Number.isInteger(actionIndex)) {
+      return res.status(400).json({ message: 'actionIndex must be an integer' });
+    }
+
+    const batch = await Batch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: 'Batch not found' });
+
+    const { reverted } = await revertBatch(batch, {
+      actionIndex,
+      source: sourceFromRequest(req),
+    });
+
+    res.json({ message: 'Batch reverted', data: { batch, reverted } });
+  } catch (error) {
+    console.error('Batch revert error:', error);
+    res.status(400).json({ message: 'Error reverting batch', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// src/routes/calendar.js — .ics feeds of appointments for phone calendars (services/calendarFeed.js)
+// Feeds are authenticated by ?token= (calendar apps can't send cookies); the token
+// endpoints themselves need a normal login.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const requireAuth = require('../middleware/requireAuth');
+const { requireRole } = require('../middleware/requireRole');
+const {
+  issueFeedToken,
+  revokeFeedToken,
+  userForFeedToken,
+  customerCalendar,
+  reconCalendar,
+} = require('../services/calendarFeed');
+
+const STAFF = requireRole('admin', 'sales', 'yard');
+
+async function requireFeedToken(req, res, next) {
+  try {
+    const user = await userForFeedToken(req.query.token);
+    if (!user) return res.status(401).json({ message: 'Unauthorized' });
+    req.user = user;
+    return next();
+  } catch {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+}
+
+function sendIcs(res, filename, body) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300',
+  });
+  res.send(body);
+}
+
+function baseUrl(req) {
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http').split(',')[0].trim();
+  return `${proto}://${req.get('host')}${req.baseUrl}`;
+}
+
+// POST /api/calendar/token — new feed token (the previous one stops working)
+// data.customer: feed URL; data.recon: template with :categoryId
+router.post('/token', requireAuth, async (req, res) => {
+  try {
+    if (!req.user.id) return res.status(400).json({ message: 'Dev logins cannot have calendar feeds' });
+    const token = await issueFeedToken(req.user.id);
+    const base = baseUrl(req);
+    res.json({
+      message: 'Calendar token issued',
+      data: {
+        token,
+        customer: req.user.role === 'reconditioner-viewer' ? null : `${base}/customer.ics?token=${token}`,
+        recon: `${base}/recon/:categoryId.ics?token=${token}`,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error issuing calendar token', error: error.message });
+  }
+});
+
+// DELETE /api/calendar/token — stop all of this user's feed URLs working
+router.delete('/token', requireAuth, async (req, res) => {
+  try {
+    if (req.user.id) await revokeFeedToken(req.user.id);
+    res.json({ message: 'Calendar token revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking calendar token', error: error.message });
+  }
+});
+
+// GET /api/calendar/customer.ics?token=
+router.get('/customer.ics', requireFeedToken, STAFF, async (_req, res) => {
+  try {
+    sendIcs(res, 'customer-appointments.ics', await customerCalendar());
+  } catch (error) {
+    res.status(500).json({ message: 'Error building calendar', error: error.message });
+  }
+});
+
+// GET /api/calendar/recon/:categoryId.ics?token= (the read-only reconditioner role can subscribe too)
+router.get('/recon/:categoryId.ics', requireFeedToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.categoryId)) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    const ics = await reconCalendar(req.params.categoryId);
+    if (!ics) return res.status(404).json({ message: 'Category not found' });
+    sendIcs(res, `recon-${req.params.categoryId}.ics`, ics);
+  } catch (error) {
+    res.status(500).json({ message: 'Error building calendar', error: error.message });
+  }
+});
+
+module.exports = router;
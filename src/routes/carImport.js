@@ -4,6 +4,12 @@ const router = express.Router();
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 const Car = require('../models/Car');
+const { snapshot, sourceFromRequest, recordCarChanges } = require('../services/carChanges');
+const { toItem, addItems } = require('../services/checklist');
+const { applyStage } = require('../services/carStage');
+const { applyVehicleDetails } = require('../services/vehicleDetails');
+const { loadLocationResolver, moveCarTo } = require('../services/locations');
+const { completeDropOffsForArrival } = require('../services/tasks');
 
 // ---------- utils ----------
 const normalizeRego = (s) =>
@@ -23,11 +29,19 @@ const uniqueCsv = (v) => {
   return [...new Set(clean(v).split(',').map(clean).filter(Boolean))];
 };
 
-// map common column names → canonical keys
-const findCol = (headerRow, candidates) => {
-  const idx = headerRow.findIndex((h) =>
-    candidates.some((cand) => h.toLowerCase().includes(cand))
-  );
+// Car is now at `loc`: new history stay, and it's no longer headed there
+const moveTo = (doc, loc) => {
+  if (!moveCarTo(doc, loc)) return false;
+  doc.nextLocations = (doc.nextLocations || []).filter((n) => n.toLowerCase() !== loc.toLowerCase());
+  return true;
+};
+
+// map common column names → canonical keys (skipping headers that contain an excluded word)
+const findCol = (headerRow, candidates, exclude = []) => {
+  const idx = headerRow.findIndex((h) => {
+    const t = h.toLowerCase();
+    return candidates.some((cand) => t.includes(cand)) && !exclude.some((x) => t.includes(x));
+  });
   return idx >= 0 ? idx : -1;
 };
 
@@ -54,6 +68,12 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
       return res.status(400).json({ message: 'CSV seems empty' });
     }
 
+    const changeSource = {
+      ...sourceFromRequest(req),
+      kind: 'csv-import',
+      ref: req.file.originalname || '',
+    };
+
     const header = records[0].map((h) => String(h || '').trim());
     const rows = records.slice(1);
 
@@ -66,10 +86,17 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
       badge: findCol(header, ['badge', 'variant', 'trim']),
       series: findCol(header, ['series']),
       year: findCol(header, ['year', 'yr', 'build', 'compliance']),
-      colour: findCol(header, ['colour', 'color', 'exterior']),
+      colour: findCol(header, ['colour', 'color', 'exterior'], ['interior', 'trim']),
+      bodyType: findCol(header, ['body'], ['colour', 'color']),
+      transmission: findCol(header, ['transmission', 'gearbox', 'trans']),
+      drive: findCol(header, ['drivetrain', 'drive type', 'drive'], ['away', 'price', 'driver']),
+      fuel: findCol(header, ['fuel']),
+      engine: findCol(header, ['engine'], ['number', ' no']),
+      odometer: findCol(header, ['odometer', 'odo', 'kms', 'kilomet', 'mileage']),
       description: findCol(header, ['desc', 'description']),
       notes: findCol(header, ['notes', 'note', 'comment']),
       checklist: findCol(header, ['checklist', 'todo', 'to do']),
+      location: findCol(header, ['location', 'yard', 'site'], ['web']),
       // intentionally no "stage" mapping here — we’re forcing In Works for new cars
     };
 
@@ -81,6 +108,9 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
       detail: [],
     };
 
+    // location aliases → registered names (services/locations.js)
+    const resolveLocation = await loadLocationResolver();
+
     // build a fast lookup for existing cars by rego
     const existing = await Car.find({}, { _id: 1, rego: 1, stage: 1 }).lean();
     const byRego = new Map(existing.map((c) => [String(c.rego).toUpperCase(), c]));
@@ -104,13 +134,28 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
       const series = col.series >= 0 ? clean(r[col.series]) : '';
       const year = col.year >= 0 ? toYear(r[col.year]) : undefined;
 
-      // Description: prefer explicit description; else fall back to colour
-      const colour = col.colour >= 0 ? clean(r[col.colour]) : '';
-      const description =
-        (col.description >= 0 ? clean(r[col.description]) : '') || colour;
+      const description = col.description >= 0 ? clean(r[col.description]) : '';
+
+      // Vehicle identity → own fields (normalised / VIN-checked by vehicleDetails).
+      // The VIN also fills a blank make/year and flags a CSV make/year it disagrees with.
+      const cell = (k) => (col[k] >= 0 ? clean(r[col[k]]) : '');
+      const vehicle = {
+        make,
+        year,
+        vin: cell('vin'),
+        colour: cell('colour'),
+        bodyType: cell('bodyType'),
+        transmission: cell('transmission'),
+        drive: cell('drive'),
+        fuel: cell('fuel'),
+        engine: cell('engine'),
+        odometer: cell('odometer'),
+      };
+      const vehicleOpts = { overwrite: true, source: 'csv-import' };
 
       const notes = col.notes >= 0 ? clean(r[col.notes]) : '';
       const checklist = col.checklist >= 0 ? uniqueCsv(r[col.checklist]) : [];
+      const location = resolveLocation(cell('location'));
 
       const found = byRego.get(rego);
 
@@ -125,19 +170,21 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
             series,
             year,
             description,
-            checklist,
-            location: '',         // no location on import
+            checklist: checklist.map((t) => toItem(t, { source: 'csv-import', createdBy: changeSource.username || '' })),
+            location: '',         // set by moveTo when the CSV has one
             nextLocations: [],
             readinessStatus: '',
-            stage: 'In Works',    // ⬅️ the important bit
             notes,
             history: [],
           });
+          applyStage(doc, 'In Works', { initial: true }); // ⬅️ the important bit
+          moveTo(doc, location);
+          const { warnings } = applyVehicleDetails(doc, vehicle, vehicleOpts);
 
           await doc.save();
           byRego.set(rego, { _id: doc._id, rego: doc.rego, stage: doc.stage });
           results.created++;
-          results.detail.push({ row: i + 2, action: 'created', rego: doc.rego });
+          results.detail.push({ row: i + 2, action: 'created', rego: doc.rego, ...(warnings.length && { warnings }) });
         } else {
           // UPDATE: patch missing/basic fields ONLY; DO NOT change stage
           const doc = await Car.findById(found._id);
@@ -147,6 +194,8 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
             continue;
           }
 
+          const before = snapshot(doc);
+
           // only set if provided and not identical
           const setIf = (key, val) => {
             if (val === undefined || val === null || val === '') return;
@@ -159,16 +208,26 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
           setIf('series', series);
           if (year !== undefined && year !== doc.year) doc.year = year;
           setIf('description', description);
+          const { warnings } = applyVehicleDetails(doc, vehicle, vehicleOpts);
           if (Array.isArray(checklist) && checklist.length) {
-            const merged = Array.from(new Set([...(doc.checklist || []), ...checklist].map(clean).filter(Boolean)));
-            doc.checklist = merged;
+            addItems(doc, checklist.map(clean), { source: 'csv-import', createdBy: changeSource.username || '' });
           }
+          const moved = moveTo(doc, location);
           // stage: intentionally NOT touched here
           setIf('notes', doc.notes ? `${doc.notes} ${notes}`.trim() : notes);
 
           await doc.save();
+          await recordCarChanges(doc, before, changeSource);
+          // drop-off tasks headed here are done now
+          const arrivals = moved ? await completeDropOffsForArrival(doc, location, { source: changeSource }) : [];
           results.updated++;
-          results.detail.push({ row: i + 2, action: 'updated', rego: doc.rego });
+          results.detail.push({
+            row: i + 2,
+            action: 'updated',
+            rego: doc.rego,
+            ...(warnings.length && { warnings }),
+            ...(arrivals.length && { dropOffsCompleted: arrivals.length }),
+          });
         }
       } catch (e) {
         results.errors.push({ row: i + 2, rego, error: e.message });
@@ -2,11 +2,42 @@
 const express = require("express");
 const router = express.Router();
 const Car = require("../models/Car");
+const { requireRole } = require("../middleware/requireRole");
 
 // AI helpers
 const { decideCategoryForChecklist } = require("../services/ai/categoryDecider");
 const { upsertReconFromChecklist } = require("../services/reconUpsert");
 const { getSignedViewUrl } = require("../services/aws/s3");
+const {
+  snapshot,
+  sourceFromRequest,
+  recordCarChanges,
+  listCarChanges,
+} = require("../services/carChanges");
+const { mergeCars, findDuplicatePairs } = require("../services/carMerge");
+const { buildCarListQuery } = require("../services/carQuery");
+const { searchCars } = require("../services/carSearch");
+const {
+  toItem,
+  itemTexts,
+  setChecklist,
+  applyItemPatch,
+} = require("../services/checklist");
+const {
+  applyStage,
+  runStageHooks,
+  syncStageWithChecklist,
+} = require("../services/carStage");
+const { VEHICLE_FIELDS, applyVehicleDetails } = require("../services/vehicleDetails");
+const {
+  PRIVATE_FIELDS,
+  canSeeFinancials,
+  withoutFinancials,
+  applyPricing,
+  getCarFinancials,
+} = require("../services/carFinancials");
+const { completeDropOffsForArrival } = require("../services/tasks");
+const { canonicalLocation, canonicalLocations, daysClosed } = require("../services/locations");
 
 // checklist deduper: support both `module.exports = fn` and `{ normalizeChecklist }`
 const checklistDeduper = require("../services/ai/checklistDeduper");
@@ -55,19 +86,16 @@ const stripCurrentFromNext = (nextArr, currentLoc) => {
   return next.filter((n) => n.toLowerCase() !== currLC);
 };
 
-const msPerDay = 1000 * 60 * 60 * 24;
-const dateOnly = (d) => {
-  const dt = new Date(d || Date.now());
-  dt.setHours(0, 0, 0, 0);
-  return dt;
-};
-const daysClosed = (start, end) => {
-  const s = dateOnly(start).getTime();
-  const e = dateOnly(end).getTime();
-  const diff = Math.max(0, e - s);
-  return Math.max(1, Math.floor(diff / msPerDay));
+// Registered spellings for the location fields of a create / edit body (services/locations.js)
+const resolveLocationFields = async (body) => {
+  if (typeof body.location === "string") body.location = await canonicalLocation(body.location);
+  if (typeof body.nextLocation === "string") body.nextLocation = await canonicalLocation(body.nextLocation);
+  if (Array.isArray(body.nextLocations)) body.nextLocations = await canonicalLocations(body.nextLocations);
 };
 
+// Purchase / sale figures only go back to admin + sales
+const carForUser = (car, user) => (canSeeFinancials(user) ? car : withoutFinancials(car));
+
 function diffNewChecklistItems(oldList, newList) {
   const norm = (s) => String(s || "").trim().toLowerCase();
   const oldSet = new Set((Array.isArray(oldList) ? oldList : []).map(norm).filter(Boolean));
@@ -80,7 +108,7 @@ function diffNewChecklistItems(oldList, newList) {
 }
 
 // ---------- DELETE /api/cars/:id ----------
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("admin"), async (req, res) => {
   try {
     const id = req.params.id;
     const doc = await Car.findByIdAndDelete(id);
@@ -93,10 +121,30 @@ router.delete("/:id", async (req, res) => {
 });
 
 // ---------- GET /api/cars ----------
-router.get("/", async (_req, res) => {
+// Filters / sort / cursor paging: see services/carQuery.js
+router.get("/", async (req, res) => {
+  let query;
   try {
-    const cars = await Car.find().lean();
-    res.json({ message: "Cars retrieved successfully", data: cars });
+    query = buildCarListQuery(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json({ message: err.message });
+  }
+
+  try {
+    const find = Car.find(query.pageFilter).collation(query.collation).sort(query.sort);
+    if (query.limit) find.limit(query.limit);
+    if (!canSeeFinancials(req.user)) find.select(PRIVATE_FIELDS.map((f) => `-${f}`).join(" "));
+
+    const [cars, total] = await Promise.all([
+      find.lean(),
+      Car.countDocuments(query.filter).collation(query.collation),
+    ]);
+
+    res.json({
+      message: "Cars retrieved successfully",
+      data: cars,
+      meta: { total, count: cars.length, limit: query.limit, nextCursor: query.nextCursor(cars) },
+    });
   } catch (err) {
     res.status(500).json({ message: "Error retrieving cars", error: err.message });
   }
@@ -106,6 +154,7 @@ router.get("/", async (_req, res) => {
 router.post("/", async (req, res) => {
   try {
     const body = req.body || {};
+    await resolveLocationFields(body);
     const payload = {
       rego: normalizeRego(body.rego),
       make: body.make?.trim() || "",
@@ -119,11 +168,12 @@ router.post("/", async (req, res) => {
           ? Number(body.year)
           : undefined,
       description: body.description?.trim() || "",
-      checklist: normalizeChecklist(toCsvArray(body.checklist || [])),
+      checklist: normalizeChecklist(toCsvArray(body.checklist || [])).map((t) =>
+        toItem(t, { source: "web", createdBy: req.user?.username || "" })
+      ),
       location: body.location?.trim() || "",
       nextLocations: [],
       readinessStatus: body.readinessStatus?.trim() || "",
-      stage: body.stage?.trim() || "In Works",
       notes: body.notes?.trim() || "",
       history: [],
     };
@@ -156,15 +206,17 @@ router.post("/", async (req, res) => {
     );
 
     const doc = new Car(payload);
-    doc.checklist = normalizeChecklist(doc.checklist);
+    const { warnings } = applyVehicleDetails(doc, body, { strict: true, source: "web" });
+    if (canSeeFinancials(req.user)) applyPricing(doc, body, { by: req.user?.username || "" });
+    applyStage(doc, body.stage?.trim() || "In Works", { initial: true });
     await doc.save();
 
-    res.status(201).json({ message: "Car created successfully", data: doc.toJSON() });
+    res.status(201).json({ message: "Car created successfully", data: carForUser(doc.toJSON(), req.user), warnings });
   } catch (err) {
     if (err.code === 11000 && err.keyPattern && err.keyPattern.rego) {
       return res.status(409).json({ message: "A car with this rego already exists." });
     }
-    res.status(400).json({ message: "Error creating car", error: err.message });
+    res.status(err.status || 400).json({ message: "Error creating car", error: err.message });
   }
 });
 
@@ -183,8 +235,10 @@ router.put("/:id", async (req, res) => {
     const body = req.body || {};
     const doc = await Car.findById(id);
     if (!doc) return res.status(404).json({ message: "Car not found" });
+    await resolveLocationFields(body);
 
-    const beforeChecklist = normalizeChecklist(doc.checklist || []);
+    const before = snapshot(doc);
+    const beforeChecklist = itemTexts(doc.checklist);
 
     // -------------- BASIC FIELDS --------------
     if (body.rego !== undefined) doc.rego = normalizeRego(body.rego || "");
@@ -201,8 +255,21 @@ router.put("/:id", async (req, res) => {
     if (body.description !== undefined)
       doc.description = String(body.description || "").trim();
 
+    // -------------- VEHICLE DETAILS --------------
+    // Sent-but-empty clears the field; odometer adds a reading
+    for (const f of VEHICLE_FIELDS) {
+      if (body[f] !== undefined && !String(body[f] ?? "").trim()) doc[f] = "";
+    }
+    const { warnings } = applyVehicleDetails(doc, body, { overwrite: true, strict: true, source: "web" });
+
+    // -------------- PURCHASE / PRICING / SALE (admin + sales only) --------------
+    if (canSeeFinancials(req.user)) applyPricing(doc, body, { by: req.user?.username || "" });
+
     if (body.checklist !== undefined) {
-      doc.checklist = normalizeChecklist(toCsvArray(body.checklist));
+      const incoming = Array.isArray(body.checklist)
+        ? body.checklist
+        : normalizeChecklist(toCsvArray(body.checklist));
+      setChecklist(doc, incoming, { source: "web", createdBy: req.user?.username || "" });
     }
 
     // -------------- NEXT LOCATIONS --------------
@@ -225,22 +292,13 @@ router.put("/:id", async (req, res) => {
     if (body.readinessStatus !== undefined)
       doc.readinessStatus = String(body.readinessStatus || "").trim();
 
-    // -------------- *** YOUR NEW LOGIC HERE *** --------------
-    //
-    // If car is "Online" AND has >=1 checklist item → change to "In Works/Online"
-    // If car has NO checklist items and user manually puts Online → keep Online
-    //
-    // Applies to BOTH frontend PUT and Autogate sync.
-    //
-    if (body.stage !== undefined) {
-      let incoming = String(body.stage || "").trim();
-      const hasChecklist = doc.checklist && doc.checklist.length > 0;
-
-      if (/^online$/i.test(incoming) && hasChecklist) {
-        incoming = "In Works/Online";
-      }
-
-      doc.stage = incoming;
+    // -------------- STAGE (rules live in services/carStage.js) --------------
+    // "Online" with open checklist items becomes "In Works/Online"; Sold needs { reopen: true }
+    let stageChange = null;
+    if (body.stage !== undefined && String(body.stage || "").trim()) {
+      stageChange = applyStage(doc, body.stage, { reopen: !!body.reopen });
+    } else if (body.checklist !== undefined) {
+      stageChange = syncStageWithChecklist(doc);
     }
 
     if (body.notes !== undefined) doc.notes = String(body.notes || "").trim();
@@ -316,12 +374,16 @@ router.put("/:id", async (req, res) => {
       doc.markModified("photos");
     }
 
-    doc.checklist = normalizeChecklist(doc.checklist || []);
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
+    await runStageHooks(doc, stageChange, { source: sourceFromRequest(req) });
+    if (doc.location && doc.location !== before.location) {
+      await completeDropOffsForArrival(doc, doc.location, { source: sourceFromRequest(req) });
+    }
 
     // -------------- RECON AUTOGEN LOGIC --------------
     try {
-      const afterChecklist = normalizeChecklist(doc.checklist || []);
+      const afterChecklist = itemTexts(doc.checklist);
       const newlyAdded = diffNewChecklistItems(beforeChecklist, afterChecklist);
 
       if (newlyAdded.length) {
@@ -385,7 +447,7 @@ router.put("/:id", async (req, res) => {
       console.error("post-save ingest block failed:", e.stack || e.message);
     }
 
-    res.json({ message: "Car updated successfully", data: doc.toJSON() });
+    res.json({ message: "Car updated successfully", data: carForUser(doc.toJSON(), req.user), warnings });
   } catch (err) {
     if (err.code === 11000 && err.keyPattern && err.keyPattern.rego) {
       return res
@@ -393,14 +455,14 @@ router.put("/:id", async (req, res) => {
         .json({ message: "A car with this rego already exists." });
     }
     console.error("Update car error:", err);
-    res.status(400).json({ message: "Error updating car", error: err.message });
+    res.status(err.status || 400).json({ message: "Error updating car", error: err.message });
   }
 });
 
 
 
 // ---------- DELETE /api/cars/:id ----------
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("admin"), async (req, res) => {
   try {
     const id = req.params.id;
     const doc = await Car.findById(id);
@@ -426,6 +488,75 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// ---------- GET /api/cars/duplicates ----------
+// Likely duplicate pairs (same make/model, near-identical rego). ?maxScore=2
+router.get("/duplicates", async (req, res) => {
+  try {
+    const maxScore = req.query.maxScore !== undefined ? Number(req.query.maxScore) : undefined;
+    if (maxScore !== undefined && !Number.isFinite(maxScore)) {
+      return res.status(400).json({ message: "maxScore must be a number" });
+    }
+    const pairs = await findDuplicatePairs({ maxScore });
+    res.json({ message: "Duplicate candidates retrieved successfully", data: pairs });
+  } catch (err) {
+    console.error("Duplicates error:", err);
+    res.status(500).json({ message: "Error finding duplicates", error: err.message });
+  }
+});
+
+// ---------- POST /api/cars/:id/merge ----------
+// { duplicateId } → fold the duplicate into this car and delete it
+router.post("/:id/merge", requireRole("admin"), async (req, res) => {
+  try {
+    const duplicateId = String(req.body?.duplicateId || "").trim();
+    if (!duplicateId) return res.status(400).json({ message: "duplicateId is required" });
+
+    const result = await mergeCars(req.params.id, duplicateId, sourceFromRequest(req));
+    res.json({
+      message: `Merged ${result.removed.rego} into ${result.car.rego}`,
+      data: { car: result.car.toJSON(), removed: result.removed, moved: result.moved },
+    });
+  } catch (err) {
+    console.error("Merge cars error:", err);
+    const status = /not found/i.test(err.message) ? 404 : 400;
+    res.status(status).json({ message: "Error merging cars", error: err.message });
+  }
+});
+
+// ---------- GET /api/cars/:id/changes ----------
+// ?field=stage&before=<ISO date>&limit=100  (newest first)
+router.get("/:id/changes", async (req, res) => {
+  try {
+    const exists = await Car.exists({ _id: req.params.id });
+    if (!exists) return res.status(404).json({ message: "Car not found" });
+
+    const changes = await listCarChanges(req.params.id, {
+      field: req.query.field ? String(req.query.field) : undefined,
+      before: req.query.before ? String(req.query.before) : undefined,
+      limit: req.query.limit,
+      hideFields: canSeeFinancials(req.user) ? [] : PRIVATE_FIELDS,
+    });
+
+    res.json({ message: "Changes retrieved successfully", data: changes });
+  } catch (err) {
+    console.error("Car changes error:", err);
+    res.status(400).json({ message: "Error retrieving changes", error: err.message });
+  }
+});
+
+// ---------- GET /api/cars/:id/financials ----------
+// Purchase, advertised price history, recon spend (appointments + tasks), sale and gross profit
+router.get("/:id/financials", requireRole("admin", "sales"), async (req, res) => {
+  try {
+    const data = await getCarFinancials(req.params.id);
+    if (!data) return res.status(404).json({ message: "Car not found" });
+    res.json({ message: "Financials retrieved successfully", data });
+  } catch (err) {
+    console.error("Car financials error:", err);
+    res.status(400).json({ message: "Error retrieving financials", error: err.message });
+  }
+});
+
 // ---------- GET /api/cars/:id/photo-preview ----------
 router.get("/:id/photo-preview", async (req, res) => {
   try {
@@ -468,44 +599,23 @@ router.get("/:id", async (req, res) => {
 
     doc.photos = photos;
 
-    res.json(doc);
+    res.json(carForUser(doc, req.user));
   } catch (err) {
     console.error("Fetch car error:", err);
     res.status(400).json({ message: "Error fetching car", error: err.message });
   }
 });
 
-// ---------- SEARCH /api/cars/search ----------
+// ---------- SEARCH /api/cars/search/:query ----------
+// Ranked matches with highlights + a thumbnail URL. ?limit=20 (max 50)
 router.get("/search/:query", async (req, res) => {
-  const q = String(req.params.query || "").trim();
-  if (!q) return res.json([]);
-
-  const regex = new RegExp(q.replace(/[^a-zA-Z0-9]/g, ""), "i");
-
-  const docs = await Car.find({
-    $or: [
-      { rego: regex },
-      { make: new RegExp(q, "i") },
-      { model: new RegExp(q, "i") },
-      { description: new RegExp(q, "i") },
-    ],
-  })
-    .limit(20)
-    .lean();
-
-  // add signed URLs
-  for (const car of docs) {
-    car.photos = await Promise.all(
-      (car.photos || []).map(async (p) => ({
-
-        key: p.key,
-        caption: p.caption || "",
-        url: await getSignedViewUrl(p.key),
-      }))
-    );
+  try {
+    const results = await searchCars(req.params.query, { limit: req.query.limit });
+    res.json(results);
+  } catch (err) {
+    console.error("Car search error:", err);
+    res.status(500).json({ message: "Error searching cars", error: err.message });
   }
-
-  res.json(docs);
 });
 
 // ---------- PATCH: update stage only ----------
@@ -517,20 +627,17 @@ router.patch("/:id/stage", async (req, res) => {
     const doc = await Car.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: "Car not found" });
 
-    let finalStage = String(stage).trim();
-    const hasChecklist = doc.checklist && doc.checklist.length > 0;
-
-    if (/^online$/i.test(finalStage) && hasChecklist) {
-      finalStage = "In Works/Online";
-    }
+    const before = snapshot(doc);
+    const t = applyStage(doc, stage, { reopen: !!req.body.reopen });
 
-    doc.stage = finalStage;
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
+    await runStageHooks(doc, t, { source: sourceFromRequest(req) });
 
     res.json({ message: "Stage updated", stage: doc.stage });
   } catch (err) {
     console.error("Stage patch error:", err);
-    res.status(400).json({ message: "Error updating stage", error: err.message });
+    res.status(err.status || 400).json({ message: "Error updating stage", error: err.message });
   }
 });
 
@@ -542,7 +649,8 @@ router.patch("/:id/location", async (req, res) => {
 
     if (!doc) return res.status(404).json({ message: "Car not found" });
 
-    const newLoc = String(location || "").trim();
+    const before = snapshot(doc);
+    const newLoc = await canonicalLocation(location);
     const prevLoc = doc.location || "";
 
     if (newLoc !== prevLoc) {
@@ -573,8 +681,19 @@ router.patch("/:id/location", async (req, res) => {
     }
 
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
+
+    // drop-off tasks headed here are done now
+    const arrivals =
+      newLoc && newLoc !== prevLoc
+        ? await completeDropOffsForArrival(doc, newLoc, { source: sourceFromRequest(req) })
+        : [];
 
-    res.json({ message: "Location updated", location: doc.location });
+    res.json({
+      message: "Location updated",
+      location: doc.location,
+      completedTasks: arrivals.map((d) => d.task),
+    });
   } catch (err) {
     console.error("Location patch error:", err);
     res.status(400).json({
@@ -593,14 +712,15 @@ router.patch("/:id/next", async (req, res) => {
     const doc = await Car.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: "Car not found" });
 
-    // clean array
-    const cleaned = (nextLocations || [])
-      .map((s) => String(s || "").trim())
-      .filter(Boolean);
+    const before = snapshot(doc);
+
+    // clean array (registered spellings)
+    const cleaned = await canonicalLocations(nextLocations || []);
 
     doc.nextLocations = stripCurrentFromNext(cleaned, doc.location);
 
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
 
     res.json({
       message: "Next locations updated",
@@ -625,17 +745,17 @@ router.patch("/:id/checklist", async (req, res) => {
     const doc = await Car.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: "Car not found" });
 
-    // Normalise checklist text
-    checklist = checklist.map((s) => String(s || "").trim()).filter(Boolean);
+    const before = snapshot(doc);
 
-    doc.checklist = checklist;
+    // Strings or { _id, text, status, ... } items; existing items keep their history
+    setChecklist(doc, checklist, { source: "web", createdBy: req.user?.username || "" });
 
     // Re-run recon inference
     let reconCreated = [];
     let categorized = [];
 
     try {
-      const norm = normalizeChecklist(checklist);
+      const norm = normalizeChecklist(itemTexts(doc.checklist, { activeOnly: true }));
       categorized = await decideCategoryForChecklist(
         doc.make,
         doc.model,
@@ -650,12 +770,12 @@ router.patch("/:id/checklist", async (req, res) => {
       console.error("AI recon generation error:", err);
     }
 
-    // Auto stage bump
-    if (doc.stage === "Online" && checklist.length > 0) {
-      doc.stage = "In Works/Online";
-    }
+    // Auto stage bump (Online → In Works/Online while items are open)
+    const stageChange = syncStageWithChecklist(doc);
 
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
+    await runStageHooks(doc, stageChange, { source: sourceFromRequest(req) });
 
     res.json({
       message: "Checklist updated",
@@ -673,6 +793,29 @@ router.patch("/:id/checklist", async (req, res) => {
   }
 });
 
+// ---------- PATCH: one checklist item ----------
+// { status: open|in-progress|done|wont-fix, assignee, text, category, photoKeys }
+router.patch("/:id/checklist/:itemId", async (req, res) => {
+  try {
+    const doc = await Car.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: "Car not found" });
+
+    const item = doc.checklist.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+    const before = snapshot(doc);
+    applyItemPatch(item, req.body || {}, { by: req.user?.username || "" });
+
+    await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
+
+    res.json({ message: "Checklist item updated", data: item, checklist: doc.checklist });
+  } catch (err) {
+    console.error("Checklist item patch error:", err);
+    res.status(400).json({ message: "Error updating checklist item", error: err.message });
+  }
+});
+
 // ---------- PATCH: Update photos order + captions ----------
 router.patch("/:id/photos", async (req, res) => {
   try {
@@ -684,6 +827,8 @@ router.patch("/:id/photos", async (req, res) => {
     const doc = await Car.findById(id);
     if (!doc) return res.status(404).json({ message: "Car not found" });
 
+    const before = snapshot(doc);
+
     // Ensure correct structure
     const cleaned = photos.map((p) => ({
       key: String(p.key || "").trim(),
@@ -693,6 +838,7 @@ router.patch("/:id/photos", async (req, res) => {
     doc.photos = cleaned;
 
     await doc.save();
+    await recordCarChanges(doc, before, sourceFromRequest(req));
 
     res.json({ message: "Photos updated", photos: doc.photos });
   } catch (err) {
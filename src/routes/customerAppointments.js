@@ -2,12 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const CustomerAppointment = require('../models/CustomerAppointment');
+const { scheduleFromBody, rangeFilter } = require('../services/dateParsing');
+const { attachCustomer, linkAppointment } = require('../services/customers');
+
+const POPULATE = [
+  { path: 'car', select: 'rego make model' },
+  { path: 'customer', select: 'name phone email leadStatus' },
+];
 
 /**
  * Build a safe update object from request body.
  * Supports new fields and maps legacy `dayTime` -> `dateTime`.
+ * `current` is the stored appointment on updates, so an unchanged dateTime keeps its scheduledAt.
  */
-function buildUpdate(body) {
+function buildUpdate(body, current = null) {
   const out = {};
 
   if (Object.prototype.hasOwnProperty.call(body, 'name')) {
@@ -21,6 +29,10 @@ function buildUpdate(body) {
     out.dateTime = typeof body.dayTime === 'string' ? body.dayTime.trim() : body.dayTime;
   }
 
+  // real time: explicit scheduledAt, or re-read from a changed dateTime
+  const schedule = scheduleFromBody(body, { current });
+  if (schedule) Object.assign(out, schedule);
+
   if (Object.prototype.hasOwnProperty.call(body, 'originalDateTime')) {
     out.originalDateTime =
       typeof body.originalDateTime === 'string'
@@ -42,6 +54,11 @@ function buildUpdate(body) {
     out.notes = typeof body.notes === 'string' ? body.notes.trim() : body.notes;
   }
 
+  // customer record (ObjectId); without one, name + phone/email are matched or a customer created
+  if (Object.prototype.hasOwnProperty.call(body, 'customer')) {
+    out.customer = body.customer || null;
+  }
+
   // car link (ObjectId) and carText fallback
   if (Object.prototype.hasOwnProperty.call(body, 'car')) {
     out.car = body.car || null;
@@ -53,12 +70,19 @@ function buildUpdate(body) {
   return out;
 }
 
-// GET /api/customer-appointments
-router.get('/', async (_req, res) => {
+// GET /api/customer-appointments — ?from=&to= (scheduledAt range, soonest first)
+router.get('/', async (req, res) => {
+  let range;
   try {
-    const appointments = await CustomerAppointment.find()
-      .populate('car', 'rego make model')
-      .lean();
+    range = rangeFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const query = CustomerAppointment.find(range || {}).populate(POPULATE);
+    if (range) query.sort({ scheduledAt: 1 });
+    const appointments = await query.lean();
     res.json({ message: 'Appointments retrieved successfully', data: appointments });
   } catch (error) {
     res.status(500).json({ message: 'Error retrieving appointments', error: error.message });
@@ -69,9 +93,19 @@ router.get('/', async (_req, res) => {
 router.post('/', async (req, res) => {
   try {
     const payload = buildUpdate(req.body);
+    if (!payload.customer) {
+      const { customer } = await attachCustomer({
+        name: payload.name,
+        phone: req.body.phone,
+        email: req.body.email,
+        source: 'web',
+      });
+      if (customer) payload.customer = customer._id;
+    }
     const doc = new CustomerAppointment(payload);
     await doc.save();
-    const populated = await doc.populate('car', 'rego make model');
+    await linkAppointment(doc, { by: req.user?.username || '' });
+    const populated = await doc.populate(POPULATE);
     res.status(201).json({ message: 'Appointment created successfully', data: populated });
   } catch (error) {
     res.status(400).json({ message: 'Error creating appointment', error: error.message });
@@ -82,14 +116,17 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    const update = buildUpdate(req.body);
-
     const doc = await CustomerAppointment.findById(id);
     if (!doc) return res.status(404).json({ message: 'Appointment not found' });
 
+    const update = buildUpdate(req.body, doc);
+
     const before = {
       name: doc.name ?? '',
+      customer: doc.customer ? String(doc.customer) : '',
       dateTime: doc.dateTime ?? '',
+      scheduledAt: doc.scheduledAt ? doc.scheduledAt.getTime() : '',
+      allDay: !!doc.allDay,
       originalDateTime: doc.originalDateTime ?? '',
       isDelivery: !!doc.isDelivery,
       isFollowUp: !!doc.isFollowUp,
@@ -99,7 +136,12 @@ router.put('/:id', async (req, res) => {
     };
 
     if ('name' in update) doc.name = update.name;
+    if ('customer' in update) doc.customer = update.customer;
     if ('dateTime' in update) doc.dateTime = update.dateTime;
+    if ('scheduledAt' in update) {
+      doc.scheduledAt = update.scheduledAt;
+      doc.allDay = update.allDay;
+    }
     if ('originalDateTime' in update) doc.originalDateTime = update.originalDateTime;
 
     if ('isDelivery' in update) {
@@ -118,7 +160,10 @@ router.put('/:id', async (req, res) => {
 
     const after = {
       name: doc.name ?? '',
+      customer: doc.customer ? String(doc.customer) : '',
       dateTime: doc.dateTime ?? '',
+      scheduledAt: doc.scheduledAt ? doc.scheduledAt.getTime() : '',
+      allDay: !!doc.allDay,
       originalDateTime: doc.originalDateTime ?? '',
       isDelivery: !!doc.isDelivery,
       isFollowUp: !!doc.isFollowUp,
@@ -132,12 +177,15 @@ router.put('/:id', async (req, res) => {
     );
 
     if (!changed) {
-      const unchanged = await doc.populate('car', 'rego make model');
+      const unchanged = await doc.populate(POPULATE);
       return res.json({ message: 'No changes detected', data: unchanged });
     }
 
     await doc.save();
-    const populated = await doc.populate('car', 'rego make model');
+    if (before.customer !== after.customer || before.car !== after.car || before.isDelivery !== after.isDelivery) {
+      await linkAppointment(doc, { by: req.user?.username || '' });
+    }
+    const populated = await doc.populate(POPULATE);
     res.json({ message: 'Appointment updated successfully', data: populated });
   } catch (error) {
     console.error('Update error:', error);
@@ -0,0 +1,193 @@
+// src/routes/customers.js — customer records and lead tracking (services/customers.js)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Customer = require('../models/Customer');
+const CustomerAppointment = require('../models/CustomerAppointment');
+const {
+  LEAD_STATUSES,
+  normalizePhone,
+  normalizeEmail,
+  findCustomer,
+  applyLeadStatus,
+  recordCarInterest,
+  customerHistory,
+  carInterest,
+} = require('../services/customers');
+const { rangeFilter } = require('../services/dateParsing');
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+const actorName = (req) => req.user?.username || '';
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Build a safe update object from request body.
+ * leadStatus is handled separately (keeps statusHistory).
+ */
+function buildUpdate(body) {
+  const out = {};
+  if (has(body, 'name')) out.name = String(body.name || '').trim();
+  if (has(body, 'phone')) {
+    out.phone = normalizePhone(body.phone);
+    if (body.phone && !out.phone) throw badRequest('phone is not a valid phone number');
+  }
+  if (has(body, 'email')) {
+    out.email = normalizeEmail(body.email);
+    if (body.email && !out.email) throw badRequest('email is not a valid email address');
+  }
+  if (has(body, 'notes')) out.notes = String(body.notes || '').trim();
+  if (has(body, 'source')) out.source = String(body.source || '').trim();
+  return out;
+}
+
+const notFound = (res) => res.status(404).json({ message: 'Customer not found' });
+
+// GET /api/customers — ?q= (name / phone / email), ?status=, ?car=<carId>
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const re = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const phone = normalizePhone(q);
+      filter.$or = [{ name: re }, { email: re }, ...(phone ? [{ phone }] : [])];
+    }
+    if (req.query.status) {
+      const status = String(req.query.status).toLowerCase();
+      if (!LEAD_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${LEAD_STATUSES.join(', ')}` });
+      }
+      filter.leadStatus = status;
+    }
+    if (req.query.car) {
+      if (!mongoose.isValidObjectId(req.query.car)) return res.status(400).json({ message: 'car must be an id' });
+      filter['cars.car'] = req.query.car;
+    }
+
+    const customers = await Customer.find(filter).sort({ updatedAt: -1 }).lean();
+    res.json({ message: 'Customers retrieved successfully', data: customers, statuses: LEAD_STATUSES });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving customers', error: error.message });
+  }
+});
+
+// GET /api/customers/car-interest — which cars customers looked at, drove and bought (?from=&to=)
+router.get('/car-interest', async (req, res) => {
+  let range;
+  try {
+    range = rangeFilter(req.query, { field: 'at' });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  try {
+    const data = await carInterest({ from: range?.at.$gte || null, to: range?.at.$lte || null });
+    res.json({ message: 'Car interest retrieved successfully', data });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving car interest', error: error.message });
+  }
+});
+
+// GET /api/customers/:id — customer with cars and appointments
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const data = await customerHistory(req.params.id);
+    if (!data) return notFound(res);
+    res.json({ message: 'Customer retrieved successfully', data });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving customer', error: error.message });
+  }
+});
+
+// POST /api/customers — 409 (with the existing record) if the phone or email is already on file
+router.post('/', async (req, res) => {
+  try {
+    const update = buildUpdate(req.body);
+    if (!update.name) return res.status(400).json({ message: 'Name is required' });
+
+    if (update.phone || update.email) {
+      const existing = await findCustomer({ phone: update.phone, email: update.email });
+      if (existing) return res.status(409).json({ message: 'Customer already exists', data: existing });
+    }
+
+    const doc = new Customer(update);
+    if (req.body.leadStatus) applyLeadStatus(doc, req.body.leadStatus, { by: actorName(req) });
+    if (!doc.statusHistory.length) doc.statusHistory.push({ status: doc.leadStatus, by: actorName(req) });
+    await doc.save();
+    res.status(201).json({ message: 'Customer created successfully', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// PUT /api/customers/:id
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const doc = await Customer.findById(req.params.id);
+    if (!doc) return notFound(res);
+
+    const update = buildUpdate(req.body);
+    if (has(update, 'name') && !update.name) return res.status(400).json({ message: 'Name is required' });
+    Object.assign(doc, update);
+    if (has(req.body, 'leadStatus')) applyLeadStatus(doc, req.body.leadStatus, { by: actorName(req) });
+
+    await doc.save();
+    res.json({ message: 'Customer updated successfully', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// PATCH /api/customers/:id/status { leadStatus }
+router.patch('/:id/status', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const doc = await Customer.findById(req.params.id);
+    if (!doc) return notFound(res);
+
+    const changed = applyLeadStatus(doc, req.body?.leadStatus, { by: actorName(req) });
+    if (changed) await doc.save();
+    res.json({ message: changed ? `Lead status → ${doc.leadStatus}` : 'No changes detected', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// POST /api/customers/:id/cars { car, kind: viewed | test-drive | bought }
+router.post('/:id/cars', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    if (!mongoose.isValidObjectId(req.body?.car)) return res.status(400).json({ message: 'car must be an id' });
+    const doc = await Customer.findById(req.params.id);
+    if (!doc) return notFound(res);
+
+    const added = recordCarInterest(doc, { car: req.body.car, kind: req.body.kind || 'viewed', by: actorName(req) });
+    if (added) await doc.save();
+    await doc.populate('cars.car', 'rego make model year stage');
+    res.json({ message: added ? 'Car interest recorded' : 'Already recorded', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// DELETE /api/customers/:id — appointments keep their name but lose the link
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const deleted = await Customer.findByIdAndDelete(req.params.id);
+    if (!deleted) return notFound(res);
+    await CustomerAppointment.updateMany({ customer: deleted._id }, { $set: { customer: null } });
+    res.json({ message: 'Customer deleted successfully', data: deleted });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting customer', error: error.message });
+  }
+});
+
+module.exports = router;
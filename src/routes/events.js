@@ -0,0 +1,69 @@
+// src/routes/events.js — GET /api/events: live changes as Server-Sent Events (services/liveEvents.js)
+//
+//   id: <boot>-<seq>
+//   event: car.updated            (car | task | customerAppointment | reconAppointment
+//   data: {"id":"…","rego":"…"}    × created | updated | deleted | changed)
+//
+// EventSource reconnects with Last-Event-ID (or ?lastEventId=) and gets what it missed;
+// "resync" means that isn't possible any more — reload everything.
+const express = require('express');
+const router = express.Router();
+const { currentEventId, eventsSince, subscribe } = require('../services/liveEvents');
+
+const HEARTBEAT_MS = 25_000; // keeps proxies from closing an idle stream
+const RETRY_MS = 3_000;
+
+// roles that only see some entities (everyone else sees everything)
+const ENTITIES_FOR_ROLE = {
+  'reconditioner-viewer': new Set(['reconAppointment']),
+};
+
+const openStreams = new Set();
+
+const frame = (e) => `id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e.data)}\n\n`;
+const control = (event) => `id: ${currentEventId()}\nevent: ${event}\ndata: {}\n\n`;
+
+router.get('/', (req, res) => {
+  const allowed = ENTITIES_FOR_ROLE[req.user?.role] || null;
+  const visible = (e) => !allowed || allowed.has(e.entity);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const missed = lastEventId ? eventsSince(lastEventId) : [];
+  if (missed === null) {
+    res.write(control('resync'));
+  } else {
+    for (const e of missed) if (visible(e)) res.write(frame(e));
+    res.write(control('ready'));
+  }
+
+  const unsubscribe = subscribe((e) => {
+    if (visible(e)) res.write(frame(e));
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    openStreams.delete(res);
+  };
+  openStreams.add(res);
+  req.on('close', close);
+});
+
+/** End every open stream (shutdown: server.close() waits for them otherwise) */
+function closeAllStreams() {
+  for (const res of openStreams) res.end();
+  openStreams.clear();
+}
+
+module.exports = router;
+module.exports.closeAllStreams = closeAllStreams;
@@ -0,0 +1,148 @@
+// src/routes/locations.js — location registry (services/locations.js)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Location = require('../models/Location');
+const { requireRoleForWrites } = require('../middleware/requireRole');
+const { LOCATION_TYPES, assertKeysFree, occupancy, unmatchedLocations } = require('../services/locations');
+
+// Staff can read the registry; only admins change it
+router.use(requireRoleForWrites('admin'));
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+function normalizeStrArray(input) {
+  if (!input) return [];
+  if (Array.isArray(input)) return input.map((s) => String(s || '').trim()).filter(Boolean);
+  return String(input).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/** Build a safe update object from request body. */
+function buildUpdate(body) {
+  const out = {};
+  if (has(body, 'name')) out.name = String(body.name || '').trim();
+  if (has(body, 'aliases')) out.aliases = normalizeStrArray(body.aliases);
+  if (has(body, 'type')) {
+    out.type = String(body.type || '').trim().toLowerCase();
+    if (!LOCATION_TYPES.includes(out.type)) throw badRequest(`type must be one of: ${LOCATION_TYPES.join(', ')}`);
+  }
+  if (has(body, 'address')) out.address = String(body.address || '').trim();
+  if (has(body, 'capacity')) {
+    const raw = body.capacity;
+    out.capacity = raw === null || raw === '' || raw === undefined ? null : Number(raw);
+    if (out.capacity !== null && !(Number.isInteger(out.capacity) && out.capacity >= 0)) {
+      throw badRequest('capacity must be a whole number (or empty for unlimited)');
+    }
+  }
+  if (has(body, 'onPremises')) out.onPremises = Boolean(body.onPremises);
+  if (has(body, 'maxDwellDays')) {
+    const raw = body.maxDwellDays;
+    out.maxDwellDays = raw === null || raw === '' || raw === undefined ? null : Number(raw);
+    if (out.maxDwellDays !== null && !(Number.isFinite(out.maxDwellDays) && out.maxDwellDays >= 0)) {
+      throw badRequest('maxDwellDays must be a number of days (or empty for the default)');
+    }
+  }
+  if (has(body, 'notes')) out.notes = String(body.notes || '').trim();
+  return out;
+}
+
+const notFound = (res) => res.status(404).json({ message: 'Location not found' });
+
+// GET /api/locations — registry with how many cars are at each (?type=)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = String(req.query.type).toLowerCase();
+    const [locations, counts] = await Promise.all([
+      Location.find(filter).sort({ type: 1, name: 1 }).lean(),
+      occupancy(),
+    ]);
+    const data = locations.map((l) => {
+      const cars = counts[l.name] || 0;
+      return { ...l, cars, overCapacity: l.capacity != null && cars > l.capacity };
+    });
+    res.json({ message: 'Locations retrieved successfully', data, types: LOCATION_TYPES });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving locations', error: error.message });
+  }
+});
+
+// GET /api/locations/unmatched — car locations that aren't a registered name or alias
+router.get('/unmatched', async (_req, res) => {
+  try {
+    const data = await unmatchedLocations();
+    res.json({ message: 'Unmatched locations retrieved successfully', data });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving unmatched locations', error: error.message });
+  }
+});
+
+// GET /api/locations/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const doc = await Location.findById(req.params.id).lean();
+    if (!doc) return notFound(res);
+    res.json({ message: 'Location retrieved successfully', data: doc });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving location', error: error.message });
+  }
+});
+
+// POST /api/locations — 409 if the name or an alias already belongs to another location
+router.post('/', async (req, res) => {
+  try {
+    const update = buildUpdate(req.body);
+    if (!update.name) return res.status(400).json({ message: 'Name is required' });
+
+    const doc = new Location(update);
+    await assertKeysFree(doc);
+    await doc.save();
+    res.status(201).json({ message: 'Location created successfully', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// PUT /api/locations/:id — a renamed location keeps its old name as an alias
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const doc = await Location.findById(req.params.id);
+    if (!doc) return notFound(res);
+
+    const update = buildUpdate(req.body);
+    if (has(update, 'name') && !update.name) return res.status(400).json({ message: 'Name is required' });
+
+    const oldName = doc.name;
+    Object.assign(doc, update);
+    if (doc.name !== oldName && !doc.aliases.includes(oldName)) doc.aliases.push(oldName);
+
+    await assertKeysFree(doc);
+    await doc.save();
+    res.json({ message: 'Location updated successfully', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// DELETE /api/locations/:id — cars keep their location text
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const deleted = await Location.findByIdAndDelete(req.params.id);
+    if (!deleted) return notFound(res);
+    res.json({ message: 'Location deleted successfully', data: deleted });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting location', error: error.message });
+  }
+});
+
+module.exports = router;
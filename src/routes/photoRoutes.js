@@ -4,6 +4,11 @@ const multer = require("multer");
 
 const Car = require("../models/Car");
 const timeline = require("../services/logging/timelineLogger");
+const {
+  snapshot,
+  sourceFromRequest,
+  recordCarChanges,
+} = require("../services/carChanges");
 const {
   makeCarPhotoKey,
   uploadBufferToS3,
@@ -84,8 +89,10 @@ router.post("/attach", async (req, res) => {
 
     const exists = (car.photos || []).some((p) => p.key === key);
     if (!exists) {
+      const before = snapshot(car);
       car.photos.push({ key, caption });
       await car.save();
+      await recordCarChanges(car, before, sourceFromRequest(req, { ref: key }));
     }
 
     const url = await getSignedViewUrl(key, 3600);
@@ -117,9 +124,11 @@ router.delete("/:carId", async (req, res) => {
     const car = await Car.findById(req.params.carId);
     if (!car) return res.status(404).json({ message: "Car not found" });
 
+    const before = snapshot(car);
     await deleteObject(key);
     car.photos = (car.photos || []).filter((p) => p.key !== key);
     await car.save();
+    await recordCarChanges(car, before, sourceFromRequest(req, { ref: key }));
 
     console.log(`🗑 [DELETE] ${key}`);
     res.json({ message: "deleted", key });
@@ -141,12 +150,14 @@ router.put("/reorder/:carId", async (req, res) => {
     const car = await Car.findById(carId);
     if (!car) return res.status(404).json({ message: "Car not found" });
 
+    const before = snapshot(car);
     car.photos = photos.map((p) => ({
       key: p.key,
       caption: p.caption || "",
     }));
 
     await car.save();
+    await recordCarChanges(car, before, sourceFromRequest(req));
     console.log(`✅ [REORDER] Saved new photo order for ${car.rego || carId}`);
 
     res.json({ message: "ok", count: car.photos.length });
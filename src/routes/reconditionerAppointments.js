@@ -1,9 +1,26 @@
 // src/routes/reconditionerAppointments.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 
 const ReconditionerAppointment = require('../models/ReconditionerAppointment');
 const Car = require('../models/Car'); // for checklist sync
+const { toItem, ACTIVE_STATUSES } = require('../services/checklist');
+const { requireRole, requireRoleForWrites } = require('../middleware/requireRole');
+const { sourceFromRequest, recordFieldChange } = require('../services/carChanges');
+const { parseMoney } = require('../services/carFinancials');
+const { scheduleFromBody, rangeFilter } = require('../services/dateParsing');
+const {
+  loadEntry,
+  submitQuote,
+  approveQuote,
+  declineQuote,
+  updateProgress,
+  mergeEntries,
+} = require('../services/reconQuotes');
+
+// reconditioner-viewer can read appointments but not change them
+router.use(requireRoleForWrites('admin', 'sales', 'yard'));
 
 /* -----------------------------------------------------------------------------
    Helpers
@@ -13,11 +30,13 @@ const Car = require('../models/Car'); // for checklist sync
  * Build a safe update object.
  * Accepts:
  * - name?: string
- * - dateTime?: string
- * - cars?: Array<{ car?: string, carText?: string, notes?: string }>
+ * - dateTime?: string (re-read into scheduledAt) / scheduledAt?: ISO date, allDay?: boolean
+ * - cars?: Array<{ _id?: string, car?: string, carText?: string, notes?: string, actualCost?: number }>
+ *   (quote / approval state is kept per entry — see services/reconQuotes.js)
  * - category?: string (ObjectId)
+ * `current` is the stored appointment on updates (an unchanged dateTime isn't re-read).
  */
-function buildUpdate(body) {
+function buildUpdate(body, current = null) {
   const out = {};
 
   if (Object.prototype.hasOwnProperty.call(body, 'name')) {
@@ -27,14 +46,20 @@ function buildUpdate(body) {
   if (Object.prototype.hasOwnProperty.call(body, 'dateTime')) {
     out.dateTime = typeof body.dateTime === 'string' ? body.dateTime.trim() : body.dateTime;
   }
+  const schedule = scheduleFromBody(body, { current });
+  if (schedule) Object.assign(out, schedule);
 
   if (Array.isArray(body.cars)) {
     out.cars = body.cars
       .filter((x) => x && (x.car || x.carText)) // must have either car ObjectId or a carText fallback
       .map((x) => ({
+        ...(x._id && { _id: x._id }),
         car: x.car || null,
         carText: typeof x.carText === 'string' ? x.carText.trim() : (x.carText || ''),
         notes: typeof x.notes === 'string' ? x.notes : (x.notes ?? ''),
+        ...(Object.prototype.hasOwnProperty.call(x, 'actualCost') && {
+          actualCost: parseMoney(x.actualCost, 'actualCost'),
+        }),
       }));
   }
 
@@ -53,11 +78,31 @@ const makeEntry = (categoryName, notes) => {
   return n ? `${categoryName}: ${n}` : `${categoryName}`;
 };
 
+const carIdOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Record checklist history for cars touched by a bulk checklist sync.
+ * `beforeCars` are lean { _id, rego, checklist } rows read before the write.
+ */
+async function recordChecklistSync(beforeCars, source) {
+  if (!beforeCars.length) return;
+  const after = await Car.find({ _id: { $in: beforeCars.map((c) => c._id) } }, { rego: 1, checklist: 1 }).lean();
+  const byId = new Map(after.map((c) => [String(c._id), c]));
+  for (const b of beforeCars) {
+    const a = byId.get(String(b._id));
+    if (!a) continue;
+    await recordFieldChange(
+      { carId: b._id, rego: b.rego, field: 'checklist', oldValue: b.checklist || [], newValue: a.checklist || [] },
+      source
+    );
+  }
+}
+
 /**
  * Add "<Category>: <notes>" to each identified car's checklist (no duplicates).
  * Ignores text-only entries (no car id).
  */
-async function addChecklistFromAppointment(populatedDoc) {
+async function addChecklistFromAppointment(populatedDoc, source) {
   const categoryName = populatedDoc?.category?.name || '';
   if (!categoryName) return;
 
@@ -67,43 +112,88 @@ async function addChecklistFromAppointment(populatedDoc) {
     const entry = makeEntry(categoryName, row?.notes);
     ops.push({
       updateOne: {
-        filter: { _id: row.car },
-        update: { $addToSet: { checklist: entry } },
+        // skip if the same line is already open on the car
+        filter: {
+          _id: row.car,
+          checklist: { $not: { $elemMatch: { text: entry, status: { $in: ACTIVE_STATUSES } } } },
+        },
+        update: {
+          $push: {
+            checklist: toItem(entry, { category: categoryName, source: 'recon', createdBy: source?.username || '' }),
+          },
+        },
       }
     });
   }
 
-  if (ops.length) await Car.bulkWrite(ops, { ordered: false });
+  if (!ops.length) return;
+
+  const ids = ops.map((op) => carIdOf(op.updateOne.filter._id));
+  const beforeCars = await Car.find({ _id: { $in: ids } }, { rego: 1, checklist: 1 }).lean();
+  await Car.bulkWrite(ops, { ordered: false });
+  await recordChecklistSync(beforeCars, source);
 }
 
 /**
- * Remove any checklist items that begin with the category name
- * for the cars that belonged to this appointment.
+ * Remove any still-open checklist items that begin with the category name
+ * for the cars that belonged to this appointment (finished ones stay as a record).
  */
-async function removeChecklistForDeletedAppt(populatedDoc) {
+async function removeChecklistForDeletedAppt(populatedDoc, source) {
   const categoryName = populatedDoc?.category?.name || '';
   if (!categoryName) return;
 
-  const carIds = (populatedDoc.cars || []).map((r) => r?.car).filter(Boolean);
+  const carIds = (populatedDoc.cars || []).map((r) => carIdOf(r?.car)).filter(Boolean);
   if (!carIds.length) return;
 
+  const beforeCars = await Car.find({ _id: { $in: carIds } }, { rego: 1, checklist: 1 }).lean();
+  const startsWithCategory = new RegExp(`^${escapeReg(categoryName)}\\b`, 'i');
+  // un-migrated plain-string items (always open); raw driver, as mongoose would cast the
+  // regex to a checklist item
+  await Car.collection.updateMany(
+    { _id: { $in: carIds.map((id) => new mongoose.Types.ObjectId(String(id))) } },
+    { $pull: { checklist: startsWithCategory } }
+  );
   await Car.updateMany(
     { _id: { $in: carIds } },
-    { $pull: { checklist: { $regex: `^${escapeReg(categoryName)}\\b`, $options: 'i' } } }
+    {
+      $pull: {
+        checklist: {
+          text: { $regex: startsWithCategory.source, $options: 'i' },
+          status: { $in: ACTIVE_STATUSES },
+        },
+      },
+    }
   );
+  await recordChecklistSync(beforeCars, source);
 }
 
 /* -----------------------------------------------------------------------------
    Routes
 ----------------------------------------------------------------------------- */
 
-// GET all recon appointments (populated)
-router.get('/', async (_req, res) => {
+// GET recon appointments (populated) — ?status=all (default) | open | closed, ?from=&to= (scheduledAt)
+router.get('/', async (req, res) => {
   try {
-    const appointments = await ReconditionerAppointment.find()
+    const status = String(req.query.status || 'all').toLowerCase();
+    if (!['open', 'closed', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be all, open or closed' });
+    }
+    let range;
+    try {
+      range = rangeFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    const filter = {
+      ...(status === 'all' ? {} : status === 'closed' ? { status: 'closed' } : { status: { $ne: 'closed' } }),
+      ...range,
+    };
+
+    const query = ReconditionerAppointment.find(filter)
       .populate('category', 'name')
-      .populate('cars.car', 'rego make model')
-      .lean();
+      .populate('cars.car', 'rego make model');
+    if (range) query.sort({ scheduledAt: 1 });
+    const appointments = await query.lean();
 
     res.json({ message: 'Appointments retrieved successfully', data: appointments });
   } catch (error) {
@@ -114,7 +204,7 @@ router.get('/', async (_req, res) => {
 // POST create recon appointment
 router.post('/', async (req, res) => {
   try {
-    const doc = new ReconditionerAppointment(req.body);
+    const doc = new ReconditionerAppointment({ ...req.body, ...scheduleFromBody(req.body) });
     await doc.save();
 
     await doc.populate([
@@ -123,7 +213,7 @@ router.post('/', async (req, res) => {
     ]);
 
     // sync checklist: add "<Category>: <notes>" for each identified car
-    await addChecklistFromAppointment(doc);
+    await addChecklistFromAppointment(doc, sourceFromRequest(req));
 
     res.status(201).json({ message: 'Appointment created successfully', data: doc });
   } catch (error) {
@@ -135,14 +225,18 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    const allowed = buildUpdate(req.body);
-
     const doc = await ReconditionerAppointment.findById(id);
     if (!doc) return res.status(404).json({ message: 'Appointment not found' });
 
+    const allowed = buildUpdate(req.body, doc);
+
     if (Object.prototype.hasOwnProperty.call(allowed, 'name')) doc.name = allowed.name;
     if (Object.prototype.hasOwnProperty.call(allowed, 'dateTime')) doc.dateTime = allowed.dateTime;
-    if (Object.prototype.hasOwnProperty.call(allowed, 'cars')) doc.cars = allowed.cars;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'scheduledAt')) {
+      doc.scheduledAt = allowed.scheduledAt;
+      doc.allDay = allowed.allDay;
+    }
+    if (Object.prototype.hasOwnProperty.call(allowed, 'cars')) doc.cars = mergeEntries(doc.cars, allowed.cars);
     if (Object.prototype.hasOwnProperty.call(allowed, 'category')) doc.category = allowed.category;
 
     await doc.save();
@@ -154,7 +248,7 @@ router.put('/:id', async (req, res) => {
 
     // Strategy: simply add any relevant entries (duplicates are prevented)
     // If you want "replace", call removeChecklistForDeletedAppt(doc) first.
-    await addChecklistFromAppointment(doc);
+    await addChecklistFromAppointment(doc, sourceFromRequest(req));
 
     res.json({ message: 'Appointment updated successfully', data: doc });
   } catch (error) {
@@ -163,6 +257,68 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/* -----------------------------------------------------------------------------
+   Quote / approval workflow per car entry (services/reconQuotes.js)
+----------------------------------------------------------------------------- */
+
+const actorName = (req) => req.user?.username || '';
+
+/** Run one workflow step on /:id/cars/:entryId and answer with the populated appointment */
+function entryAction(message, step) {
+  return async (req, res) => {
+    try {
+      const { appt, entry } = await loadEntry(req.params.id, req.params.entryId);
+      const result = await step(appt, entry, req);
+      await appt.populate([
+        { path: 'category', select: 'name approvalThreshold' },
+        { path: 'cars.car', select: 'rego make model' },
+      ]);
+      res.json({
+        message: typeof message === 'function' ? message(result) : message,
+        data: appt,
+      });
+    } catch (error) {
+      res.status(error.status || 400).json({ message: error.message });
+    }
+  };
+}
+
+// POST /:id/cars/:entryId/quote  { amount, notes }
+router.post(
+  '/:id/cars/:entryId/quote',
+  entryAction(
+    (r) => (r.autoApproved ? `Quote recorded and auto-approved (≤ $${r.threshold})` : 'Quote recorded'),
+    (appt, entry, req) =>
+      submitQuote(appt, entry, { amount: req.body?.amount, notes: req.body?.notes, by: actorName(req) })
+  )
+);
+
+// POST /:id/cars/:entryId/approve  { amount? }  (defaults to the quoted amount)
+router.post(
+  '/:id/cars/:entryId/approve',
+  requireRole('admin', 'sales'),
+  entryAction('Quote approved', (appt, entry, req) =>
+    approveQuote(appt, entry, { amount: req.body?.amount, by: actorName(req) })
+  )
+);
+
+// POST /:id/cars/:entryId/decline  { reason? }
+router.post(
+  '/:id/cars/:entryId/decline',
+  requireRole('admin', 'sales'),
+  entryAction('Quote declined', (appt, entry, req) =>
+    declineQuote(appt, entry, { reason: req.body?.reason, by: actorName(req) })
+  )
+);
+
+// PATCH /:id/cars/:entryId  { status?: 'in-progress'|'done', actualCost? }
+router.patch(
+  '/:id/cars/:entryId',
+  entryAction('Recon work updated', (appt, entry, req) =>
+    updateProgress(appt, entry, { status: req.body?.status, actualCost: req.body?.actualCost })
+  )
+);
+
 // DELETE recon appointment
 router.delete('/:id', async (req, res) => {
   try {
@@ -177,7 +333,7 @@ router.delete('/:id', async (req, res) => {
     await ReconditionerAppointment.findByIdAndDelete(req.params.id);
 
     // remove any "<Category ...>" lines for those cars
-    await removeChecklistForDeletedAppt(toDelete);
+    await removeChecklistForDeletedAppt(toDelete, sourceFromRequest(req));
 
     res.json({ message: 'Appointment deleted successfully', data: toDelete });
   } catch (error) {
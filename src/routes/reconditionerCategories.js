@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const ReconditionerCategory = require('../models/ReconditionerCategory');
 const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const { requireRoleForWrites } = require('../middleware/requireRole');
+const { parseMoney } = require('../services/carFinancials');
+
+// Anyone logged in can read categories; only admins can change them
+router.use(requireRoleForWrites('admin'));
 
 function normalizeStrArray(input) {
   if (!input) return [];
@@ -29,11 +34,12 @@ router.post('/', async (req, res) => {
     const rules = normalizeStrArray(req.body?.rules);
     const defaultService = String(req.body?.defaultService || '').trim();
     const onPremises = Boolean(req.body?.onPremises);
+    const approvalThreshold = parseMoney(req.body?.approvalThreshold, 'approvalThreshold'); // null = no approval gate
 
     const last = await ReconditionerCategory.findOne().sort({ sortOrder: -1 }).lean();
     const sortOrder = (last?.sortOrder || 0) + 1;
 
-    const cat = new ReconditionerCategory({ name, keywords, rules, defaultService, onPremises, sortOrder });
+    const cat = new ReconditionerCategory({ name, keywords, rules, defaultService, onPremises, approvalThreshold, sortOrder });
     await cat.save();
     res.status(201).json({ message: 'Category created successfully', data: cat });
   } catch (error) {
@@ -55,6 +61,7 @@ router.put('/:id', async (req, res) => {
     if ('rules' in req.body) patch.rules = normalizeStrArray(req.body.rules);
     if ('defaultService' in req.body) patch.defaultService = String(req.body.defaultService || '').trim();
     if ('onPremises' in req.body) patch.onPremises = Boolean(req.body.onPremises);
+    if ('approvalThreshold' in req.body) patch.approvalThreshold = parseMoney(req.body.approvalThreshold, 'approvalThreshold');
     if ('sortOrder' in req.body) patch.sortOrder = Number(req.body.sortOrder) || 0; // rarely needed directly
 
     const updated = await ReconditionerCategory.findByIdAndUpdate(id, patch, { new: true, runValidators: true });
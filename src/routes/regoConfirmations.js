@@ -0,0 +1,87 @@
+// src/routes/regoConfirmations.js — fuzzy rego matches awaiting a human decision
+const express = require('express');
+const router = express.Router();
+const RegoConfirmation = require('../models/RegoConfirmation');
+const { confirmMatch, confirmNewCar, dismiss } = require('../services/regoConfirmations');
+
+const resolverName = (req) => req.user?.username || '';
+
+/** Load a still-pending confirmation or answer 404/409 */
+async function loadPending(req, res) {
+  const doc = await RegoConfirmation.findById(req.params.id);
+  if (!doc) {
+    res.status(404).json({ message: 'Rego confirmation not found' });
+    return null;
+  }
+  if (doc.status !== 'pending') {
+    res.status(409).json({ message: `Already ${doc.status}`, data: doc });
+    return null;
+  }
+  return doc;
+}
+
+// GET /api/rego-confirmations?status=pending|matched|created|dismissed|all&limit=
+router.get('/', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const q = status === 'all' ? {} : { status };
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const items = await RegoConfirmation.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ message: 'Rego confirmations retrieved successfully', data: items });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving rego confirmations', error: error.message });
+  }
+});
+
+// GET /api/rego-confirmations/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const doc = await RegoConfirmation.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ message: 'Rego confirmation not found' });
+    res.json({ message: 'Rego confirmation retrieved successfully', data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error retrieving rego confirmation', error: error.message });
+  }
+});
+
+// POST /api/rego-confirmations/:id/match  { carId }  → it's that existing car
+router.post('/:id/match', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    const { car } = await confirmMatch(doc, { carId: req.body?.carId, by: resolverName(req) });
+    res.json({ message: `Matched to ${car.rego}`, data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error confirming match', error: error.message });
+  }
+});
+
+// POST /api/rego-confirmations/:id/new  → it's a different car, create it
+router.post('/:id/new', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    const { car, created } = await confirmNewCar(doc, { by: resolverName(req) });
+    res.status(created ? 201 : 200).json({
+      message: created ? `Created car ${car.rego}` : `Car ${car.rego} already exists; matched to it`,
+      data: doc,
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating car', error: error.message });
+  }
+});
+
+// POST /api/rego-confirmations/:id/dismiss  → misread / not one of ours, do nothing
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    await dismiss(doc, { by: resolverName(req) });
+    res.json({ message: 'Rego confirmation dismissed', data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error dismissing rego confirmation', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// src/routes/reports.js — yard-wide reports (profit: admin/sales; stock movement: all staff)
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/requireRole');
+const { profitReport } = require('../services/carFinancials');
+const {
+  DEFAULT_MAX_DWELL_DAYS,
+  TURNAROUND_TYPES,
+  dwellByLocation,
+  overstays,
+  reconTurnaround,
+  daysInStock,
+  agingReport,
+} = require('../services/stockAnalytics');
+const { thresholds } = require('../services/agedStockAlerts');
+const { normalizeStage } = require('../services/carStage');
+const { LOCATION_TYPES } = require('../services/locations');
+const { rangeFilter } = require('../services/dateParsing');
+
+// ?from=&to= read in dealership time like the appointment lists: ISO or phrases, a bare `to` day is inclusive
+const dateRange = (query) => {
+  const f = rangeFilter({ from: query.from, to: query.to }, { field: 'at' });
+  return { from: f?.at.$gte || null, to: f?.at.$lte || null };
+};
+
+// GET /api/reports/profit?from=<ISO date>&to=<ISO date>
+// Gross profit on cars sold in the window (soldAt); no window = every sold car
+router.get('/profit', requireRole('admin', 'sales'), async (req, res) => {
+  try {
+    const { from, to } = dateRange(req.query);
+    const data = await profitReport({ from, to });
+    res.json({ message: 'Profit report generated', data });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating profit report', error: error.message });
+  }
+});
+
+// GET /api/reports/dwell?from=&to= — average / p90 days per location (stays that ended in the window)
+router.get('/dwell', async (req, res) => {
+  try {
+    const { from, to } = dateRange(req.query);
+    const data = await dwellByLocation({ from, to });
+    res.json({ message: 'Dwell report generated', data });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating dwell report', error: error.message });
+  }
+});
+
+// GET /api/reports/overstays?days=14 — cars past their location's maxDwellDays (?days= for unset ones)
+router.get('/overstays', async (req, res) => {
+  try {
+    let defaultDays = DEFAULT_MAX_DWELL_DAYS;
+    if (req.query.days !== undefined) {
+      defaultDays = Number(req.query.days);
+      if (!Number.isFinite(defaultDays) || defaultDays < 0) {
+        return res.status(400).json({ message: 'days must be a number of days' });
+      }
+    }
+    const data = await overstays({ defaultDays });
+    res.json({ message: 'Overstay report generated', data, defaultDays });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating overstay report', error: error.message });
+  }
+});
+
+// GET /api/reports/turnaround?from=&to=&type=reconditioner,detailer — monthly turnaround per location
+router.get('/turnaround', async (req, res) => {
+  try {
+    const { from, to } = dateRange(req.query);
+    const types = req.query.type
+      ? String(req.query.type).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+      : TURNAROUND_TYPES;
+    const unknown = types.filter((t) => !LOCATION_TYPES.includes(t));
+    if (unknown.length) return res.status(400).json({ message: `type must be one of: ${LOCATION_TYPES.join(', ')}` });
+
+    const data = await reconTurnaround({ from, to, types });
+    res.json({ message: 'Turnaround report generated', data });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating turnaround report', error: error.message });
+  }
+});
+
+// GET /api/reports/days-in-stock?from=&to= — first history entry → sold, for cars sold in the window
+router.get('/days-in-stock', async (req, res) => {
+  try {
+    const { from, to } = dateRange(req.query);
+    const data = await daysInStock({ from, to });
+    res.json({ message: 'Days-in-stock report generated', data });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating days-in-stock report', error: error.message });
+  }
+});
+
+// GET /api/reports/aging?stage=In Works,Online — unsold cars bucketed by days in stock,
+// in current stage and at current location, plus the aged-stock alert thresholds
+router.get('/aging', async (req, res) => {
+  try {
+    let stages = null;
+    if (req.query.stage) {
+      const raw = String(req.query.stage).split(',').map((s) => s.trim()).filter(Boolean);
+      stages = raw.map(normalizeStage);
+      if (stages.includes(null)) return res.status(400).json({ message: `Unknown stage in "${req.query.stage}"` });
+    }
+    const data = await agingReport({ stages });
+    res.json({ message: 'Aging report generated', data: { ...data, thresholds: thresholds() } });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Error generating aging report', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// src/routes/reviewQueue.js — pipeline actions held by the audit gate
+const express = require('express');
+const router = express.Router();
+const PendingAction = require('../models/PendingAction');
+const { sourceFromRequest } = require('../services/carChanges');
+const {
+  editPending,
+  approvePending,
+  rejectPending,
+} = require('../services/reviewQueue');
+
+const reviewerName = (req) => req.user?.username || '';
+
+/** Load a still-pending item or answer 404/409 */
+async function loadPending(req, res) {
+  const doc = await PendingAction.findById(req.params.id);
+  if (!doc) {
+    res.status(404).json({ message: 'Pending action not found' });
+    return null;
+  }
+  if (doc.status !== 'pending') {
+    res.status(409).json({ message: `Already ${doc.status}`, data: doc });
+    return null;
+  }
+  return doc;
+}
+
+// GET /api/review-queue?status=pending|approved|rejected|all&limit=
+router.get('/', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const q = status === 'all' ? {} : { status };
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const items = await PendingAction.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ message: 'Review queue retrieved successfully', data: items });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving review queue', error: error.message });
+  }
+});
+
+// GET /api/review-queue/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const doc = await PendingAction.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ message: 'Pending action not found' });
+    res.json({ message: 'Pending action retrieved successfully', data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error retrieving pending action', error: error.message });
+  }
+});
+
+// PUT /api/review-queue/:id  { ...action fields }  → edit without applying
+router.put('/:id', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    await editPending(doc, req.body || {});
+    res.json({ message: 'Pending action updated', data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating pending action', error: error.message });
+  }
+});
+
+// POST /api/review-queue/:id/approve  { action?: { ...edits } }
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    await approvePending(doc, {
+      patch: req.body?.action || null,
+      source: sourceFromRequest(req),
+      by: reviewerName(req),
+    });
+    res.json({ message: 'Action approved and applied', data: doc });
+  } catch (error) {
+    console.error('Review approve error:', error);
+    res.status(400).json({ message: 'Error approving action', error: error.message });
+  }
+});
+
+// POST /api/review-queue/:id/reject  { reason? }
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const doc = await loadPending(req, res);
+    if (!doc) return;
+    await rejectPending(doc, { reason: req.body?.reason, by: reviewerName(req) });
+    res.json({ message: 'Action rejected', data: doc });
+  } catch (error) {
+    res.status(400).json({ message: 'Error rejecting action', error: error.message });
+  }
+});
+
+module.exports = router;
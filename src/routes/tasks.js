@@ -1,10 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const { parseMoney } = require('../services/carFinancials');
+const { rangeFilter } = require('../services/dateParsing');
+const {
+  TASK_STATUSES,
+  PRIORITIES,
+  OPEN_FILTER,
+  carsInTransit,
+  normalizeAssignee,
+  resolveAssignee,
+  parseDue,
+  applyTaskStatus,
+  compareTasks,
+} = require('../services/tasks');
+
+const actorName = (req) => req.user?.username || '';
 
 /**
  * Build a safe update object from request body (only fields we allow).
  * Supports linking a car by ObjectId OR using carText as a fallback label.
+ * status and assignee are applied separately (applyTaskStatus / resolveAssignee).
  */
 function buildUpdate(body) {
   const out = {};
@@ -29,13 +46,105 @@ function buildUpdate(body) {
     out.notes = typeof body.notes === 'string' ? body.notes.trim() : body.notes;
   }
 
+  // cost: money spent on it ("$120" ok; empty clears)
+  if (Object.prototype.hasOwnProperty.call(body, 'cost')) {
+    out.cost = parseMoney(body.cost, 'cost');
+  }
+
+  // priority: low | normal | high | urgent
+  if (Object.prototype.hasOwnProperty.call(body, 'priority')) {
+    out.priority = String(body.priority || 'normal').trim().toLowerCase();
+    if (!PRIORITIES.includes(out.priority)) {
+      const err = new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  // drop-offs: kind "drop-off" + where from / to (arrival at destination completes it)
+  if (Object.prototype.hasOwnProperty.call(body, 'kind')) {
+    out.kind = String(body.kind || 'task').trim().toLowerCase();
+    if (!Task.TASK_KINDS.includes(out.kind)) {
+      const err = new Error(`kind must be one of: ${Task.TASK_KINDS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'origin')) out.origin = String(body.origin || '').trim();
+  if (Object.prototype.hasOwnProperty.call(body, 'destination')) out.destination = String(body.destination || '').trim();
+
+  // dueAt: ISO or a phrase ("friday 3pm"); empty clears
+  if (Object.prototype.hasOwnProperty.call(body, 'dueAt')) {
+    out.dueAt = parseDue(body.dueAt);
+  }
+
   return out;
 }
 
-// GET all tasks
-router.get('/', async (_req, res) => {
+/**
+ * GET /api/tasks filters:
+ *   ?status=open (default) | done | cancelled | all
+ *   ?assignee=<name> | ?mine=true   ?priority=   ?car=<id>   ?kind=task|drop-off
+ *   ?overdue=true   ?from=&to= (dueAt range)
+ * Open, urgent and soon-due tasks come first.
+ */
+function taskFilter(req) {
+  const q = req.query;
+  const filter = {};
+
+  const status = String(q.status || 'open').toLowerCase();
+  if (status === 'open') Object.assign(filter, OPEN_FILTER);
+  else if (status !== 'all') {
+    if (!TASK_STATUSES.includes(status)) throw new Error(`status must be one of: ${TASK_STATUSES.join(', ')}, all`);
+    filter.status = status;
+  }
+
+  if (String(q.mine) === 'true') filter.assignee = normalizeAssignee(req.user?.username);
+  else if (q.assignee !== undefined) filter.assignee = normalizeAssignee(q.assignee);
+
+  if (q.priority) {
+    const priority = String(q.priority).toLowerCase();
+    if (!PRIORITIES.includes(priority)) throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+    filter.priority = priority === 'normal' ? { $in: ['normal', null] } : priority;
+  }
+
+  if (q.car) {
+    if (!mongoose.isValidObjectId(q.car)) throw new Error('car must be an id');
+    filter.car = q.car;
+  }
+  if (q.kind) filter.kind = String(q.kind).toLowerCase() === 'task' ? { $in: ['task', null] } : String(q.kind).toLowerCase();
+
+  const due = rangeFilter(q, { field: 'dueAt' });
+  if (due) filter.dueAt = due.dueAt;
+  if (String(q.overdue) === 'true') {
+    Object.assign(filter, OPEN_FILTER);
+    filter.dueAt = { ...filter.dueAt, $lt: new Date() };
+  }
+  return filter;
+}
+
+// GET /api/tasks/in-transit — open drop-offs: car, origin → destination and where it is now
+router.get('/in-transit', async (_req, res) => {
+  try {
+    const data = await carsInTransit();
+    res.json({ message: 'Cars in transit retrieved successfully', data });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving cars in transit', error: error.message });
+  }
+});
+
+// GET tasks (see taskFilter)
+router.get('/', async (req, res) => {
+  let filter;
+  try {
+    filter = taskFilter(req);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
   try {
-    const tasks = await Task.find().populate('car', 'rego make model').lean();
+    const tasks = await Task.find(filter).populate('car', 'rego make model').lean();
+    tasks.sort(compareTasks);
     res.json({ message: 'Tasks retrieved successfully', data: tasks });
   } catch (error) {
     res.status(500).json({ message: 'Error retrieving tasks', error: error.message });
@@ -45,14 +154,18 @@ router.get('/', async (_req, res) => {
 // POST create task
 router.post('/', async (req, res) => {
   try {
-    // accept task, car, carText, notes
+    // accept task, car, carText, notes, cost, priority, dueAt, assignee, status, kind, origin, destination
     const payload = buildUpdate(req.body);
+    if (Object.prototype.hasOwnProperty.call(req.body, 'assignee')) {
+      Object.assign(payload, await resolveAssignee(req.body.assignee));
+    }
     const doc = new Task(payload);
+    if (req.body.status) applyTaskStatus(doc, req.body.status, { by: actorName(req) });
     await doc.save();
     const populated = await doc.populate('car', 'rego make model');
     res.status(201).json({ message: 'Task created successfully', data: populated });
   } catch (error) {
-    res.status(400).json({ message: 'Error creating task', error: error.message });
+    res.status(error.status || 400).json({ message: 'Error creating task', error: error.message });
   }
 });
 
@@ -71,6 +184,14 @@ router.put('/:id', async (req, res) => {
       car: doc.car ? String(doc.car) : '',
       carText: doc.carText ?? '',
       notes: doc.notes ?? '',
+      cost: doc.cost ?? '',
+      priority: doc.priority ?? '',
+      dueAt: doc.dueAt ? doc.dueAt.getTime() : '',
+      assignee: doc.assignee ?? '',
+      status: doc.status ?? '',
+      kind: doc.kind ?? '',
+      origin: doc.origin ?? '',
+      destination: doc.destination ?? '',
     };
 
     // Apply allowed fields only
@@ -78,6 +199,16 @@ router.put('/:id', async (req, res) => {
     if (Object.prototype.hasOwnProperty.call(allowed, 'car')) doc.car = allowed.car; // may be null to clear
     if (Object.prototype.hasOwnProperty.call(allowed, 'carText')) doc.carText = allowed.carText;
     if (Object.prototype.hasOwnProperty.call(allowed, 'notes')) doc.notes = allowed.notes;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'cost')) doc.cost = allowed.cost;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'priority')) doc.priority = allowed.priority;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'dueAt')) doc.dueAt = allowed.dueAt;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'kind')) doc.kind = allowed.kind;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'origin')) doc.origin = allowed.origin;
+    if (Object.prototype.hasOwnProperty.call(allowed, 'destination')) doc.destination = allowed.destination;
+    if (Object.prototype.hasOwnProperty.call(req.body, 'assignee')) {
+      Object.assign(doc, await resolveAssignee(req.body.assignee));
+    }
+    if (req.body.status) applyTaskStatus(doc, req.body.status, { by: actorName(req) });
 
     // Diff
     const after = {
@@ -85,6 +216,14 @@ router.put('/:id', async (req, res) => {
       car: doc.car ? String(doc.car) : '',
       carText: doc.carText ?? '',
       notes: doc.notes ?? '',
+      cost: doc.cost ?? '',
+      priority: doc.priority ?? '',
+      dueAt: doc.dueAt ? doc.dueAt.getTime() : '',
+      assignee: doc.assignee ?? '',
+      status: doc.status ?? '',
+      kind: doc.kind ?? '',
+      origin: doc.origin ?? '',
+      destination: doc.destination ?? '',
     };
     const changed = Object.keys(after).some(k => String(before[k] ?? '') !== String(after[k] ?? ''));
 
@@ -98,7 +237,22 @@ router.put('/:id', async (req, res) => {
     res.json({ message: 'Task updated successfully', data: populated });
   } catch (error) {
     console.error('Update error:', error);
-    res.status(400).json({ message: 'Error updating task', error: error.message });
+    res.status(error.status || 400).json({ message: 'Error updating task', error: error.message });
+  }
+});
+
+// PATCH /api/tasks/:id/status { status: open | done | cancelled }
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const doc = await Task.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Task not found' });
+
+    const changed = applyTaskStatus(doc, req.body?.status, { by: actorName(req) });
+    if (changed) await doc.save();
+    const populated = await doc.populate('car', 'rego make model');
+    res.json({ message: changed ? `Task ${doc.status}` : 'No changes detected', data: populated });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
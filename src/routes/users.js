@@ -0,0 +1,122 @@
+// src/routes/users.js — admin-only user management
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+
+const ROLES = User.ROLES;
+
+/**
+ * Build a safe update object from request body.
+ * Password is handled separately (hashed via user.setPassword).
+ */
+function buildUpdate(body) {
+  const out = {};
+
+  if (Object.prototype.hasOwnProperty.call(body, 'username')) {
+    out.username = String(body.username || '').trim().toLowerCase();
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'name')) {
+    out.name = String(body.name || '').trim();
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'role')) {
+    out.role = String(body.role || '').trim();
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'active')) {
+    const v = body.active;
+    out.active = typeof v === 'string' ? v.toLowerCase() === 'true' : Boolean(v);
+  }
+
+  return out;
+}
+
+// GET /api/users
+router.get('/', async (_req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 }).lean();
+    res.json({ message: 'Users retrieved successfully', data: users, roles: ROLES });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving users', error: error.message });
+  }
+});
+
+// GET /api/users/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json({ message: 'User retrieved successfully', data: user });
+  } catch (error) {
+    res.status(400).json({ message: 'Error retrieving user', error: error.message });
+  }
+});
+
+// POST /api/users  { username, password, name?, role? }
+router.post('/', async (req, res) => {
+  try {
+    const payload = buildUpdate(req.body || {});
+    if (!payload.username) return res.status(400).json({ message: 'Username is required' });
+    if (payload.role && !ROLES.includes(payload.role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = new User(payload);
+    await user.setPassword(req.body?.password);
+    await user.save();
+
+    res.status(201).json({ message: 'User created successfully', data: user.toJSON() });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A user with this username already exists.' });
+    }
+    res.status(400).json({ message: 'Error creating user', error: error.message });
+  }
+});
+
+// PUT /api/users/:id  { username?, name?, role?, active?, password? }
+router.put('/:id', async (req, res) => {
+  try {
+    const update = buildUpdate(req.body || {});
+    if ('role' in update && !ROLES.includes(update.role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // An admin can't demote or deactivate themselves (avoids locking everyone out)
+    const isSelf = req.user?.id && String(user._id) === req.user.id;
+    if (isSelf && (('role' in update && update.role !== 'admin') || update.active === false)) {
+      return res.status(400).json({ message: 'You cannot demote or deactivate your own account' });
+    }
+
+    Object.assign(user, update);
+    if (req.body?.password) await user.setPassword(req.body.password);
+
+    await user.save();
+    res.json({ message: 'User updated successfully', data: user.toJSON() });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A user with this username already exists.' });
+    }
+    res.status(400).json({ message: 'Error updating user', error: error.message });
+  }
+});
+
+// DELETE /api/users/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    if (req.user?.id && req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    const deleted = await User.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: 'User not found' });
+    res.json({ message: 'User deleted successfully', data: deleted.toJSON() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting user', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// src/routes/vin.js — offline VIN decoding (services/vinDecoder.js)
+const express = require('express');
+const router = express.Router();
+const Car = require('../models/Car');
+const { decodeVin, vinMismatches } = require('../services/vinDecoder');
+
+// GET /api/vin/:vin/decode?make=&year=
+// make/year (optional) are compared with the decoded values → data.mismatches
+router.get('/:vin/decode', async (req, res) => {
+  try {
+    const decoded = decodeVin(req.params.vin);
+    if (decoded.vin.length !== 17) {
+      return res.status(400).json({ message: decoded.problem });
+    }
+
+    const mismatches = vinMismatches(decoded, { make: req.query.make, year: req.query.year });
+    const car = decoded.valid
+      ? await Car.findOne({ vin: decoded.vin }, { rego: 1, make: 1, model: 1, year: 1 }).lean()
+      : null;
+
+    res.json({ message: 'VIN decoded', data: { ...decoded, mismatches, car } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error decoding VIN', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+// src/routes/webhooks.js — admin-only outbound webhook subscriptions (services/webhooks.js)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  newSecret,
+  hostProblem,
+  sendTestEvent,
+  redeliver,
+} = require('../services/webhooks');
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+function normalizeStrArray(input) {
+  if (!input) return [];
+  if (Array.isArray(input)) return input.map((s) => String(s || '').trim()).filter(Boolean);
+  return String(input).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function parseUrl(raw) {
+  const s = String(raw || '').trim();
+  let url;
+  try {
+    url = new URL(s);
+  } catch {
+    throw badRequest('url must be a full http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw badRequest('url must be a full http(s) URL');
+  const problem = hostProblem(url.hostname);
+  if (problem) throw badRequest(`url can't be used: ${problem}`);
+  return url.toString();
+}
+
+/** Build a safe update object from request body. */
+function buildUpdate(body) {
+  const out = {};
+  if (has(body, 'name')) out.name = String(body.name || '').trim();
+  if (has(body, 'url')) out.url = parseUrl(body.url);
+  if (has(body, 'events')) {
+    out.events = [...new Set(normalizeStrArray(body.events))];
+    if (!out.events.length) throw badRequest('events must list at least one event (or *)');
+    const unknown = out.events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw badRequest(`Unknown event(s): ${unknown.join(', ')}. Use: *, ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (has(body, 'active')) {
+    const v = body.active;
+    out.active = typeof v === 'string' ? v.toLowerCase() === 'true' : Boolean(v);
+  }
+  if (has(body, 'description')) out.description = String(body.description || '').trim();
+  return out;
+}
+
+const notFound = (res) => res.status(404).json({ message: 'Webhook not found' });
+const deliveryNotFound = (res) => res.status(404).json({ message: 'Delivery not found' });
+
+// GET /api/webhooks — subscriptions with the last delivery's status
+router.get('/', async (_req, res) => {
+  try {
+    const hooks = await Webhook.find().sort({ name: 1 }).lean();
+    const last = await WebhookDelivery.aggregate([
+      { $match: { webhook: { $in: hooks.map((h) => h._id) } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$webhook', status: { $first: '$status' }, at: { $first: '$createdAt' } } },
+    ]);
+    const lastBy = new Map(last.map((l) => [String(l._id), { status: l.status, at: l.at }]));
+    const data = hooks.map((h) => ({ ...h, lastDelivery: lastBy.get(String(h._id)) || null }));
+    res.json({ message: 'Webhooks retrieved successfully', data, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving webhooks', error: error.message });
+  }
+});
+
+// GET /api/webhooks/deliveries/:deliveryId — one delivery with its payload and attempts
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.deliveryId)) return deliveryNotFound(res);
+    const doc = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!doc) return deliveryNotFound(res);
+    res.json({ message: 'Delivery retrieved successfully', data: doc });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving delivery', error: error.message });
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver — send the same payload again now
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.deliveryId)) return deliveryNotFound(res);
+    const data = await redeliver(req.params.deliveryId);
+    const message = data.status === 'success' ? 'Delivery redelivered successfully' : `Redelivery failed: ${data.lastError}`;
+    res.json({ message, data });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// GET /api/webhooks/:id — includes the signing secret
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const doc = await Webhook.findById(req.params.id).select('+secret').lean();
+    if (!doc) return notFound(res);
+    res.json({ message: 'Webhook retrieved successfully', data: doc });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving webhook', error: error.message });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries?status=&event=&limit= — delivery log, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const filter = { webhook: req.params.id };
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.event) filter.event = String(req.query.event);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const data = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ message: 'Deliveries retrieved successfully', data, maxAttempts: MAX_ATTEMPTS });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving deliveries', error: error.message });
+  }
+});
+
+// POST /api/webhooks — the secret is generated unless one is given, and returned once here
+router.post('/', async (req, res) => {
+  try {
+    const update = buildUpdate(req.body);
+    if (!update.name) return res.status(400).json({ message: 'Name is required' });
+    if (!update.url) return res.status(400).json({ message: 'URL is required' });
+
+    const secret = String(req.body.secret || '').trim() || newSecret();
+    const doc = await Webhook.create({ ...update, secret, createdBy: req.user?.username || '' });
+    res.status(201).json({ message: 'Webhook created successfully', data: { ...doc.toObject(), secret } });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// PUT /api/webhooks/:id
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const update = buildUpdate(req.body);
+    if (has(update, 'name') && !update.name) return res.status(400).json({ message: 'Name is required' });
+
+    const doc = await Webhook.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    if (!doc) return notFound(res);
+    res.json({ message: 'Webhook updated successfully', data: doc });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret — receivers must switch to the new secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const secret = newSecret();
+    const doc = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true }).lean();
+    if (!doc) return notFound(res);
+    res.json({ message: 'Webhook secret rotated', data: { ...doc, secret } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error rotating webhook secret', error: error.message });
+  }
+});
+
+// POST /api/webhooks/:id/test — send a "ping" event and report what came back
+router.post('/:id/test', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const hook = await Webhook.findById(req.params.id).lean();
+    if (!hook) return notFound(res);
+
+    const data = await sendTestEvent(hook, { by: req.user?.username || '' });
+    const message = data.status === 'success' ? 'Test event delivered' : `Test event failed: ${data.lastError}`;
+    res.json({ message, data });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending test event', error: error.message });
+  }
+});
+
+// DELETE /api/webhooks/:id — its delivery log goes with it
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const deleted = await Webhook.findByIdAndDelete(req.params.id);
+    if (!deleted) return notFound(res);
+    await WebhookDelivery.deleteMany({ webhook: deleted._id });
+    res.json({ message: 'Webhook deleted successfully', data: deleted });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting webhook', error: error.message });
+  }
+});
+
+module.exports = router;
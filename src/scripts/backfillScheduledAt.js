@@ -0,0 +1,63 @@
+// backend/src/scripts/backfillScheduledAt.js
+// Fills scheduledAt on customer / recon appointments created before it existed, by reading
+// their dateTime text relative to when the appointment was created (services/dateParsing.js).
+// Usage:
+//   node src/scripts/backfillScheduledAt.js            -> backfill
+//   node src/scripts/backfillScheduledAt.js --dry-run  -> report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const CustomerAppointment = require('../models/CustomerAppointment');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const { parseScheduledAt, formatScheduled } = require('../services/dateParsing');
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI missing in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function backfill(Model, label) {
+  const cursor = Model.collection.find(
+    { dateTime: { $nin: ['', null] }, scheduledAt: null },
+    { projection: { name: 1, dateTime: 1, createdAt: 1, dateCreated: 1 } }
+  );
+
+  let read = 0;
+  let unread = 0;
+  for await (const doc of cursor) {
+    const ref = doc.createdAt || doc.dateCreated || new Date();
+    const when = parseScheduledAt(doc.dateTime, { ref });
+    if (!when) {
+      unread++;
+      console.log(`- ${label} ${doc.name}: "${doc.dateTime}" → (couldn't read)`);
+      continue;
+    }
+    read++;
+    console.log(`- ${label} ${doc.name}: "${doc.dateTime}" → ${formatScheduled(when.at, { allDay: when.allDay })}`);
+    if (!DRY_RUN) {
+      await Model.collection.updateOne({ _id: doc._id }, { $set: { scheduledAt: when.at, allDay: when.allDay } });
+    }
+  }
+  console.log(`${DRY_RUN ? '🔎 Would fill' : '🧾 Filled'} ${read} ${label} appointment(s), ${unread} left unscheduled`);
+}
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Connected');
+
+  await backfill(CustomerAppointment, 'customer');
+  await backfill(ReconditionerAppointment, 'recon');
+
+  await mongoose.disconnect();
+  console.log('✅ Done, disconnected');
+}
+
+main().catch(async (e) => {
+  console.error('❌ Backfill error:', e.message);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
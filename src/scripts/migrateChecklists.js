@@ -0,0 +1,76 @@
+// backend/src/scripts/migrateChecklists.js
+// Converts legacy string checklists (["Tyres", ...]) into checklist item sub-documents.
+// Usage:
+//   node src/scripts/migrateChecklists.js            -> migrate
+//   node src/scripts/migrateChecklists.js --dry-run  -> report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Car = require('../models/Car');
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI missing in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// same _id the item already had while loaded as a legacy string (Car.legacyItemId)
+const toItem = (carId, index, text, createdAt) => ({
+  _id: Car.legacyItemId(carId, index, text),
+  text: String(text).replace(/\s+/g, ' ').trim(),
+  category: '',
+  status: 'open',
+  assignee: '',
+  source: 'migration',
+  createdBy: '',
+  createdAt,
+  completedAt: null,
+  completedBy: '',
+  photoKeys: [],
+});
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Connected');
+
+  // Raw driver: mongoose would already coerce the strings on load
+  const cursor = Car.collection.find(
+    { checklist: { $type: 'string' } },
+    { projection: { rego: 1, checklist: 1, updatedAt: 1, dateCreated: 1 } }
+  );
+
+  let cars = 0;
+  let items = 0;
+  for await (const doc of cursor) {
+    const createdAt = doc.updatedAt || doc.dateCreated || new Date();
+    const seen = new Set();
+    const checklist = [];
+    for (const [i, x] of (doc.checklist || []).entries()) {
+      const item = typeof x === 'string' ? toItem(doc._id, i, x, createdAt) : x;
+      const key = String(item?.text || '').toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      checklist.push(item);
+      if (typeof x === 'string') items++;
+    }
+
+    cars++;
+    console.log(`- ${doc.rego}: ${checklist.length} item(s)`);
+    if (!DRY_RUN) {
+      await Car.collection.updateOne({ _id: doc._id }, { $set: { checklist } });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Would migrate' : '🧾 Migrated'} ${items} item(s) on ${cars} car(s)`);
+  await mongoose.disconnect();
+  console.log('✅ Done, disconnected');
+}
+
+main().catch(async (e) => {
+  console.error('❌ Migration error:', e.message);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
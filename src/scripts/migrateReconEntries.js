@@ -0,0 +1,57 @@
+// backend/src/scripts/migrateReconEntries.js
+// Gives older ReconditionerAppointment.cars[] entries an _id and a workflow status,
+// so they can be quoted / approved by id (services/reconQuotes.js).
+// Usage:
+//   node src/scripts/migrateReconEntries.js            -> migrate
+//   node src/scripts/migrateReconEntries.js --dry-run  -> report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI missing in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Connected');
+
+  // Raw driver: mongoose would invent a fresh _id on every load
+  const cursor = ReconditionerAppointment.collection.find(
+    { cars: { $elemMatch: { _id: { $exists: false } } } },
+    { projection: { name: 1, cars: 1, createdAt: 1, dateCreated: 1 } }
+  );
+
+  let appts = 0;
+  let entries = 0;
+  for await (const doc of cursor) {
+    const requestedAt = doc.createdAt || doc.dateCreated || new Date();
+    const cars = (doc.cars || []).map((c) => {
+      if (c._id) return c;
+      entries++;
+      return { _id: new mongoose.Types.ObjectId(), status: 'requested', requestedAt, ...c };
+    });
+
+    appts++;
+    console.log(`- ${doc.name}: ${cars.length} car(s)`);
+    if (!DRY_RUN) {
+      await ReconditionerAppointment.collection.updateOne({ _id: doc._id }, { $set: { cars } });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Would migrate' : '🧾 Migrated'} ${entries} entr(ies) on ${appts} appointment(s)`);
+  await mongoose.disconnect();
+  console.log('✅ Done, disconnected');
+}
+
+main().catch(async (e) => {
+  console.error('❌ Migration error:', e.message);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+// backend/src/scripts/normalizeLocations.js
+// Rewrites location text saved before the location registry (or before an alias was added)
+// to the registered name: car location, next locations and location history, and drop-off
+// task origin / destination. Text that matches no registered name or alias is left alone.
+// Usage:
+//   node src/scripts/normalizeLocations.js            -> rewrite
+//   node src/scripts/normalizeLocations.js --dry-run  -> report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Car = require('../models/Car');
+const Task = require('../models/Task');
+const { loadLocationResolver } = require('../services/locations');
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI missing in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function normalizeCars(resolve) {
+  const cursor = Car.collection.find({}, { projection: { rego: 1, location: 1, nextLocations: 1, history: 1 } });
+
+  let changed = 0;
+  for await (const car of cursor) {
+    const set = {};
+    const renames = [];
+    const note = (from, to) => {
+      if (from !== to && !renames.includes(`"${from}" → "${to}"`)) renames.push(`"${from}" → "${to}"`);
+    };
+
+    if (car.location) {
+      const loc = resolve(car.location);
+      if (loc !== car.location) set.location = loc;
+      note(car.location, loc);
+    }
+
+    if (Array.isArray(car.nextLocations) && car.nextLocations.length) {
+      const next = [...new Set(car.nextLocations.map(resolve).filter(Boolean))];
+      if (JSON.stringify(next) !== JSON.stringify(car.nextLocations)) set.nextLocations = next;
+      car.nextLocations.forEach((l) => note(l, resolve(l)));
+    }
+
+    if (Array.isArray(car.history) && car.history.length) {
+      let dirty = false;
+      const history = car.history.map((h) => {
+        if (!h?.location) return h;
+        const loc = resolve(h.location);
+        if (loc === h.location) return h;
+        dirty = true;
+        note(h.location, loc);
+        return { ...h, location: loc };
+      });
+      if (dirty) set.history = history;
+    }
+
+    if (!Object.keys(set).length) continue;
+    changed++;
+    console.log(`- ${car.rego || car._id}: ${renames.join(', ')}`);
+    if (!DRY_RUN) await Car.collection.updateOne({ _id: car._id }, { $set: set });
+  }
+  console.log(`${DRY_RUN ? '🔎 Would update' : '🧾 Updated'} ${changed} car(s)`);
+}
+
+async function normalizeTasks(resolve) {
+  const cursor = Task.collection.find(
+    { kind: 'drop-off' },
+    { projection: { task: 1, origin: 1, destination: 1 } }
+  );
+
+  let changed = 0;
+  for await (const task of cursor) {
+    const set = {};
+    for (const f of ['origin', 'destination']) {
+      if (task[f] && resolve(task[f]) !== task[f]) set[f] = resolve(task[f]);
+    }
+    if (!Object.keys(set).length) continue;
+    changed++;
+    console.log(`- task "${task.task}": ${Object.entries(set).map(([f, v]) => `${f} "${task[f]}" → "${v}"`).join(', ')}`);
+    if (!DRY_RUN) await Task.collection.updateOne({ _id: task._id }, { $set: set });
+  }
+  console.log(`${DRY_RUN ? '🔎 Would update' : '🧾 Updated'} ${changed} drop-off task(s)`);
+}
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Connected');
+
+  const resolve = await loadLocationResolver();
+  await normalizeCars(resolve);
+  await normalizeTasks(resolve);
+
+  await mongoose.disconnect();
+  console.log('✅ Done, disconnected');
+}
+
+main().catch(async (e) => {
+  console.error('❌ Normalize error:', e.message);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
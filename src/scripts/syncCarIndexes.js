@@ -0,0 +1,46 @@
+// backend/src/scripts/syncCarIndexes.js
+// Brings the cars collection's indexes in line with models/Car.js: builds missing ones and
+// drops those the schema no longer declares (e.g. the default-collation list indexes that
+// the case-insensitive *_ci ones replaced).
+// Usage:
+//   node src/scripts/syncCarIndexes.js            -> sync
+//   node src/scripts/syncCarIndexes.js --dry-run  -> report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Car = require('../models/Car');
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI missing in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// diffIndexes() lists new indexes as keys, or [keys, options]
+const indexLabel = (ix) => (Array.isArray(ix) ? ix[1]?.name || JSON.stringify(ix[0]) : JSON.stringify(ix));
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Connected');
+
+  const { toDrop, toCreate } = await Car.diffIndexes();
+  console.log(`to create: ${toCreate.map(indexLabel).join(', ') || '-'}`);
+  console.log(`to drop:   ${toDrop.join(', ') || '-'}`);
+
+  if (!DRY_RUN) {
+    const dropped = await Car.syncIndexes();
+    console.log(`🧾 Synced indexes (${dropped.length} dropped)`);
+  }
+
+  await mongoose.disconnect();
+  console.log('✅ Done, disconnected');
+}
+
+main().catch(async (e) => {
+  console.error('❌ Index sync error:', e.message);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
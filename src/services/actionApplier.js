@@ -0,0 +1,128 @@
+// src/services/actionApplier.js
+// Applies one pipeline action to the DB through the normal updaters/creators.
+// Shared by the Telegram batch flush and the web review queue.
+
+const {
+  applyLocationUpdate,
+  applySold,
+  addChecklistItem,
+  setReadinessStatus,
+  setNextLocation,
+} = require('./updaters/carUpdater');
+
+const {
+  createDropOffTask,
+  createGenericTask,
+} = require('./creators/taskCreator');
+const { createCustomerAppointment } = require('./creators/customerAppointmentCreator');
+const { createReconditionerAppointment } = require('./creators/reconAppointmentCreator');
+const { createdEntry } = require('./batchLog');
+const { formatScheduled } = require('./dateParsing');
+
+// " @ tomorrow at 12 (Wed 21 Oct, 12:00 pm)" — the resolved time shows whether we read it right
+function whenLabel(appt) {
+  if (!appt?.dateTime) return '';
+  const resolved = formatScheduled(appt.scheduledAt, { allDay: appt.allDay });
+  return ` @ ${appt.dateTime}${resolved ? ` (${resolved})` : ''}`;
+}
+
+/**
+ * @returns {Promise<{ msg: string, changes: Array<object> }>}
+ *   msg: one-line chat summary; changes: reversible entries for the batch log
+ * Throws on failure (caller reports the error).
+ */
+async function applyAction(a, tctx) {
+  const changes = [];
+  let msg = '';
+  switch (a.type) {
+    case 'LOCATION_UPDATE': {
+      const r = await applyLocationUpdate(a, tctx);
+      changes.push(r.change);
+      msg = r.changed
+        ? `✅ ${r.car.rego} location: "${r.previousLocation || '-'}" → "${r.car.location}"`
+        : `ℹ️ ${r.car.rego} already at "${r.car.location}"`;
+      for (const d of r.arrivals || []) {
+        changes.push(d.change);
+        msg += `\n   📦 Drop-off done: ${d.task.task}`;
+      }
+      break;
+    }
+    case 'SOLD': {
+      const r = await applySold(a, tctx);
+      // recon appointments the Sold hook closed reopen on /undo with the car
+      changes.push(r.change, ...(r.hookChanges || []));
+      msg = r.changed
+        ? `✅ ${r.car.rego} marked Sold`
+        : `ℹ️ ${r.car.rego} already Sold`;
+      break;
+    }
+    case 'REPAIR': {
+      const r = await addChecklistItem(a, tctx);
+      changes.push(r.change);
+      msg = r.ticked
+        ? `☑️ ${r.car.rego} checklist done: ${r.item}`
+        : `🛠️ ${r.car.rego} checklist + ${r.item}`;
+      break;
+    }
+    case 'READY': {
+      const r = await setReadinessStatus(a, tctx);
+      changes.push(r.change);
+      msg = `✅ ${r.car.rego} readiness → ${r.readiness}${r.ticked ? ` (☑️ ${r.ticked})` : ''}`;
+      break;
+    }
+    case 'DROP_OFF': {
+      const r = await createDropOffTask(a, tctx);
+      changes.push(createdEntry('Task', r.task, r.task.task));
+      msg = `📦 Task: ${r.task.task}`;
+      break;
+    }
+    case 'CUSTOMER_APPOINTMENT': {
+      const r = await createCustomerAppointment(a, tctx);
+      changes.push(
+        createdEntry('CustomerAppointment', r.appointment, `customer appt ${r.appointment.name}`),
+        r.customerChange
+      );
+      const label = r.car
+        ? r.car.rego ||
+          [r.car.make, r.car.model].filter(Boolean).join(' ')
+        : r.appointment?.carText || 'unidentified vehicle';
+      const when = whenLabel(r.appointment);
+      msg = `👤 Customer appt created for ${label}${when}`;
+      break;
+    }
+    case 'RECON_APPOINTMENT': {
+      const r = await createReconditionerAppointment(a, tctx);
+      changes.push(
+        createdEntry('ReconditionerAppointment', r.appointment, `recon appt ${r.appointment.name}`)
+      );
+      const label = r.car
+        ? r.car.rego ||
+          `${r.car.make} ${r.car.model}`.trim()
+        : r.carText || 'unidentified vehicle';
+      const when = whenLabel(r.appointment);
+      const cat = r.appointment?.category?.name
+        ? ` • ${r.appointment.category.name}`
+        : '';
+      msg = `🔧 Recon appt created for ${label}${when} (${r.appointment.name}${cat})`;
+      break;
+    }
+    case 'NEXT_LOCATION': {
+      const r = await setNextLocation(a, tctx);
+      changes.push(r.change);
+      msg = `➡️ ${r.car.rego} next location updated`;
+      break;
+    }
+    case 'TASK': {
+      const r = await createGenericTask(a, tctx);
+      changes.push(createdEntry('Task', r.task, r.task.task));
+      msg = `📝 Task: ${r.task.task}`;
+      break;
+    }
+    default:
+      msg = `⚠️ Skipped: ${a.type}`;
+  }
+
+  return { msg, changes: changes.filter(Boolean) };
+}
+
+module.exports = { applyAction };
@@ -0,0 +1,128 @@
+// src/services/agedStockAlerts.js
+// Daily Telegram alert of unsold cars past an aging threshold, grouped by stage.
+// Runs on the job scheduler (services/scheduler.js).
+//
+// Thresholds (env):
+//   AGED_STAGE_DAYS   days in the current stage, per stage: "In Works=21,In Works/Online=30,Online=45"
+//   AGED_STOCK_DAYS   days since the car was added (default 90)
+//   days at the current location: the location's maxDwellDays (services/stockAnalytics.js overstays)
+// Cars that crossed a threshold since the last alert are marked 🆕.
+
+const { defineJob } = require('./scheduler');
+const { normalizeStage } = require('./carStage');
+const { agingReport, overstays } = require('./stockAnalytics');
+const { formatScheduled } = require('./dateParsing');
+
+const ALERT_CHAT_ID =
+  process.env.AGED_STOCK_CHAT_ID || process.env.REMINDER_CHAT_ID || process.env.TELEGRAM_ADMIN_CHAT_ID || '';
+const ALERT_TIME = process.env.AGED_STOCK_ALERT_TIME || '08:00';
+const STOCK_DAYS = Number(process.env.AGED_STOCK_DAYS) || 90;
+const MAX_LINES_PER_STAGE = 25; // keeps the message under Telegram's 4096 characters
+
+const DEFAULT_STAGE_DAYS = { 'In Works': 21, 'In Works/Online': 30, Online: 45 };
+
+/** "In Works=21, online=45" → { 'In Works': 21, Online: 45 } (unknown stages / bad numbers ignored) */
+function parseStageDays(raw) {
+  const out = {};
+  for (const part of String(raw || '').split(',')) {
+    const [name, days] = part.split('=');
+    const stage = normalizeStage(name);
+    const n = Number(days);
+    if (stage && stage !== 'Sold' && Number.isFinite(n) && n > 0) out[stage] = n;
+  }
+  return out;
+}
+
+const STAGE_DAYS = { ...DEFAULT_STAGE_DAYS, ...parseStageDays(process.env.AGED_STAGE_DAYS) };
+
+/** Stage / stock thresholds in force (location ones live on each Location) */
+const thresholds = () => ({ stageDays: STAGE_DAYS, stockDays: STOCK_DAYS });
+
+// over `limit` now, but wasn't a day ago
+const crossedToday = (days, limit) => days > limit && days - 1 <= limit;
+
+/**
+ * Unsold cars over any threshold, by stage (oldest in stage first).
+ * @returns {Promise<Object<string, Array<{ car, reasons: string[], isNew: boolean }>>>}
+ */
+async function agedStock({ now = new Date() } = {}) {
+  const [{ cars }, located] = await Promise.all([agingReport({ now }), overstays({ now })]);
+  const overstayByCar = new Map(located.map((o) => [String(o.carId), o]));
+
+  const byStage = {};
+  for (const car of cars) {
+    const reasons = [];
+    let isNew = false;
+
+    const stageLimit = STAGE_DAYS[car.stage];
+    if (stageLimit && car.stageDays > stageLimit) {
+      reasons.push(`${Math.floor(car.stageDays)}d in stage`);
+      isNew = isNew || crossedToday(car.stageDays, stageLimit);
+    }
+    if (car.stockDays > STOCK_DAYS) {
+      reasons.push(`${Math.floor(car.stockDays)}d in stock`);
+      isNew = isNew || crossedToday(car.stockDays, STOCK_DAYS);
+    }
+    const o = overstayByCar.get(String(car.carId));
+    if (o) {
+      reasons.push(`${Math.floor(o.days)}d at ${o.location}`);
+      isNew = isNew || crossedToday(o.days, o.thresholdDays);
+    }
+    if (!reasons.length) continue;
+
+    const stage = car.stage || '(no stage)';
+    if (!byStage[stage]) byStage[stage] = [];
+    byStage[stage].push({ car, reasons, isNew });
+  }
+
+  for (const list of Object.values(byStage)) list.sort((a, b) => b.car.stageDays - a.car.stageDays);
+  return byStage;
+}
+
+function alertText(byStage, now) {
+  const total = Object.values(byStage).reduce((n, l) => n + l.length, 0);
+  const fresh = Object.values(byStage).reduce((n, l) => n + l.filter((x) => x.isNew).length, 0);
+  const lines = [`🐢 Aged stock — ${formatScheduled(now, { allDay: true })}: ${total} car(s)${fresh ? `, ${fresh} new` : ''}`];
+
+  for (const [stage, list] of Object.entries(byStage)) {
+    lines.push('', `${stage} (${list.length})`);
+    for (const { car, reasons, isNew } of list.slice(0, MAX_LINES_PER_STAGE)) {
+      const label = [car.rego, car.vehicle].filter(Boolean).join(' ');
+      lines.push(`${isNew ? '🆕 ' : '• '}${label} — ${reasons.join(', ')}`);
+    }
+    if (list.length > MAX_LINES_PER_STAGE) lines.push(`…and ${list.length - MAX_LINES_PER_STAGE} more`);
+  }
+  return lines.join('\n');
+}
+
+/** Send today's alert; nothing is sent when no car is over a threshold */
+async function sendAgedStockAlert({ notify, now = new Date() }) {
+  const byStage = await agedStock({ now });
+  const cars = Object.values(byStage).reduce((n, l) => n + l.length, 0);
+  if (!cars) return { cars: 0 };
+  // a failed run is retried next tick (lastRunAt only moves on success)
+  const sent = await notify(ALERT_CHAT_ID, alertText(byStage, now));
+  if (!sent) throw new Error('Aged stock alert was not delivered');
+  return { cars, stages: Object.keys(byStage).length };
+}
+
+/** Register the daily job; without a chat to send to, nothing is registered */
+function registerAgedStockJobs({ notify }) {
+  if (!ALERT_CHAT_ID) {
+    console.warn('[aged-stock] AGED_STOCK_CHAT_ID / TELEGRAM_ADMIN_CHAT_ID not set — aged stock alerts off');
+    return false;
+  }
+  defineJob({
+    name: 'aged-stock-alert',
+    dailyAt: ALERT_TIME,
+    run: ({ now }) => sendAgedStockAlert({ notify, now }),
+  });
+  return true;
+}
+
+module.exports = {
+  thresholds,
+  agedStock,
+  sendAgedStockAlert,
+  registerAgedStockJobs,
+};
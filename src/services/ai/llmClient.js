@@ -139,36 +139,47 @@ const VehicleSchema = z.object({
   model: z.string().optional().default(""),
   rego: z.string().optional().default(""),
   colorDescription: z.string().optional().default(""),
+  colour: z.string().optional().default(""),
+  bodyType: z.string().optional().default(""),
+  vin: z.string().optional().default(""),
+  odometer: z.union([z.string(), z.number()]).optional().default(""),
   analysis: z.string().optional().default(""),
 });
 
+const EMPTY_VEHICLE = {
+  make: "", model: "", rego: "", colorDescription: "", colour: "", bodyType: "", vin: "", odometer: "", analysis: "",
+};
+
 async function analyzeImageVehicle({ base64, mimeType }) {
   const allowed = new Set(["image/jpeg", "image/png", "image/webp"]);
   if (!allowed.has(mimeType)) mimeType = "image/jpeg";
 
   const prompt = `You are analyzing a photo sent in a car yard business chat.
 Return ONLY minified JSON:
-{"make":"","model":"","rego":"","colorDescription":"","analysis":""}
+{"make":"","model":"","rego":"","colorDescription":"","colour":"","bodyType":"","vin":"","odometer":"","analysis":""}
 
 Step 1 — Decide: is this photo clearly showing a vehicle (whole or partial)?
 - If YES, extract the visible vehicle details.
-- If NO, describe what is shown in "analysis" only, and leave make/model/rego/colorDescription as "".
+- If NO, describe what is shown in "analysis" only, and leave every other key as "".
 
 Rules:
 - If vehicle detected:
   - "make" and "model" must be readable manufacturer/model (e.g., Toyota Corolla).
   - "rego" must be the license plate in uppercase, no spaces. If unreadable, "".
   - "colorDescription" is a short description like "white ute with canopy" or "black hatchback".
+  - "colour" is just the body colour ("White", "Dark Grey"); "bodyType" is e.g. "Ute", "Wagon", "Sedan", "Hatch".
+  - "vin" only if a VIN plate/sticker is fully legible (17 characters, no spaces); otherwise "".
+  - "odometer" only if the dashboard odometer is readable: kilometres as digits (e.g. "123456"); otherwise "".
   - "analysis" is a short condition note (e.g., "front bumper dent", "at Haytham's", "muddy", "needs wash").
 - If NOT a vehicle:
-  - "make","model","rego","colorDescription" must stay "".
+  - all vehicle keys must stay "".
   - "analysis" must clearly describe the subject, short and specific.
 - Never output placeholder words like "Rego" or "None". If unsure, use "".
-- Always return valid JSON with exactly these 5 keys.`;
+- Always return valid JSON with exactly these 9 keys.`;
 
   if (!base64 || base64.length < 50000) {
     console.warn("⚠️ Image too short, skipping Gemini photo analysis");
-    return { make: "", model: "", rego: "", colorDescription: "", analysis: "no image detected" };
+    return { ...EMPTY_VEHICLE, analysis: "no image detected" };
   }
 
   const raw = await geminiGenerate(
@@ -177,13 +188,13 @@ Rules:
   );
 
   if (!raw) {
-    return { make: "", model: "", rego: "", colorDescription: "", analysis: "" };
+    return { ...EMPTY_VEHICLE };
   }
 
   const obj = extractJson(raw) || {};
   const parsed = VehicleSchema.safeParse(obj);
   if (!parsed.success) {
-    return { make: "", model: "", rego: "", colorDescription: "", analysis: "" };
+    return { ...EMPTY_VEHICLE };
   }
 
   const out = parsed.data;
@@ -12,6 +12,15 @@ const dbg = (...args) => {
   if (DEBUG) console.log(...args);
 };
 
+// Audit verdicts that hold an action for human review instead of applying it.
+// e.g. REVIEW_QUEUE_VERDICTS="INCORRECT,UNSURE" to let PARTIAL through.
+const REVIEW_VERDICTS = new Set(
+  String(process.env.REVIEW_QUEUE_VERDICTS || "INCORRECT,UNSURE,PARTIAL")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean)
+);
+
 /* ================================
    Zod Schemas
 ================================ */
@@ -41,6 +50,10 @@ const Common = {
   badge: z.string().default(""),
   year: z.string().default(""),
   description: z.string().default(""),
+  // optional identity extras (stored on Car via services/vehicleDetails.js)
+  colour: z.string().default(""),
+  vin: z.string().default(""),
+  odometer: z.union([z.string(), z.number()]).default(""),
 };
 
 const A_Loc = z.object({
@@ -64,6 +77,7 @@ const A_Ready = z.object({
 });
 const A_Drop = z.object({
   type: z.literal("DROP_OFF"),
+  origin: z.string().default(""),
   destination: z.string().default(""),
   note: z.string().default(""),
   ...Common,
@@ -71,6 +85,7 @@ const A_Drop = z.object({
 const A_CAppt = z.object({
   type: z.literal("CUSTOMER_APPOINTMENT"),
   name: z.string().default(""),
+  phone: z.string().default(""),
   dateTime: z.string().default(""),
   notes: z.string().default(""),
   ...Common,
@@ -95,22 +110,20 @@ const A_Task = z.object({
   ...Common,
 });
 
+const AnyAction = z.union([
+  A_Loc,
+  A_Sold,
+  A_Rep,
+  A_Ready,
+  A_Drop,
+  A_CAppt,
+  A_RAppt,
+  A_Next,
+  A_Task,
+]);
+
 const ActionsOut = z.object({
-  actions: z
-    .array(
-      z.union([
-        A_Loc,
-        A_Sold,
-        A_Rep,
-        A_Ready,
-        A_Drop,
-        A_CAppt,
-        A_RAppt,
-        A_Next,
-        A_Task,
-      ])
-    )
-    .default([]),
+  actions: z.array(AnyAction).default([]),
 });
 
 /* ================================
@@ -449,37 +462,45 @@ async function extractActions(items, tctx) {
 
 /* ================================
    🔥 AUDIT GATEKEEPER
-   Rule: any "INCORRECT" = BLOCKED
+   Rule: verdicts in REVIEW_VERDICTS are HELD for human review
 ================================ */
 function applyAuditGate(actions, audit) {
-  if (!audit || !Array.isArray(audit.items)) return actions;
+  if (!audit || !Array.isArray(audit.items)) return { gated: actions, held: [] };
 
-  const verdictByIndex = new Map();
+  const auditByIndex = new Map();
 
   for (const item of audit.items) {
     if (typeof item.actionIndex === "number") {
-      verdictByIndex.set(item.actionIndex, item.verdict);
+      auditByIndex.set(item.actionIndex, item);
     }
   }
 
   const gated = [];
+  const held = [];
 
   actions.forEach((a, idx) => {
-    const verdict = verdictByIndex.get(idx);
+    const item = auditByIndex.get(idx);
+    const verdict = item?.verdict;
 
-    if (verdict === "INCORRECT") {
+    if (verdict && REVIEW_VERDICTS.has(verdict)) {
       if (DEBUG) {
         console.log(
-          `[PIPELINE] BLOCKED (audit INCORRECT) — action #${idx}: ${a.type} — "${a._sourceText}"`
+          `[PIPELINE] HELD FOR REVIEW (audit ${verdict}) — action #${idx}: ${a.type} — "${a._sourceText}"`
         );
       }
-      return; // skip this action entirely
+      held.push({
+        action: a,
+        verdict,
+        reason: item.reason || "",
+        evidenceText: item.evidenceText || "",
+      });
+      return; // not applied until someone approves it
     }
 
     gated.push(a);
   });
 
-  return gated;
+  return { gated, held };
 }
 
 /* ================================
@@ -493,12 +514,12 @@ async function processBatch(messages, tctx) {
   const audit = await runAudit({ batch: messages, refined, actions });
   timeline.recordAudit(tctx, audit);
 
-  const gatedActions = applyAuditGate(actions, audit);
+  const { gated: gatedActions, held } = applyAuditGate(actions, audit);
 
   // ✅ Log ONLY the gated (allowed) actions to the timeline
   timeline.actions(tctx, gatedActions);
 
-  return { actions: gatedActions, categorized };
+  return { actions: gatedActions, held, categorized };
 }
 
-module.exports = { processBatch };
+module.exports = { processBatch, AnyAction };
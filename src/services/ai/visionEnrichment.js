@@ -3,9 +3,12 @@ require('dotenv').config();
 const path = require('path');
 const Car = require('../../models/Car');
 const audit = require('../logging/auditLogger');
+const { snapshot, recordCarChanges } = require('../carChanges');
 const {
   collapseInteriorExteriorLines,
 } = require('./checklistDeduper');
+const { addItems, itemTexts, isActive } = require('../checklist');
+const { applyVehicleDetails } = require('../vehicleDetails');
 
 let getSignedViewUrl;
 try {
@@ -238,31 +241,55 @@ async function analyzeCarS3Key({ key, caption = '' }, tctx) {
 
 /* -------------------------- persistence into Mongo ------------------------ */
 
+const AREA_LINE = /^(exterior|interior)\s*:/i;
+
+// New open item linked to the photo it was seen in (skipped if already open)
+function addVisionItem(car, text, key, meta) {
+  const [added] = addItems(car, [text], meta);
+  if (added && key) car.checklist[car.checklist.length - 1].photoKeys = [key];
+}
+
 async function enrichCarWithFindings(
-  { carId, features = [], colours = [], damages = [], inspect = [], notes = '' },
+  { carId, key = '', features = [], colours = [], damages = [], inspect = [], notes = '' },
   tctx
 ) {
   const car = await Car.findById(carId);
   if (!car) throw new Error('Car not found');
+  const before = snapshot(car);
 
   // Only AI path adds "Exterior: ..." / "Interior: ..." lines.
-  const checklist = new Set(Array.isArray(car.checklist) ? car.checklist : []);
-  (inspect || []).forEach((i) => {
-    const v = String(i || '').trim();
-    if (v) checklist.add(v);
-  });
-
-  // Collapse multiple Interior/Exterior lines into ONE of each per car.
-  let mergedChecklist = Array.from(checklist);
-  mergedChecklist = collapseInteriorExteriorLines(mergedChecklist);
+  // Collapse open Interior/Exterior lines (old + new) into ONE open item of each per car.
+  const areaItems = car.checklist.filter((i) => isActive(i) && AREA_LINE.test(i.text));
+  const collapsed = collapseInteriorExteriorLines([
+    ...areaItems.map((i) => i.text),
+    ...(inspect || []).map((i) => String(i || '').trim()).filter(Boolean),
+  ]);
+
+  const meta = { source: 'vision' };
+  for (const line of collapsed) {
+    const area = (line.match(AREA_LINE) || [])[1];
+    if (!area) {
+      addVisionItem(car, line, key, meta);
+      continue;
+    }
+    const [keep, ...extra] = areaItems.filter((i) => i.text.toLowerCase().startsWith(area.toLowerCase()));
+    if (!keep) {
+      addVisionItem(car, line, key, meta);
+      continue;
+    }
+    keep.text = line;
+    if (key && !keep.photoKeys.includes(key)) keep.photoKeys.push(key);
+    for (const x of extra) car.checklist.pull(x._id);
+  }
 
-  // Description untouched for now
-  car.checklist = mergedChecklist;
+  // Description untouched for now; a detected colour only fills a blank one
+  applyVehicleDetails(car, { colour: colours[0] }, { source: 'vision' });
   await car.save();
+  await recordCarChanges(car, before, { kind: 'vision', ref: key });
 
   audit.write(tctx, 'vision.enrich', {
     summary: `car:${car.rego} +inspectLines:${inspect.length}`,
-    out: { checklistSample: car.checklist.slice(0, 20) },
+    out: { checklistSample: itemTexts(car.checklist).slice(0, 20) },
   });
 
   return { car, features, colours, damages, inspect };
@@ -275,6 +302,7 @@ async function analyzeAndEnrichByS3Key({ carId, key, caption = '' }, tctx) {
   return enrichCarWithFindings(
     {
       carId,
+      key,
       features: r.features,
       colours: r.colours,
       damages: r.damages,
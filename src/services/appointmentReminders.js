@@ -0,0 +1,126 @@
+// src/services/appointmentReminders.js
+// Telegram reminders N minutes before customer / recon appointments, and a morning
+// digest of the day's appointments. Runs on the job scheduler (services/scheduler.js).
+//
+// Each appointment remembers which scheduledAt it was reminded for (reminderSentFor),
+// so restarts don't re-send and a rescheduled appointment gets a fresh reminder.
+
+const CustomerAppointment = require('../models/CustomerAppointment');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const { defineJob } = require('./scheduler');
+const { DEALERSHIP_TZ, rangeFilter, formatScheduled, zonedParts } = require('./dateParsing');
+
+const REMINDER_CHAT_ID = process.env.REMINDER_CHAT_ID || process.env.TELEGRAM_ADMIN_CHAT_ID || '';
+const REMINDER_MINUTES = Number(process.env.REMINDER_MINUTES || 60);
+const DIGEST_TIME = process.env.DIGEST_TIME || '07:30';
+const DIGEST_LATEST_HOUR = 12; // started after midday → skip today's digest rather than send it late
+
+const timeOf = (d) =>
+  new Intl.DateTimeFormat('en-AU', { timeZone: DEALERSHIP_TZ, hour: 'numeric', minute: '2-digit', hour12: true }).format(d);
+
+const carLabel = (car) => (car ? [car.rego, car.make, car.model].filter(Boolean).join(' ') : '');
+
+function customerLine(a) {
+  const kind = a.isDelivery ? 'Delivery' : a.isFollowUp ? 'Follow-up' : 'Customer';
+  const vehicle = carLabel(a.car) || a.carText || '';
+  return `👤 ${kind}: ${a.name || 'Customer'}${vehicle ? ` — ${vehicle}` : ''}`;
+}
+
+function reconLine(a) {
+  const cars = (a.cars || []).map((c) => carLabel(c.car) || c.carText).filter(Boolean);
+  const cat = a.category?.name ? `${a.category.name}: ` : '';
+  return `🔧 ${cat}${a.name}${cars.length ? ` — ${cars.join(', ')}` : ''}`;
+}
+
+const withNotes = (line, notes) => (notes ? `${line}\n   📝 ${notes}` : line);
+
+/** Appointments starting in (now, now + REMINDER_MINUTES] that haven't been reminded for this time */
+function dueFilter(now) {
+  return {
+    allDay: { $ne: true },
+    scheduledAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_MINUTES * 60_000) },
+    $expr: { $ne: ['$reminderSentFor', '$scheduledAt'] },
+  };
+}
+
+/**
+ * Send one reminder per due appointment. `notify(chatId, text)` is the bot's notifyChatOrAdmin.
+ * @returns {{ customer: number, recon: number }} reminders sent
+ */
+async function sendDueReminders({ notify, now = new Date() }) {
+  const [customer, recon] = await Promise.all([
+    CustomerAppointment.find(dueFilter(now)).populate('car', 'rego make model').lean(),
+    ReconditionerAppointment.find({ ...dueFilter(now), status: { $ne: 'closed' } })
+      .populate('category', 'name')
+      .populate('cars.car', 'rego make model')
+      .lean(),
+  ]);
+
+  const send = async (Model, a, line) => {
+    const mins = Math.max(1, Math.round((a.scheduledAt - now) / 60_000));
+    const sent = await notify(REMINDER_CHAT_ID, `⏰ In ${mins} min (${timeOf(a.scheduledAt)})\n${line}`);
+    if (!sent) return 0; // notify gives null when nothing went out: try again next run
+    // only this scheduledAt: if it's moved meanwhile the new time still gets reminded
+    await Model.updateOne({ _id: a._id, scheduledAt: a.scheduledAt }, { $set: { reminderSentFor: a.scheduledAt } });
+    return 1;
+  };
+
+  const sent = { customer: 0, recon: 0 };
+  for (const a of customer) sent.customer += await send(CustomerAppointment, a, withNotes(customerLine(a), a.notes));
+  for (const a of recon) sent.recon += await send(ReconditionerAppointment, a, reconLine(a));
+  return sent;
+}
+
+/** Today's appointments (dealership day) in one message; all-day ones first */
+async function sendMorningDigest({ notify, now = new Date() }) {
+  if (zonedParts(now, DEALERSHIP_TZ).hour >= DIGEST_LATEST_HOUR) return { skipped: 'too late' };
+
+  const today = rangeFilter({ from: 'today', to: 'today' }, { ref: now });
+  const [customer, recon] = await Promise.all([
+    CustomerAppointment.find(today).populate('car', 'rego make model').lean(),
+    ReconditionerAppointment.find({ ...today, status: { $ne: 'closed' } })
+      .populate('category', 'name')
+      .populate('cars.car', 'rego make model')
+      .lean(),
+  ]);
+
+  const rows = [
+    ...customer.map((a) => ({ a, line: customerLine(a) })),
+    ...recon.map((a) => ({ a, line: reconLine(a) })),
+  ].sort((x, y) => (y.a.allDay - x.a.allDay) || (x.a.scheduledAt - y.a.scheduledAt));
+
+  const header = `☀️ Today's appointments — ${formatScheduled(now, { allDay: true })}`;
+  const lines = rows.length
+    ? rows.map(({ a, line }) => `${a.allDay ? '(any time)' : timeOf(a.scheduledAt)}  ${line}`)
+    : ['Nothing scheduled.'];
+
+  // notify gives null when nothing went out: fail the run so the scheduler tries again
+  const sent = await notify(REMINDER_CHAT_ID, [header, ...lines].join('\n'));
+  if (!sent) throw new Error('Morning digest was not delivered');
+  return { customer: customer.length, recon: recon.length };
+}
+
+/** Register both jobs; without a chat to send to, nothing is registered */
+function registerAppointmentJobs({ notify }) {
+  if (!REMINDER_CHAT_ID) {
+    console.warn('[reminders] REMINDER_CHAT_ID / TELEGRAM_ADMIN_CHAT_ID not set — appointment reminders off');
+    return false;
+  }
+  defineJob({
+    name: 'appointment-reminders',
+    everyMs: 60_000,
+    run: ({ now }) => sendDueReminders({ notify, now }),
+  });
+  defineJob({
+    name: 'morning-digest',
+    dailyAt: DIGEST_TIME,
+    run: ({ now }) => sendMorningDigest({ notify, now }),
+  });
+  return true;
+}
+
+module.exports = {
+  sendDueReminders,
+  sendMorningDigest,
+  registerAppointmentJobs,
+};
@@ -0,0 +1,169 @@
+// src/services/batchLog.js
+// Reversible changesets for Telegram batches: every flushed batch is stored with
+// the writes each action made, so a whole batch (or one action) can be undone.
+
+const Batch = require('../models/Batch');
+const Car = require('../models/Car');
+const Task = require('../models/Task');
+const Customer = require('../models/Customer');
+const CustomerAppointment = require('../models/CustomerAppointment');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const { snapshot, same, recordCarChanges } = require('./carChanges');
+const { carUpdateEntry, fieldsOf, docUpdateEntry, createdEntry } = require('./changeEntries');
+const { applyStage, normalizeStage, runStageHooks } = require('./carStage');
+
+const MODELS = { Car, Task, Customer, CustomerAppointment, ReconditionerAppointment };
+
+/* ---------------- persistence ---------------- */
+
+async function startBatch({ chatId, messages = [] }) {
+  return Batch.create({
+    chatId: String(chatId ?? ''),
+    messages: messages.map((m) => ({ speaker: m.speaker || '', text: m.text || '', ts: m.ts })),
+  });
+}
+
+/**
+ * actions: [{ type, rego, summary, sourceSpeaker, sourceText, error?, changes: [entry|null] }]
+ */
+async function finishBatch(batch, actions = []) {
+  batch.actions = actions.map((a, i) => ({
+    index: i + 1,
+    type: a.type || '',
+    rego: a.rego || '',
+    summary: a.summary || '',
+    sourceSpeaker: a.sourceSpeaker || '',
+    sourceText: a.sourceText || '',
+    status: a.error ? 'failed' : 'applied',
+    error: a.error || '',
+    changes: (a.changes || []).filter(Boolean),
+  }));
+  await batch.save();
+  return batch;
+}
+
+/** Most recent batch in a chat that still has something to undo */
+async function latestRevertableBatch(chatId) {
+  return Batch.findOne({
+    chatId: String(chatId),
+    status: { $ne: 'reverted' },
+    'actions.status': 'applied',
+  }).sort({ createdAt: -1 });
+}
+
+/* ---------------- revert ---------------- */
+
+async function revertChange(change, source) {
+  const Model = MODELS[change.model];
+  const label = change.label || `${change.model} ${change.docId}`;
+  if (!Model) return [`${label}: unknown model`];
+
+  if (change.op === 'create') {
+    const deleted = await Model.findByIdAndDelete(change.docId);
+    return deleted ? [] : [`${label}: already deleted`];
+  }
+
+  const doc = await Model.findById(change.docId);
+  if (!doc) return [`${label}: no longer exists`];
+
+  // Only roll a field back if nobody has changed it since the batch wrote it
+  const isCar = change.model === 'Car';
+  const current = isCar ? snapshot(doc) : fieldsOf(doc, Object.keys(change.before || {}));
+  const conflicts = [];
+  const unchanged = (field) => {
+    if (same(current[field], change.after?.[field])) return true;
+    conflicts.push(`${label}: ${field} was changed since, left as is`);
+    return false;
+  };
+
+  // A car's stage goes back through carStage (checks + stamps + hooks) before the other
+  // fields, so restoring soldAt / stageChangedAt afterwards keeps their original values
+  const before = { ...(change.before || {}) };
+  let stageChange = null;
+  if (isCar && 'stage' in before) {
+    const stage = before.stage;
+    delete before.stage;
+    if (unchanged('stage')) {
+      if (normalizeStage(stage)) stageChange = applyStage(doc, stage, { reopen: true });
+      else doc.stage = stage; // blank / legacy text: nothing to transition to
+    }
+  }
+
+  for (const [field, value] of Object.entries(before)) {
+    if (unchanged(field)) doc[field] = value;
+  }
+
+  await doc.save();
+  if (isCar) {
+    await recordCarChanges(doc, current, source);
+    await runStageHooks(doc, stageChange, { source });
+  }
+  return conflicts;
+}
+
+const batchStatus = (batch) => {
+  const applied = batch.actions.filter((a) => a.status === 'applied').length;
+  const reverted = batch.actions.some((a) => a.status === 'reverted');
+  if (!reverted) return batch.status;
+  return applied ? 'partially-reverted' : 'reverted';
+};
+
+/**
+ * Revert a whole batch, or just one action when `actionIndex` (1-based) is given.
+ * `source` is the CarChange source of whoever asked for the undo.
+ * Progress is saved after every action (and each reverted change is flagged), so an undo
+ * that fails halfway can be retried without rolling anything back twice.
+ */
+async function revertBatch(batchOrId, { actionIndex = null, source } = {}) {
+  const batch = batchOrId instanceof Batch ? batchOrId : await Batch.findById(batchOrId);
+  if (!batch) throw new Error('Batch not found');
+
+  const targets = batch.actions.filter(
+    (a) => a.status === 'applied' && (actionIndex == null || a.index === Number(actionIndex))
+  );
+  if (!targets.length) {
+    throw new Error(actionIndex == null ? 'Nothing left to undo in this batch' : `Action #${actionIndex} cannot be undone`);
+  }
+
+  const revertSource = { ...source, ref: `revert:batch:${batch._id}` };
+  const by = source?.username || source?.speaker || source?.kind || '';
+  const reverted = [];
+
+  // newest first, so later actions on the same car unwind before earlier ones
+  for (const action of targets.slice().reverse()) {
+    const conflicts = [];
+    try {
+      for (const change of action.changes.slice().reverse()) {
+        if (change.reverted) continue;
+        conflicts.push(...(await revertChange(change, revertSource)));
+        change.reverted = true;
+      }
+    } catch (e) {
+      action.conflicts = [...(action.conflicts || []), ...conflicts];
+      batch.status = batchStatus(batch);
+      await batch.save();
+      const done = reverted.length ? ` (${reverted.length} later action(s) were reverted)` : '';
+      throw new Error(`Undo stopped at action #${action.index}: ${e.message}${done}`);
+    }
+    action.status = 'reverted';
+    action.revertedAt = new Date();
+    action.revertedBy = by;
+    action.conflicts = [...(action.conflicts || []), ...conflicts];
+    batch.status = batchStatus(batch);
+    await batch.save();
+    reverted.push({ index: action.index, type: action.type, rego: action.rego, conflicts: action.conflicts });
+  }
+
+  return { batch, reverted: reverted.reverse() };
+}
+
+module.exports = {
+  carUpdateEntry,
+  fieldsOf,
+  docUpdateEntry,
+  createdEntry,
+  startBatch,
+  finishBatch,
+  latestRevertableBatch,
+  revertBatch,
+};
@@ -0,0 +1,201 @@
+// src/services/calendarFeed.js
+// iCalendar (.ics) feeds of customer and reconditioner appointments for phone calendars.
+// Calendar apps can't log in, so each user gets a long random token for the feed URL;
+// only its sha256 is stored, and issuing a new one revokes the old.
+// Events use the appointment id as UID, so a refreshed feed updates events in place.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const CustomerAppointment = require('../models/CustomerAppointment');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const ReconditionerCategory = require('../models/ReconditionerCategory');
+const { DEALERSHIP_TZ, zonedParts } = require('./dateParsing');
+
+const UID_DOMAIN = 'crai';
+const CUSTOMER_MINUTES = 30;
+const RECON_MINUTES = 60;
+const PAST_DAYS = 60; // older appointments drop out of the feeds
+
+/* ----------------------------------------------------------------------------
+   Feed tokens
+---------------------------------------------------------------------------- */
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** New feed token for a user (replaces any previous one). Only returned here, never stored. */
+async function issueFeedToken(userId) {
+  const token = `cal_${crypto.randomBytes(32).toString('base64url')}`;
+  await User.updateOne({ _id: userId }, { $set: { calendarTokenHash: hashToken(token) } });
+  return token;
+}
+
+async function revokeFeedToken(userId) {
+  await User.updateOne({ _id: userId }, { $unset: { calendarTokenHash: 1 } });
+}
+
+/** { id, username, name, role } for an active user's feed token, else null */
+async function userForFeedToken(token) {
+  if (!token || !String(token).startsWith('cal_')) return null;
+  const user = await User.findOne({ calendarTokenHash: hashToken(token) }).lean();
+  if (!user || !user.active) return null;
+  return { id: String(user._id), username: user.username, name: user.name || '', role: user.role };
+}
+
+/* ----------------------------------------------------------------------------
+   iCalendar text (RFC 5545)
+---------------------------------------------------------------------------- */
+
+const escapeText = (s) =>
+  String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/** Lines longer than 75 octets continue on the next line after a space */
+function fold(line) {
+  const out = [];
+  let cur = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const utcStamp = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** All-day events are dated by the dealership's calendar day, not UTC's */
+function localDate(d, addDays = 0) {
+  const p = zonedParts(new Date(d), DEALERSHIP_TZ);
+  const x = new Date(Date.UTC(p.year, p.month - 1, p.day + addDays));
+  return `${x.getUTCFullYear()}${pad(x.getUTCMonth() + 1)}${pad(x.getUTCDate())}`;
+}
+
+function eventLines({ uid, start, allDay, minutes, summary, description, categories = [], updatedAt }) {
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${utcStamp(updatedAt || Date.now())}`];
+  if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${localDate(start)}`, `DTEND;VALUE=DATE:${localDate(start, 1)}`);
+  } else {
+    lines.push(`DTSTART:${utcStamp(start)}`, `DTEND:${utcStamp(new Date(start).getTime() + minutes * 60_000)}`);
+  }
+  if (updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(updatedAt)}`);
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function calendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Appointments//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${DEALERSHIP_TZ}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    'X-PUBLISHED-TTL:PT15M',
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/* ----------------------------------------------------------------------------
+   Feeds
+---------------------------------------------------------------------------- */
+
+const carLabel = (car) => (car ? [car.rego, car.make, car.model].filter(Boolean).join(' ') : '');
+const since = () => new Date(Date.now() - PAST_DAYS * 24 * 3600_000);
+
+/** Customer appointments with a resolved time */
+async function customerCalendar() {
+  const appts = await CustomerAppointment.find({ scheduledAt: { $gte: since() } })
+    .populate('car', 'rego make model')
+    .sort({ scheduledAt: 1 })
+    .lean();
+
+  const events = appts.map((a) => {
+    const kind = a.isDelivery ? 'Delivery' : a.isFollowUp ? 'Follow-up' : 'Appointment';
+    const vehicle = carLabel(a.car) || a.carText || '';
+    return {
+      uid: `customer-${a._id}@${UID_DOMAIN}`,
+      start: a.scheduledAt,
+      allDay: a.allDay,
+      minutes: CUSTOMER_MINUTES,
+      summary: `${kind}: ${a.name || 'Customer'}${vehicle ? ` — ${vehicle}` : ''}`,
+      description: [
+        a.dateTime && `When: ${a.dateTime}`,
+        a.originalDateTime && a.originalDateTime !== a.dateTime && `Originally: ${a.originalDateTime}`,
+        vehicle && `Car: ${vehicle}`,
+        a.notes && `Notes: ${a.notes}`,
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      categories: [kind],
+      updatedAt: a.updatedAt,
+    };
+  });
+
+  return calendar('Customer appointments', events);
+}
+
+/** Open reconditioner appointments in one category with a resolved time; null if no such category */
+async function reconCalendar(categoryId) {
+  const category = await ReconditionerCategory.findById(categoryId, { name: 1 }).lean();
+  if (!category) return null;
+
+  const appts = await ReconditionerAppointment.find({
+    category: category._id,
+    status: { $ne: 'closed' },
+    scheduledAt: { $gte: since() },
+  })
+    .populate('cars.car', 'rego make model')
+    .sort({ scheduledAt: 1 })
+    .lean();
+
+  const events = appts.map((a) => {
+    const cars = (a.cars || []).map((c) => ({ label: carLabel(c.car) || c.carText || '', entry: c }));
+    return {
+      uid: `recon-${a._id}@${UID_DOMAIN}`,
+      start: a.scheduledAt,
+      allDay: a.allDay,
+      minutes: RECON_MINUTES,
+      summary: `${category.name}: ${a.name}${cars.length ? ` — ${cars.map((c) => c.label).join(', ')}` : ''}`,
+      description: [
+        a.dateTime && `When: ${a.dateTime}`,
+        ...cars.map(({ label, entry }) =>
+          [label || 'Car', entry.status && `(${entry.status})`, entry.notes && `— ${entry.notes}`]
+            .filter(Boolean)
+            .join(' ')
+        ),
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      categories: [category.name],
+      updatedAt: a.updatedAt,
+    };
+  });
+
+  return calendar(`Recon — ${category.name}`, events);
+}
+
+module.exports = {
+  issueFeedToken,
+  revokeFeedToken,
+  userForFeedToken,
+  customerCalendar,
+  reconCalendar,
+};
@@ -0,0 +1,170 @@
+// src/services/carChanges.js
+// Per-field change history for Car documents.
+// Usage: take a snapshot() before editing, save the car, then recordCarChanges().
+
+const CarChange = require('../models/CarChange');
+
+const TRACKED_FIELDS = [
+  'rego',
+  'make',
+  'model',
+  'badge',
+  'series',
+  'year',
+  'description',
+  'vin',
+  'colour',
+  'bodyType',
+  'transmission',
+  'drive',
+  'fuel',
+  'engine',
+  'odometer',
+  'purchasePrice',
+  'purchaseDate',
+  'purchaseSource',
+  'advertisedPrice',
+  'salePrice',
+  'checklist',
+  'location',
+  'nextLocations',
+  'photos',
+  'readinessStatus',
+  'stage',
+  'notes',
+];
+
+// Snapshotted for undo but not written to the change log (derived from tracked fields)
+const SNAPSHOT_FIELDS = [...TRACKED_FIELDS, 'history', 'stageChangedAt', 'listedAt', 'soldAt', 'odometerReadings', 'priceHistory'];
+
+// Plain, comparable value for a field (subdocuments become plain objects)
+function plain(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map((v) => (v && typeof v.toObject === 'function' ? v.toObject() : v));
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Capture the tracked fields (plus location history) of a car (document or lean object). */
+function snapshot(car) {
+  const out = {};
+  for (const f of SNAPSHOT_FIELDS) out[f] = plain(car?.[f]);
+  return out;
+}
+
+/** Only the fields that differ → { before: {...}, after: {...} } (includes history; used for undo) */
+function changedFields(before, after) {
+  const out = { before: {}, after: {} };
+  for (const f of SNAPSHOT_FIELDS) {
+    if (!same(before?.[f], after?.[f])) {
+      out.before[f] = before?.[f] ?? null;
+      out.after[f] = after?.[f] ?? null;
+    }
+  }
+  return out;
+}
+
+/** Fields that differ between two snapshots → [{ field, oldValue, newValue }] */
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const f of TRACKED_FIELDS) {
+    if (!same(before?.[f], after?.[f])) {
+      changes.push({ field: f, oldValue: before?.[f] ?? null, newValue: after?.[f] ?? null });
+    }
+  }
+  return changes;
+}
+
+/* ---------------- source builders ---------------- */
+
+function sourceFromRequest(req, extra = {}) {
+  return {
+    kind: 'web',
+    userId: req?.user?.id || null,
+    username: req?.user?.username || '',
+    ...extra,
+  };
+}
+
+/**
+ * Source for a pipeline action. Callers outside Telegram (e.g. the web)
+ * can pre-set `a._changeSource`; otherwise the chat + speaker are used.
+ */
+function sourceForAction(a = {}, tctx = null) {
+  if (a._changeSource) return a._changeSource;
+  return {
+    kind: 'telegram',
+    chatId: tctx?.chatId != null ? String(tctx.chatId) : '',
+    speaker: a._sourceSpeaker || '',
+    message: a._sourceText || '',
+    ref: tctx?.batchId ? `batch:${tctx.batchId}` : '',
+  };
+}
+
+/* ---------------- writers ---------------- */
+
+/**
+ * Insert change rows for everything that differs between `before` and the car's current state.
+ * Never throws — history must not break the edit that triggered it.
+ */
+async function recordCarChanges(car, before, source) {
+  try {
+    if (!car?._id || !before) return [];
+    const changes = diffSnapshots(before, snapshot(car));
+    if (!changes.length) return [];
+
+    const at = new Date();
+    return await CarChange.insertMany(
+      changes.map((c) => ({ car: car._id, rego: car.rego || '', ...c, source, at }))
+    );
+  } catch (e) {
+    console.warn('[carChanges] record failed:', e.message);
+    return [];
+  }
+}
+
+/** Record a single known field change (for bulk writes that never load a document). */
+async function recordFieldChange({ carId, rego = '', field, oldValue, newValue }, source) {
+  try {
+    if (!carId || !field || same(oldValue, newValue)) return null;
+    return await CarChange.create({
+      car: carId,
+      rego,
+      field,
+      oldValue: plain(oldValue),
+      newValue: plain(newValue),
+      source,
+    });
+  } catch (e) {
+    console.warn('[carChanges] record failed:', e.message);
+    return null;
+  }
+}
+
+/** Newest-first history for one car. */
+async function listCarChanges(carId, { field, before, limit = 100, hideFields = [] } = {}) {
+  const q = { car: carId };
+  if (field) q.field = hideFields.includes(field) ? { $in: [] } : field;
+  else if (hideFields.length) q.field = { $nin: hideFields };
+  if (before) q.at = { $lt: new Date(before) };
+  return CarChange.find(q)
+    .sort({ at: -1, _id: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+    .lean();
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  plain,
+  snapshot,
+  diffSnapshots,
+  changedFields,
+  same,
+  sourceFromRequest,
+  sourceForAction,
+  recordCarChanges,
+  recordFieldChange,
+  listCarChanges,
+};
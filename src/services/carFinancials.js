@@ -0,0 +1,239 @@
+// src/services/carFinancials.js
+// Money per car: what we paid, what recon cost, what it's advertised at, what it sold for.
+// Recon spend isn't stored on the car — it's rolled up from reconditioner appointments
+// (cars[].actualCost) and tasks (cost) each time it's asked for.
+
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const Task = require('../models/Task');
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** "$12,500" / "12500.00" / 12500 → 12500; '' / null → null; throws 400 on junk or negatives */
+function parseMoney(v, name = 'amount') {
+  if (v === undefined || v === null || String(v).trim() === '') return null;
+  const n = typeof v === 'number' ? v : Number(String(v).replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(n) || n < 0) throw badRequest(`${name} must be a positive amount`);
+  return round2(n);
+}
+
+function parseDate(v, name) {
+  if (v === undefined || v === null || v === '') return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw badRequest(`${name} must be a date`);
+  return d;
+}
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+// What we paid / sold for is admin + sales only; the advertised price is public.
+const FINANCE_ROLES = ['admin', 'sales'];
+const PRIVATE_FIELDS = ['purchasePrice', 'purchaseDate', 'purchaseSource', 'salePrice', 'priceHistory'];
+
+const canSeeFinancials = (user) => FINANCE_ROLES.includes(user?.role);
+
+/** Copy of a plain car object without the private money fields */
+function withoutFinancials(car) {
+  if (!car) return car;
+  const out = { ...car };
+  for (const f of PRIVATE_FIELDS) delete out[f];
+  return out;
+}
+
+/**
+ * Apply purchase / pricing / sale fields from a request body to a car (not saved).
+ * Every advertised price change (including the first) is appended to priceHistory.
+ * @returns {string[]} fields that changed
+ */
+function applyPricing(car, body = {}, { by = '', at = new Date() } = {}) {
+  const changed = [];
+  const set = (field, value) => {
+    const prev = car[field] instanceof Date ? car[field].getTime() : car[field] ?? null;
+    const next = value instanceof Date ? value.getTime() : value;
+    if (prev === next) return;
+    car[field] = value;
+    changed.push(field);
+  };
+
+  if (has(body, 'purchasePrice')) set('purchasePrice', parseMoney(body.purchasePrice, 'purchasePrice'));
+  if (has(body, 'purchaseDate')) set('purchaseDate', parseDate(body.purchaseDate, 'purchaseDate'));
+  if (has(body, 'purchaseSource')) set('purchaseSource', String(body.purchaseSource || '').trim());
+  if (has(body, 'salePrice')) set('salePrice', parseMoney(body.salePrice, 'salePrice'));
+
+  if (has(body, 'advertisedPrice')) {
+    const price = parseMoney(body.advertisedPrice, 'advertisedPrice');
+    if (price !== (car.advertisedPrice ?? null)) {
+      if (!Array.isArray(car.priceHistory)) car.priceHistory = [];
+      car.priceHistory.push({ price, changedAt: at, changedBy: by });
+      car.advertisedPrice = price;
+      changed.push('advertisedPrice');
+    }
+  }
+  return changed;
+}
+
+const toObjectIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * Recon spend per car: { [carId]: { recon, tasks, total } }.
+ * Only recorded actual costs count (quotes aren't spend).
+ */
+async function reconCostsByCar(carIds) {
+  const ids = toObjectIds(carIds);
+  const [recon, tasks] = await Promise.all([
+    ReconditionerAppointment.aggregate([
+      { $match: { 'cars.car': { $in: ids } } },
+      { $unwind: '$cars' },
+      { $match: { 'cars.car': { $in: ids }, 'cars.actualCost': { $gt: 0 } } },
+      { $group: { _id: '$cars.car', total: { $sum: '$cars.actualCost' } } },
+    ]),
+    Task.aggregate([
+      { $match: { car: { $in: ids }, cost: { $gt: 0 } } },
+      { $group: { _id: '$car', total: { $sum: '$cost' } } },
+    ]),
+  ]);
+
+  const out = {};
+  const slot = (id) => (out[String(id)] ||= { recon: 0, tasks: 0, total: 0 });
+  for (const r of recon) slot(r._id).recon = round2(r.total);
+  for (const t of tasks) slot(t._id).tasks = round2(t.total);
+  for (const v of Object.values(out)) v.total = round2(v.recon + v.tasks);
+  return out;
+}
+
+/** Gross profit once sold; null while either end of the deal is unknown */
+function grossProfit(car, reconTotal) {
+  if (car.salePrice == null || car.purchasePrice == null) return null;
+  return round2(car.salePrice - car.purchasePrice - reconTotal);
+}
+
+/**
+ * Everything money-related for one car, with the recon cost line items.
+ */
+async function getCarFinancials(carId) {
+  const car = await Car.findById(carId).lean();
+  if (!car) return null;
+
+  const [appts, tasks] = await Promise.all([
+    ReconditionerAppointment.find({ 'cars.car': car._id })
+      .populate('category', 'name')
+      .lean(),
+    Task.find({ car: car._id, cost: { $gt: 0 } }, { task: 1, cost: 1, dateCreated: 1 }).lean(),
+  ]);
+
+  const reconItems = [];
+  for (const a of appts) {
+    for (const entry of a.cars || []) {
+      if (String(entry.car) !== String(car._id) || !(entry.actualCost > 0)) continue;
+      reconItems.push({
+        appointmentId: a._id,
+        name: a.name,
+        category: a.category?.name || '',
+        notes: entry.notes || '',
+        cost: entry.actualCost,
+      });
+    }
+  }
+  const taskItems = tasks.map((t) => ({ taskId: t._id, task: t.task, cost: t.cost }));
+
+  const reconTotal = round2(
+    reconItems.reduce((s, x) => s + x.cost, 0) + taskItems.reduce((s, x) => s + x.cost, 0)
+  );
+  const totalCost = car.purchasePrice == null ? null : round2(car.purchasePrice + reconTotal);
+
+  return {
+    carId: car._id,
+    rego: car.rego,
+    stage: car.stage || '',
+    purchase: {
+      price: car.purchasePrice ?? null,
+      date: car.purchaseDate || null,
+      source: car.purchaseSource || '',
+    },
+    advertised: {
+      price: car.advertisedPrice ?? null,
+      history: car.priceHistory || [],
+    },
+    recon: { total: reconTotal, appointments: reconItems, tasks: taskItems },
+    sale: { price: car.salePrice ?? null, soldAt: car.soldAt || null },
+    totalCost,
+    grossProfit: grossProfit(car, reconTotal),
+    // unsold: what we'd make at the current advertised price
+    projectedProfit:
+      car.salePrice == null && car.advertisedPrice != null && totalCost != null
+        ? round2(car.advertisedPrice - totalCost)
+        : null,
+  };
+}
+
+/**
+ * Yard-wide profit on cars sold in [from, to] (soldAt).
+ * Cars missing a purchase or sale price are listed but left out of the totals.
+ */
+async function profitReport({ from = null, to = null } = {}) {
+  const filter = { stage: 'Sold' };
+  if (from || to) {
+    filter.soldAt = {};
+    if (from) filter.soldAt.$gte = from;
+    if (to) filter.soldAt.$lte = to;
+  }
+
+  const cars = await Car.find(filter, {
+    rego: 1, make: 1, model: 1, year: 1, purchasePrice: 1, salePrice: 1, soldAt: 1, purchaseDate: 1,
+  })
+    .sort({ soldAt: -1 })
+    .lean();
+  const costs = cars.length ? await reconCostsByCar(cars.map((c) => c._id)) : {};
+
+  const totals = { cars: 0, revenue: 0, purchaseCost: 0, reconCost: 0, grossProfit: 0 };
+  const rows = [];
+  const incomplete = [];
+
+  for (const c of cars) {
+    const recon = costs[String(c._id)]?.total || 0;
+    const row = {
+      carId: c._id,
+      rego: c.rego,
+      vehicle: [c.year, c.make, c.model].filter(Boolean).join(' '),
+      soldAt: c.soldAt || null,
+      purchasePrice: c.purchasePrice ?? null,
+      reconCost: recon,
+      salePrice: c.salePrice ?? null,
+      grossProfit: grossProfit(c, recon),
+    };
+    rows.push(row);
+
+    if (row.grossProfit === null) {
+      incomplete.push(c.rego);
+      continue;
+    }
+    totals.cars++;
+    totals.revenue += c.salePrice;
+    totals.purchaseCost += c.purchasePrice;
+    totals.reconCost += recon;
+    totals.grossProfit += row.grossProfit;
+  }
+
+  for (const k of Object.keys(totals)) totals[k] = round2(totals[k]);
+  totals.avgGrossProfit = totals.cars ? round2(totals.grossProfit / totals.cars) : null;
+
+  return { from, to, totals, cars: rows, incomplete };
+}
+
+module.exports = {
+  PRIVATE_FIELDS,
+  canSeeFinancials,
+  withoutFinancials,
+  parseMoney,
+  applyPricing,
+  reconCostsByCar,
+  getCarFinancials,
+  profitReport,
+};
@@ -1,11 +1,12 @@
 // src/services/carIdentifier.js
 const Car = require('../models/Car');
 const audit = require('./logging/auditLogger');
+const { itemTexts } = require('./checklist');
 
 // -------- utils --------
 const sanitize = (s = '') => String(s).trim();
 const normStr = (s = '') => sanitize(s).toLowerCase();
-const normRego = (s = '') => sanitize(s).replace(/\s+/g, '').toUpperCase();
+const normRego = (s = '') => sanitize(s).toUpperCase().replace(/[^A-Z0-9]/g, ''); // as Car.rego is stored
 const asYear = (y) => (y == null ? null : Number(String(y).trim()));
 const wordTokens = (s = '') => {
   const text = (s || '').toLowerCase();
@@ -40,7 +41,7 @@ function carStageNormalize(car) {
 async function findByRego(rego) {
   const needle = normRego(rego);
   if (!needle) return null;
-  return Car.findOne({ rego: new RegExp(`^${needle}$`, 'i') });
+  return Car.findOne({ rego: needle });
 }
 
 async function findByStrictAttributes(base = {}, hints = {}, auditCtx) {
@@ -52,10 +53,7 @@ async function findByStrictAttributes(base = {}, hints = {}, auditCtx) {
     throw new Error(msg);
   }
 
-  const candidates = await Car.find({
-    make: new RegExp(`^${make}$`, 'i'),
-    model: new RegExp(`^${model}$`, 'i'),
-  });
+  const candidates = await Car.find({ make, model }).collation(Car.CI_COLLATION);
 
   audit.write(auditCtx, 'identify.candidates', {
     base: { make, model },
@@ -151,9 +149,9 @@ function scoreCandidates(candidates, base, hints) {
       car.stage,
       car.badge,
       car.series,
-      Array.isArray(car.checklist) ? car.checklist.join(' ') : '',
+      itemTexts(car.checklist).join(' '),
       String(car.year || ''),
-      String(car.color || ''),
+      String(car.colour || ''),
     ]
       .filter(Boolean)
       .map(String)
@@ -0,0 +1,234 @@
+// src/services/carMerge.js
+// Folding near-duplicate cars (usually OCR misreads like 1AT80G / 1AT8QG) into one.
+
+const Car = require('../models/Car');
+const Task = require('../models/Task');
+const CustomerAppointment = require('../models/CustomerAppointment');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const Customer = require('../models/Customer');
+const RegoConfirmation = require('../models/RegoConfirmation');
+const { weightedEditDistance, DEFAULT_POLICY } = require('./matching/regoMatcher');
+const { mergeChecklists, activeCount } = require('./checklist');
+const { snapshot, recordCarChanges, recordFieldChange } = require('./carChanges');
+const { applyStage, normalizeStage, runStageHooks, syncStageWithChecklist } = require('./carStage');
+const { daysClosed } = require('./locations');
+
+const lc = (s) => String(s || '').trim().toLowerCase();
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+const toPlain = (v) => (v && typeof v.toObject === 'function' ? v.toObject() : { ...v });
+
+// Scalar fields copied from the duplicate only when the canonical car has none
+const FILL_FIELDS = [
+  'make', 'model', 'badge', 'series', 'year', 'description', 'readinessStatus', 'location', 'listedAt', 'soldAt',
+  'vin', 'colour', 'bodyType', 'transmission', 'drive', 'fuel', 'engine',
+  'purchasePrice', 'purchaseDate', 'purchaseSource', 'advertisedPrice', 'salePrice',
+];
+
+/** Both cars' odometer readings in date order (same km + date only once) */
+function mergeOdometerReadings(a = [], b = []) {
+  const seen = new Set();
+  return [...a, ...b]
+    .map(toPlain)
+    .filter((r) => {
+      const k = `${r.km}|${new Date(r.readAt).getTime()}`;
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    })
+    .sort((x, y) => new Date(x.readAt) - new Date(y.readAt));
+}
+
+/**
+ * Both cars' location history in start-date order. Only the final entry may stay
+ * open; earlier open entries are closed when the next one starts.
+ */
+function mergeHistory(a = [], b = []) {
+  const all = [...a, ...b]
+    .map(toPlain)
+    .filter((h) => h && h.startDate)
+    .sort((x, y) => new Date(x.startDate) - new Date(y.startDate));
+
+  for (let i = 0; i < all.length - 1; i++) {
+    if (!all[i].endDate) {
+      all[i].endDate = all[i + 1].startDate;
+      all[i].days = daysClosed(all[i].startDate, all[i].endDate);
+    }
+  }
+  return all;
+}
+
+function mergePhotos(a = [], b = []) {
+  const seen = new Set(a.map((p) => p.key));
+  const out = a.map(toPlain);
+  for (const p of b) {
+    if (p?.key && !seen.has(p.key)) {
+      seen.add(p.key);
+      out.push(toPlain(p));
+    }
+  }
+  return out;
+}
+
+function mergeNotes(a, b) {
+  const x = String(a || '').trim();
+  const y = String(b || '').trim();
+  if (!y || x.toLowerCase().includes(y.toLowerCase())) return x;
+  if (!x) return y;
+  return `${x}\n${y}`;
+}
+
+// After re-pointing, a customer can list the same car twice for one kind: keep the earliest
+async function dedupeCustomerInterest(carId, session) {
+  const customers = await Customer.find({ 'cars.car': carId }).session(session);
+  for (const customer of customers) {
+    const first = new Map();
+    for (const e of customer.cars) {
+      const key = `${e.car}:${e.kind}`;
+      if (!first.has(key) || new Date(e.at) < new Date(first.get(key).at)) first.set(key, e);
+    }
+    if (first.size === customer.cars.length) continue;
+    customer.cars = customer.cars.filter((e) => first.get(`${e.car}:${e.kind}`) === e);
+    await customer.save({ session });
+  }
+}
+
+/**
+ * Fold `duplicateId` into `canonicalId`, re-point references and delete the duplicate.
+ * The writes run in one transaction, so a failure part-way leaves both cars as they were.
+ * @returns {Promise<{ car, removed: { _id, rego }, moved: { tasks, customerAppointments, reconAppointments, customers, regoConfirmations } }>}
+ */
+async function mergeCars(canonicalId, duplicateId, source = {}) {
+  if (String(canonicalId) === String(duplicateId)) {
+    throw new Error('Cannot merge a car into itself');
+  }
+
+  const [car, dup] = await Promise.all([Car.findById(canonicalId), Car.findById(duplicateId)]);
+  if (!car) throw new Error('Canonical car not found');
+  if (!dup) throw new Error('Duplicate car not found');
+
+  const before = snapshot(car);
+
+  for (const f of FILL_FIELDS) {
+    if (isBlank(car[f]) && !isBlank(dup[f])) car[f] = dup[f];
+  }
+  // through carStage, so the move is validated and stamped like any other stage change
+  let stageChange = null;
+  if (isBlank(car.stage) && normalizeStage(dup.stage)) stageChange = applyStage(car, dup.stage);
+
+  car.checklist = mergeChecklists(car.checklist, dup.checklist);
+  // the duplicate's open items can make an Online car In Works/Online again
+  stageChange = syncStageWithChecklist(car) || stageChange;
+  car.history = mergeHistory(car.history, dup.history);
+  car.photos = mergePhotos(car.photos, dup.photos);
+  car.notes = mergeNotes(car.notes, dup.notes);
+  car.odometerReadings = mergeOdometerReadings(car.odometerReadings, dup.odometerReadings);
+  if (car.odometerReadings.length) car.odometer = car.odometerReadings[car.odometerReadings.length - 1].km;
+  car.priceHistory = [...(car.priceHistory || []), ...(dup.priceHistory || [])]
+    .map(toPlain)
+    .sort((x, y) => new Date(x.changedAt) - new Date(y.changedAt));
+
+  const currLC = lc(car.location);
+  car.nextLocations = [...new Set([...(car.nextLocations || []), ...(dup.nextLocations || [])]
+    .map((s) => String(s).trim())
+    .filter(Boolean))]
+    .filter((n) => n.toLowerCase() !== currLC);
+
+  const entry = { arrayFilters: [{ 'entry.car': dup._id }] };
+  const moved = {};
+  const session = await Car.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await car.save({ session });
+      const tasks = await Task.updateMany({ car: dup._id }, { $set: { car: car._id } }, { session });
+      const customerAppointments = await CustomerAppointment.updateMany(
+        { car: dup._id },
+        { $set: { car: car._id } },
+        { session }
+      );
+      const reconAppointments = await ReconditionerAppointment.updateMany(
+        { 'cars.car': dup._id },
+        { $set: { 'cars.$[entry].car': car._id } },
+        { ...entry, session }
+      );
+      const customers = await Customer.updateMany(
+        { 'cars.car': dup._id },
+        { $set: { 'cars.$[entry].car': car._id } },
+        { ...entry, session }
+      );
+      await dedupeCustomerInterest(car._id, session);
+      // pending confirmations offering the duplicate now offer the merged car
+      const regoConfirmations = await RegoConfirmation.updateMany(
+        { status: 'pending', 'candidates.car': dup._id },
+        { $set: { 'candidates.$[entry].car': car._id, 'candidates.$[entry].rego': car.rego } },
+        { ...entry, session }
+      );
+      await Car.deleteOne({ _id: dup._id }, { session });
+
+      Object.assign(moved, {
+        tasks: tasks.modifiedCount || 0,
+        customerAppointments: customerAppointments.modifiedCount || 0,
+        reconAppointments: reconAppointments.modifiedCount || 0,
+        customers: customers.modifiedCount || 0,
+        regoConfirmations: regoConfirmations.modifiedCount || 0,
+      });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const mergeSource = { ...source, ref: `merge:${dup.rego}` };
+  await recordCarChanges(car, before, mergeSource);
+  await runStageHooks(car, stageChange, { source: mergeSource });
+  await recordFieldChange(
+    { carId: dup._id, rego: dup.rego, field: 'mergedInto', oldValue: dup.rego, newValue: car.rego },
+    mergeSource
+  );
+
+  return { car, removed: { _id: dup._id, rego: dup.rego }, moved };
+}
+
+const brief = (c) => ({
+  _id: c._id,
+  rego: c.rego,
+  make: c.make || '',
+  model: c.model || '',
+  stage: c.stage || '',
+  location: c.location || '',
+  photos: (c.photos || []).length,
+  checklist: activeCount(c.checklist),
+});
+
+/**
+ * Likely duplicate pairs: same make + model and regos within `maxScore`
+ * weighted edit distance (confusable characters are cheap). Closest first.
+ */
+async function findDuplicatePairs({ maxScore = DEFAULT_POLICY.reviewThreshold } = {}) {
+  const cars = await Car.find({}, 'rego make model stage location photos checklist').lean();
+
+  const groups = new Map();
+  for (const c of cars) {
+    if (!c.rego || isBlank(c.make) || isBlank(c.model)) continue;
+    const key = `${lc(c.make)}|${lc(c.model)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+
+  const pairs = [];
+  for (const list of groups.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const score = weightedEditDistance(list[i].rego, list[j].rego);
+        if (score <= maxScore) {
+          pairs.push({ score: Number(score.toFixed(3)), a: brief(list[i]), b: brief(list[j]) });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => x.score - y.score);
+}
+
+module.exports = {
+  mergeCars,
+  findDuplicatePairs,
+};
@@ -0,0 +1,148 @@
+// src/services/carQuery.js
+// Query-string → Mongo filter/sort/cursor for GET /api/cars.
+
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const { ACTIVE_STATUSES } = require('./checklist');
+
+const SORT_FIELDS = ['updatedAt', 'createdAt', 'dateCreated', 'rego', 'make', 'model', 'year', 'stage', 'location'];
+const DATE_FIELDS = new Set(['updatedAt', 'createdAt', 'dateCreated']);
+const MAX_LIMIT = 500;
+
+// "Online,Sold" → ['Online', 'Sold']
+const listParam = (v) =>
+  (Array.isArray(v) ? v : String(v ?? '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+// exact values; case-insensitive because the query runs with Car.CI_COLLATION
+const inList = (v) => ({ $in: listParam(v) });
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+function parseBool(v, name) {
+  const t = String(v).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(t)) return true;
+  if (['false', '0', 'no'].includes(t)) return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+function parseYear(v, name) {
+  const n = Number(v);
+  if (!Number.isInteger(n)) throw badRequest(`${name} must be a year`);
+  return n;
+}
+
+function encodeCursor(doc, field) {
+  let v = doc?.[field];
+  if (v === undefined) v = null;
+  if (v instanceof Date) v = v.toISOString();
+  return Buffer.from(JSON.stringify({ v, id: String(doc._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!/^[a-f0-9]{24}$/i.test(String(id))) throw new Error();
+    return { v: v !== null && DATE_FIELDS.has(field) ? new Date(v) : v, id };
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+/**
+ * Documents strictly after the cursor in (field, _id) order.
+ * Mongo puts null/missing first ascending and last descending.
+ */
+function afterCursor(field, dir, { v, id }) {
+  const _id = new mongoose.Types.ObjectId(id);
+  const cmp = dir === 1 ? '$gt' : '$lt';
+
+  if (v === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: { $gt: _id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: _id } };
+  }
+
+  const or = [{ [field]: { [cmp]: v } }, { [field]: v, _id: { [cmp]: _id } }];
+  if (dir === -1) or.push({ [field]: null });
+  return { $or: or };
+}
+
+/**
+ * Supported params (all optional):
+ *   stage, location, nextLocation, make, model, readinessStatus  (comma-separated, case-insensitive)
+ * Run the query with `collation` (Car.CI_COLLATION): that is what makes the filters
+ * case-insensitive while still using the *_ci indexes.
+ *   yearFrom, yearTo, hasChecklist=true|false, updatedSince=<ISO date>
+ *   sort=<SORT_FIELDS> (default updatedAt), order=asc|desc (default desc)
+ *   limit=1..500, cursor=<nextCursor from the previous page>
+ * Throws errors with status=400 for bad input.
+ */
+function buildCarListQuery(q = {}) {
+  const filter = {};
+
+  if (q.stage) filter.stage = inList(q.stage);
+  if (q.location) filter.location = inList(q.location);
+  if (q.nextLocation) filter.nextLocations = inList(q.nextLocation);
+  if (q.make) filter.make = inList(q.make);
+  if (q.model) filter.model = inList(q.model);
+  if (q.readinessStatus) filter.readinessStatus = inList(q.readinessStatus);
+
+  if (q.yearFrom || q.yearTo) {
+    filter.year = {};
+    if (q.yearFrom) filter.year.$gte = parseYear(q.yearFrom, 'yearFrom');
+    if (q.yearTo) filter.year.$lte = parseYear(q.yearTo, 'yearTo');
+  }
+
+  // "has checklist" = has work still to do (open / in-progress items)
+  if (q.hasChecklist !== undefined && q.hasChecklist !== '') {
+    const open = { $elemMatch: { status: { $in: ACTIVE_STATUSES } } };
+    filter.checklist = parseBool(q.hasChecklist, 'hasChecklist') ? open : { $not: open };
+  }
+
+  if (q.updatedSince) {
+    const d = new Date(String(q.updatedSince));
+    if (Number.isNaN(d.getTime())) throw badRequest('updatedSince must be a date');
+    filter.updatedAt = { $gte: d };
+  }
+
+  const field = String(q.sort || 'updatedAt');
+  if (!SORT_FIELDS.includes(field)) {
+    throw badRequest(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = String(q.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+  const dir = order === 'asc' ? 1 : -1;
+
+  // No limit → the whole (filtered) list, which is what the board view loads
+  let limit = null;
+  if (q.limit !== undefined && q.limit !== '') {
+    limit = Number(q.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const pageFilter = q.cursor
+    ? { $and: [filter, afterCursor(field, dir, decodeCursor(q.cursor, field))] }
+    : filter;
+
+  return {
+    filter,
+    pageFilter,
+    collation: Car.CI_COLLATION,
+    sort: { [field]: dir, _id: dir },
+    limit,
+    nextCursor: (docs) =>
+      limit && docs.length === limit ? encodeCursor(docs[docs.length - 1], field) : null,
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  buildCarListQuery,
+};
@@ -0,0 +1,221 @@
+// src/services/carSearch.js
+// Ranked car search: Mongo text index for words, plus OCR-tolerant rego matching
+// and prefix matches so half-typed queries ("coro", "1AT8") still find cars.
+
+const Car = require('../models/Car');
+const { confusionDistance } = require('./matching/plateConfusions');
+const { getSignedViewUrl } = require('./aws/s3');
+const { itemTexts } = require('./checklist');
+
+// Relative importance of a hit in each field (mirrors the text index weights on Car)
+const FIELD_WEIGHTS = {
+  rego: 10,
+  make: 5,
+  model: 5,
+  badge: 3,
+  series: 3,
+  description: 2,
+  notes: 1,
+  checklist: 1,
+};
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const MAX_LIMIT = 50;
+const SNIPPET_RADIUS = 40;
+const MAX_CONFUSION = 1; // plateConfusions distance still treated as "same plate"
+
+const PROJECTION = { ...Object.fromEntries(FIELDS.map((f) => [f, 1])), year: 1, stage: 1, location: 1, photos: { $slice: 1 } };
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normPlate = (s) => String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function tokenize(q) {
+  return [...new Set(String(q || '').toLowerCase().match(/[a-z0-9]+/g) || [])];
+}
+
+// Plate-like: one alphanumeric chunk of plate length with a digit in it (e.g. "1AT 8QG")
+function plateQuery(q) {
+  const p = normPlate(q);
+  return p.length >= 3 && p.length <= 8 && /\d/.test(p) ? p : '';
+}
+
+const fieldText = (car, f) =>
+  f === 'checklist' ? itemTexts(car.checklist).join(' • ') : String(car[f] ?? '');
+
+/** All [start, end) ranges where any term occurs in text (case-insensitive, merged). */
+function findRanges(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const t of terms) {
+    let i = lower.indexOf(t);
+    while (i !== -1) {
+      ranges.push([i, i + t.length]);
+      i = lower.indexOf(t, i + t.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return merged;
+}
+
+/** Short excerpt around the first hit; ranges are re-based onto the excerpt. */
+function snippet(text, ranges) {
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[ranges.length - 1][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matches: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]),
+  };
+}
+
+/** Score one car against the query; returns null when nothing matches. */
+function scoreCar(car, { terms, plate, textScore = 0 }) {
+  let score = textScore * 5;
+  const highlights = [];
+
+  for (const f of FIELDS) {
+    const text = fieldText(car, f);
+    if (!text) continue;
+    const ranges = findRanges(text, terms);
+    if (!ranges.length) continue;
+
+    const lower = text.toLowerCase();
+    for (const t of terms) {
+      if (!lower.includes(t)) continue;
+      const word = new RegExp(`(^|[^a-z0-9])${escapeRegex(t)}([^a-z0-9]|$)`).test(lower);
+      const prefix = new RegExp(`(^|[^a-z0-9])${escapeRegex(t)}`).test(lower);
+      score += FIELD_WEIGHTS[f] * (word ? 3 : prefix ? 2 : 1);
+    }
+    highlights.push({ field: f, ...snippet(text, ranges) });
+  }
+
+  if (plate && car.rego) {
+    const rego = normPlate(car.rego);
+    if (rego === plate) {
+      score += 100;
+    } else if (rego.includes(plate)) {
+      score += 40;
+    } else {
+      const d = confusionDistance(plate, rego);
+      if (rego.length === plate.length && d <= MAX_CONFUSION) {
+        score += 30 * (1 - d / (MAX_CONFUSION * 2));
+        if (!highlights.some((h) => h.field === 'rego')) {
+          highlights.unshift({ field: 'rego', text: car.rego, matches: [[0, car.rego.length]], fuzzy: true });
+        }
+      }
+    }
+  }
+
+  return score > 0 ? { score, highlights } : null;
+}
+
+async function textCandidates(q, limit) {
+  try {
+    return await Car.find({ $text: { $search: q } }, { ...PROJECTION, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+  } catch (e) {
+    // e.g. text index not built yet — the prefix/rego paths still work
+    console.warn('[carSearch] text search unavailable:', e.message);
+    return [];
+  }
+}
+
+async function prefixCandidates(terms, limit) {
+  if (!terms.length) return [];
+  const or = [];
+  for (const t of terms) {
+    const re = new RegExp(`^${escapeRegex(t)}`, 'i');
+    or.push({ rego: re }, { make: re }, { model: re }, { badge: re }, { series: re });
+  }
+  return Car.find({ $or: or }, PROJECTION).limit(limit).lean();
+}
+
+// Same-length plates within the OCR-confusion budget (regos only, then the hits)
+async function plateCandidates(plate) {
+  if (!plate) return [];
+  const regos = await Car.find({}, { rego: 1 }).lean();
+  const ids = regos
+    .filter((c) => {
+      const r = normPlate(c.rego);
+      return r.includes(plate) || (r.length === plate.length && confusionDistance(plate, r) <= MAX_CONFUSION);
+    })
+    .map((c) => c._id);
+  return ids.length ? Car.find({ _id: { $in: ids } }, PROJECTION).lean() : [];
+}
+
+/**
+ * @returns {Promise<Array<{ _id, rego, make, model, badge, year, stage, location,
+ *   score, highlights: Array<{ field, text, matches: [start, end][] }>, thumbnailUrl }>>}
+ */
+async function searchCars(query, { limit = 20 } = {}) {
+  const q = String(query || '').trim();
+  const terms = tokenize(q);
+  if (!terms.length) return [];
+
+  const max = Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT);
+  const plate = plateQuery(q);
+  const pool = max * 5;
+
+  const [byText, byPrefix, byPlate] = await Promise.all([
+    textCandidates(q, pool),
+    prefixCandidates(terms, pool),
+    plateCandidates(plate),
+  ]);
+
+  const candidates = new Map();
+  for (const c of [...byText, ...byPrefix, ...byPlate]) {
+    const id = String(c._id);
+    const prev = candidates.get(id);
+    if (!prev || (c.score && !prev.score)) candidates.set(id, c);
+  }
+
+  const ranked = [];
+  for (const car of candidates.values()) {
+    const hit = scoreCar(car, { terms, plate, textScore: car.score || 0 });
+    if (hit) ranked.push({ car, ...hit });
+  }
+  ranked.sort((a, b) => b.score - a.score || String(a.car.rego).localeCompare(String(b.car.rego)));
+
+  return Promise.all(
+    ranked.slice(0, max).map(async ({ car, score, highlights }) => {
+      const first = (car.photos || [])[0];
+      let thumbnailUrl = '';
+      if (first?.key) {
+        try {
+          thumbnailUrl = await getSignedViewUrl(first.key, 3600);
+        } catch {
+          thumbnailUrl = '';
+        }
+      }
+      return {
+        _id: car._id,
+        rego: car.rego,
+        make: car.make || '',
+        model: car.model || '',
+        badge: car.badge || '',
+        year: car.year ?? null,
+        stage: car.stage || '',
+        location: car.location || '',
+        score: Number(score.toFixed(2)),
+        highlights,
+        thumbnailUrl,
+      };
+    })
+  );
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  searchCars,
+};
@@ -0,0 +1,173 @@
+// src/services/carStage.js
+// The one place that decides how a car moves between stages.
+//
+// Usage (routes / updaters):
+//   const t = applyStage(car, 'Online');            // validates + mutates, throws on illegal moves
+//   await car.save();
+//   await runStageHooks(car, t, { source });        // side effects outside the car document
+//                                                   // (→ batch log entries for what they changed)
+
+const Car = require('../models/Car');
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const { activeCount } = require('./checklist');
+const { fieldsOf, docUpdateEntry } = require('./changeEntries');
+const { daysClosed } = require('./locations');
+
+const STAGES = ['In Works', 'In Works/Online', 'Online', 'Sold'];
+
+// from → allowed targets. Sold is final unless explicitly reopened (deal fell through).
+const TRANSITIONS = {
+  'In Works': ['In Works/Online', 'Online', 'Sold'],
+  'In Works/Online': ['In Works', 'Online', 'Sold'],
+  Online: ['In Works', 'In Works/Online', 'Sold'],
+  Sold: [],
+};
+const REOPEN_TARGETS = ['In Works', 'In Works/Online', 'Online'];
+
+const LISTED_STAGES = ['Online', 'In Works/Online'];
+
+function stageError(msg, status = 400) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/** Free text → canonical stage name, or null if it isn't one. */
+function normalizeStage(input) {
+  const t = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!t) return null;
+  if (/sold/.test(t)) return 'Sold';
+  if (/works/.test(t) && /online/.test(t)) return 'In Works/Online';
+  if (/online/.test(t)) return 'Online';
+  if (/works/.test(t)) return 'In Works';
+  return null;
+}
+
+/** "Online" with open checklist items is really still being worked on */
+function effectiveTarget(car, target) {
+  if (target === 'Online' && activeCount(car.checklist) > 0) return 'In Works/Online';
+  return target;
+}
+
+function canTransition(from, to, { reopen = false } = {}) {
+  if (!from) return STAGES.includes(to); // unset / legacy free text
+  if (from === to) return true;
+  if (from === 'Sold') return reopen && REOPEN_TARGETS.includes(to);
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/* ------------------------------ hooks ------------------------------ */
+
+// stage → [{ beforeSave(car, t), afterSave(car, t, ctx) → batch log entries }]
+const hooks = new Map();
+
+/** Register side effects for entering a stage (beforeSave runs sync on the doc, afterSave after it is saved). */
+function onStage(stage, { beforeSave, afterSave } = {}) {
+  if (!STAGES.includes(stage)) throw new Error(`Unknown stage: ${stage}`);
+  if (!hooks.has(stage)) hooks.set(stage, []);
+  hooks.get(stage).push({ beforeSave, afterSave });
+}
+
+/**
+ * Validate and apply a stage change to a car document (not saved).
+ * @param {object} opts
+ *   reopen:  allow leaving Sold
+ *   initial: new car — no "from" stage to check against
+ * @returns {{ changed: boolean, from: string|null, to: string, requested: string }}
+ */
+function applyStage(car, requested, { reopen = false, initial = false, at = new Date() } = {}) {
+  const wanted = normalizeStage(requested);
+  if (!wanted) throw stageError(`Unknown stage "${requested}". Use one of: ${STAGES.join(', ')}`);
+
+  const to = effectiveTarget(car, wanted);
+  const from = initial ? null : normalizeStage(car.stage);
+
+  if (from === to && car.stage === to) return { changed: false, from, to, requested: wanted };
+  if (!canTransition(from, to, { reopen })) {
+    throw stageError(
+      from === 'Sold'
+        ? `${car.rego || 'Car'} is Sold; reopen it to move it to ${to}`
+        : `Can't move ${car.rego || 'car'} from ${from} to ${to}`,
+      409
+    );
+  }
+
+  car.stage = to;
+  car.stageChangedAt = at;
+  if (LISTED_STAGES.includes(to) && !car.listedAt) car.listedAt = at;
+  if (to === 'Sold') car.soldAt = at;
+  if (from === 'Sold' && to !== 'Sold') car.soldAt = null;
+
+  const t = { changed: from !== to, from, to, requested: wanted };
+  if (t.changed) {
+    for (const h of hooks.get(to) || []) if (h.beforeSave) h.beforeSave(car, t);
+  }
+  return t;
+}
+
+/**
+ * After-save side effects for a transition returned by applyStage. Never throws.
+ * @returns {Promise<object[]>} batch log entries for the documents the hooks changed (for /undo)
+ */
+async function runStageHooks(car, t, ctx = {}) {
+  const changes = [];
+  if (!t?.changed) return changes;
+  for (const h of hooks.get(t.to) || []) {
+    if (!h.afterSave) continue;
+    try {
+      changes.push(...((await h.afterSave(car, t, ctx)) || []));
+    } catch (e) {
+      console.warn(`[carStage] ${t.to} hook failed for ${car.rego}:`, e.message);
+    }
+  }
+  return changes.filter(Boolean);
+}
+
+/** Keep "Online" honest when checklist items are added (Online → In Works/Online). */
+function syncStageWithChecklist(car) {
+  if (normalizeStage(car.stage) !== 'Online' || !activeCount(car.checklist)) return null;
+  return applyStage(car, 'In Works/Online');
+}
+
+/* --------------------------- built-in hooks --------------------------- */
+
+// Sold: the car isn't sitting anywhere any more and isn't going anywhere
+onStage('Sold', {
+  beforeSave(car) {
+    const last = Array.isArray(car.history) ? car.history[car.history.length - 1] : null;
+    if (last && !last.endDate) {
+      last.endDate = car.soldAt || new Date();
+      last.days = daysClosed(last.startDate, last.endDate);
+    }
+    car.nextLocations = [];
+  },
+
+  // Close recon appointments once every identified car on them is sold
+  async afterSave(car) {
+    const changes = [];
+    const appts = await ReconditionerAppointment.find({ 'cars.car': car._id, status: { $ne: 'closed' } });
+    for (const appt of appts) {
+      const ids = appt.cars.map((c) => c.car).filter(Boolean);
+      const unsold = await Car.countDocuments({ _id: { $in: ids }, stage: { $ne: 'Sold' } });
+      if (unsold) continue;
+      const before = fieldsOf(appt, ['status', 'closedAt', 'closedReason']);
+      appt.status = 'closed';
+      appt.closedAt = new Date();
+      appt.closedReason = 'car sold';
+      await appt.save();
+      changes.push(docUpdateEntry('ReconditionerAppointment', appt, before, `recon appt ${appt.name}`));
+    }
+    return changes;
+  },
+});
+
+module.exports = {
+  STAGES,
+  TRANSITIONS,
+  normalizeStage,
+  canTransition,
+  applyStage,
+  runStageHooks,
+  syncStageWithChecklist,
+  onStage,
+};
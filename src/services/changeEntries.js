@@ -0,0 +1,47 @@
+// src/services/changeEntries.js
+// Change entries for the batch log (services/batchLog.js): what a write changed, in the shape
+// revertBatch undoes. Built by updaters, creators and stage hooks; kept apart from batchLog
+// so modules batchLog itself uses (carStage) can build them too.
+
+const { plain, snapshot, changedFields, same } = require('./carChanges');
+
+/** Car edit → { model, op: 'update', before, after } with only the changed fields, or null */
+function carUpdateEntry(car, before) {
+  const diff = changedFields(before, snapshot(car));
+  if (!Object.keys(diff.before).length) return null;
+  return { model: 'Car', op: 'update', docId: car._id, label: car.rego || '', ...diff };
+}
+
+// Named fields of a non-car document, comparable like carChanges.snapshot (dates as ISO)
+function fieldsOf(doc, fields) {
+  const out = {};
+  for (const f of fields) out[f] = plain(doc?.[f]);
+  return out;
+}
+
+/** Edit to a non-car document; `before` is fieldsOf() taken before the edit. Null if nothing changed. */
+function docUpdateEntry(model, doc, before, label = '') {
+  const after = fieldsOf(doc, Object.keys(before));
+  const diff = { before: {}, after: {} };
+  for (const f of Object.keys(before)) {
+    if (!same(before[f], after[f])) {
+      diff.before[f] = before[f];
+      diff.after[f] = after[f];
+    }
+  }
+  if (!Object.keys(diff.before).length) return null;
+  return { model, op: 'update', docId: doc._id, label, ...diff };
+}
+
+/** Newly created document → reverting deletes it */
+function createdEntry(model, doc, label = '') {
+  if (!doc?._id) return null;
+  return { model, op: 'create', docId: doc._id, label };
+}
+
+module.exports = {
+  carUpdateEntry,
+  fieldsOf,
+  docUpdateEntry,
+  createdEntry,
+};
@@ -0,0 +1,220 @@
+// src/services/checklist.js
+// Helpers for Car.checklist items ({ text, category, status, assignee, source, ... }).
+// Items are never deleted when work is finished — they move to done / wont-fix.
+
+const Car = require('../models/Car');
+
+const STATUSES = Car.CHECKLIST_STATUSES;
+const ACTIVE_STATUSES = ['open', 'in-progress'];
+const CLOSED_STATUSES = ['done', 'wont-fix'];
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+const textKey = (s) => clean(s).toLowerCase();
+
+const isActive = (item) => ACTIVE_STATUSES.includes(item?.status || 'open');
+
+/** string | item-like object → plain item for Car.checklist */
+function toItem(x, { source = '', createdBy = '', category = '' } = {}) {
+  if (typeof x === 'string') {
+    return { text: clean(x), category, source, createdBy, status: 'open' };
+  }
+  return {
+    ...x,
+    text: clean(x?.text),
+    category: x?.category ?? category,
+    source: x?.source || source,
+    createdBy: x?.createdBy || createdBy,
+  };
+}
+
+/** Item texts (all items, or only open / in-progress ones). Accepts legacy string arrays. */
+function itemTexts(list, { activeOnly = false } = {}) {
+  return (Array.isArray(list) ? list : [])
+    .map((x) => (typeof x === 'string' ? { text: x } : x))
+    .filter((x) => x && (!activeOnly || isActive(x)))
+    .map((x) => clean(x.text))
+    .filter(Boolean);
+}
+
+const activeCount = (list) => itemTexts(list, { activeOnly: true }).length;
+
+/**
+ * Append items whose text isn't already open on the car (case-insensitive).
+ * A done item with the same text doesn't block re-adding: the fault came back.
+ * @returns {string[]} texts actually added
+ */
+function addItems(car, texts, meta = {}) {
+  const open = new Set(itemTexts(car.checklist, { activeOnly: true }).map(textKey));
+  const added = [];
+  for (const t of Array.isArray(texts) ? texts : [texts]) {
+    const text = clean(t);
+    if (!text || open.has(textKey(text))) continue;
+    open.add(textKey(text));
+    car.checklist.push(toItem(text, meta));
+    added.push(text);
+  }
+  return added;
+}
+
+function applyStatus(item, status, by = '') {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (item.status === status) return;
+  item.status = status;
+  if (CLOSED_STATUSES.includes(status)) {
+    item.completedAt = new Date();
+    item.completedBy = by;
+  } else {
+    item.completedAt = null;
+    item.completedBy = '';
+  }
+}
+
+/** Validate and apply { text, category, status, assignee, photoKeys } to one item. */
+function applyItemPatch(item, patch = {}, { by = '' } = {}) {
+  if (patch.text !== undefined) {
+    const text = clean(patch.text);
+    if (!text) throw new Error('text cannot be empty');
+    item.text = text;
+  }
+  if (patch.category !== undefined) item.category = clean(patch.category);
+  if (patch.assignee !== undefined) item.assignee = clean(patch.assignee);
+  if (patch.photoKeys !== undefined) {
+    if (!Array.isArray(patch.photoKeys)) throw new Error('photoKeys must be an array');
+    item.photoKeys = [...new Set(patch.photoKeys.map(clean).filter(Boolean))];
+  }
+  if (patch.status !== undefined) applyStatus(item, String(patch.status).trim(), by);
+  return item;
+}
+
+/**
+ * Replace the whole checklist (the web editor sends the full list).
+ * Entries may be strings or objects; existing items are kept (with their status
+ * and history) when matched by id, or for strings by text. Anything not sent is dropped.
+ */
+function setChecklist(car, input, meta = {}) {
+  const list = Array.isArray(input) ? input : [];
+  const existing = car.checklist || [];
+  const byId = new Map(existing.map((i) => [String(i._id), i]));
+  const byText = new Map();
+  for (const i of existing) if (!byText.has(textKey(i.text))) byText.set(textKey(i.text), i);
+
+  const out = [];
+  const used = new Set();
+  const take = (item) => {
+    const id = String(item._id);
+    if (used.has(id)) return;
+    used.add(id);
+    out.push(item);
+  };
+
+  for (const entry of list) {
+    if (typeof entry === 'string') {
+      const text = clean(entry);
+      if (!text) continue;
+      const hit = byText.get(textKey(text));
+      if (hit) take(hit);
+      else if (!out.some((i) => !i._id && textKey(i.text) === textKey(text))) out.push(toItem(text, meta));
+      continue;
+    }
+    if (!entry || typeof entry !== 'object') continue;
+
+    const hit = byId.get(String(entry._id || entry.id || ''));
+    if (hit) {
+      applyItemPatch(hit, entry, { by: meta.createdBy });
+      take(hit);
+    } else if (clean(entry.text)) {
+      const item = toItem({ text: entry.text, category: entry.category, assignee: entry.assignee }, meta);
+      if (entry.photoKeys) item.photoKeys = entry.photoKeys;
+      out.push(item);
+      if (entry.status && entry.status !== 'open') {
+        applyStatus(item, String(entry.status).trim(), meta.createdBy);
+      }
+    }
+  }
+
+  car.checklist = out;
+  return car.checklist;
+}
+
+/** Union of two checklists: open items deduped by text, finished ones all kept. */
+function mergeChecklists(a = [], b = []) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of [...a, ...b]) {
+    const plain = raw && typeof raw.toObject === 'function' ? raw.toObject() : raw;
+    const item = typeof plain === 'string' ? toItem(plain) : plain;
+    const k = textKey(item?.text);
+    if (!k) continue;
+    if (isActive(item)) {
+      if (seen.has(k)) continue;
+      seen.add(k);
+    }
+    out.push(item);
+  }
+  return out;
+}
+
+// Words that say *that* something happened rather than *what* it was
+const FILLER = new Set([
+  'the', 'and', 'for', 'has', 'have', 'been', 'was', 'now', 'all', 'its', 'car', 'ready',
+  'done', 'fixed', 'completed', 'complete', 'finished', 'sorted', 'repaired', 'replaced',
+  'inspect', 'with', 'on', 'is', 'are',
+]);
+const words = (s) => (textKey(s).match(/[a-z0-9]+/g) || []).filter((w) => w.length >= 3 && !FILLER.has(w));
+
+// Past-tense "it's finished" words only: "tyres to be fitted" / "windscreen needs replaced" are new work
+const COMPLETION_RE = /\b(done|fixed|completed|finished|sorted)\b/i;
+const READY_RE = /\bready\b/i;
+// "not done", "still needs doing", "to be fixed", "once sorted" aren't finished yet
+const PENDING_RE = /\b(?:not|never|needs?|needing|to be|yet|still|will|once|when)\b|n't\b/i;
+
+/** Does a note say work is finished? `ready` also accepts "tyres are ready" (readiness updates). */
+function saysCompleted(text, { ready = false } = {}) {
+  const t = String(text || '');
+  if (PENDING_RE.test(t)) return false;
+  return COMPLETION_RE.test(t) || (ready && READY_RE.test(t));
+}
+
+/**
+ * Find the open item a free-text note refers to ("tyres done" → "Tyres") and mark it done.
+ * Needs at least half of the item's words in the note. Returns the item or null.
+ */
+function tickOff(car, note, { by = '' } = {}) {
+  const noteWords = new Set(words(note));
+  if (!noteWords.size) return null;
+
+  let best = null;
+  let bestScore = 0;
+  for (const item of car.checklist || []) {
+    if (!isActive(item)) continue;
+    const w = words(item.text);
+    if (!w.length) continue;
+    const hits = w.filter((x) => noteWords.has(x)).length;
+    const score = hits / w.length;
+    if (hits && score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  }
+  if (!best || bestScore < 0.5) return null;
+
+  applyStatus(best, 'done', by);
+  return best;
+}
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  isActive,
+  toItem,
+  itemTexts,
+  activeCount,
+  addItems,
+  applyItemPatch,
+  setChecklist,
+  mergeChecklists,
+  saysCompleted,
+  tickOff,
+};
@@ -2,6 +2,9 @@
 const CustomerAppointment = require('../../models/CustomerAppointment');
 const { identifyCar } = require('../carIdentifier');
 const timeline = require('../logging/timelineLogger');
+const { parseScheduledAt } = require('../dateParsing');
+const { attachCustomer, linkAppointment } = require('../customers');
+const { createdEntry, docUpdateEntry } = require('../changeEntries');
 
 // Build a readable fallback string for the UI when we can't identify a Car document
 function buildCarText({ rego = '', make = '', model = '', badge = '', year = '', description = '' }) {
@@ -23,6 +26,7 @@ async function createCustomerAppointment(payload, tctx) {
   const {
     // appointment info
     name = 'Customer',
+    phone = '',
     dateTime = '',
     notes = '',
     // vehicle hints
@@ -32,6 +36,8 @@ async function createCustomerAppointment(payload, tctx) {
     badge = '',
     year = '',
     description = '',
+    // when the message was sent — "tomorrow" is relative to that, not to now
+    _messageTs,
   } = payload;
 
   let car = null;
@@ -48,20 +54,47 @@ async function createCustomerAppointment(payload, tctx) {
     timeline.identFail(tctx, { reason: err.message, rego, make, model });
   }
 
+  // existing customer by phone / name, or a new record for a named customer
+  let customer = null;
+  let customerCreated = false;
+  let customerBefore = null;
+  try {
+    ({ customer, created: customerCreated, before: customerBefore } = await attachCustomer({
+      name,
+      phone,
+      source: 'telegram',
+    }));
+  } catch (err) {
+    console.warn('[customerAppointment] customer match failed:', err.message);
+  }
+
+  const when = parseScheduledAt(dateTime, { ref: _messageTs ? new Date(_messageTs) : new Date() });
+
   const doc = new CustomerAppointment({
-    name: name || 'Customer',
+    name: name || customer?.name || 'Customer',
+    customer: customer ? customer._id : null,
     dateTime: dateTime || '',
+    scheduledAt: when?.at || null,
+    allDay: !!when?.allDay,
     notes: notes || '',
     car: car ? car._id : null,
     carText: car ? '' : buildCarText({ rego, make, model, badge, year, description }),
   });
 
   await doc.save();
+  const linked = await linkAppointment(doc, { by: payload._sourceSpeaker || '' });
+
+  // what happened to the customer, so /undo takes it back with the appointment
+  let customerChange = null;
+  if (customer && customerCreated) customerChange = createdEntry('Customer', customer, `customer ${customer.name}`);
+  else if (customer && customerBefore) {
+    customerChange = docUpdateEntry('Customer', linked || customer, customerBefore, `customer ${customer.name}`);
+  }
 
   const label = car ? car.rego : doc.carText || '[Unidentified vehicle]';
   timeline.change(tctx, `Customer appt: ${label}${doc.dateTime ? ` @ ${doc.dateTime}` : ''}`);
 
-  return { type: 'CUSTOMER_APPOINTMENT', appointment: doc, car };
+  return { type: 'CUSTOMER_APPOINTMENT', appointment: doc, car, customer, customerChange };
 }
 
 module.exports = { createCustomerAppointment };
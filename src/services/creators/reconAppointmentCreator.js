@@ -2,6 +2,7 @@ const ReconditionerAppointment = require('../../models/ReconditionerAppointment'
 const ReconditionerCategory = require('../../models/ReconditionerCategory');
 const { identifyCar } = require('../carIdentifier');
 const timeline = require('../logging/timelineLogger');
+const { parseScheduledAt } = require('../dateParsing');
 
 // Build a readable fallback like: "XYZ789 — Toyota Corolla (white, 2015)"
 function buildCarText({ rego = '', make = '', model = '', badge = '', description = '', year = '' }) {
@@ -42,7 +43,7 @@ async function resolveCategoryId(categoryName) {
  * - name: contractor/person (e.g., Rick, Sky Car Trimming)
  * - service: short what-to-do ("seat repair")
  * - category: should be one of the user categories; unknown will fall back to "Other"
- * - dateTime, notes: optional
+ * - dateTime, notes: optional (dateTime is also resolved to scheduledAt, relative to _messageTs)
  *
  * Always creates an appointment:
  * - If car identified → cars: [{ car: <ObjectId>, notes }]
@@ -61,6 +62,7 @@ async function createReconditionerAppointment(payload, tctx) {
     category = 'Other',
     dateTime = '',
     notes = '',
+    _messageTs,
   } = payload;
 
   // Resolve category id (strict; no auto-create beyond "Other")
@@ -84,9 +86,13 @@ async function createReconditionerAppointment(payload, tctx) {
     ? { car: linkedCar._id, notes: entryNotes }
     : { carText: buildCarText({ rego, make, model, badge, description, year }), notes: entryNotes };
 
+  const when = parseScheduledAt(dateTime, { ref: _messageTs ? new Date(_messageTs) : new Date() });
+
   const appointment = new ReconditionerAppointment({
     name: name || 'Reconditioning',
     dateTime: dateTime || '',
+    scheduledAt: when?.at || null,
+    allDay: !!when?.allDay,
     category: categoryId,
     cars: [carEntry],
   });
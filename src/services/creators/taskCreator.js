@@ -2,6 +2,7 @@
 const Task = require('../../models/Task');
 const { identifyCar } = require('../carIdentifier');
 const timeline = require('../logging/timelineLogger');
+const { canonicalLocation } = require('../locations');
 
 /**
  * Generic Task (always created).
@@ -47,7 +48,8 @@ async function createGenericTask(payload, tctx = {}) {
 /**
  * Drop-off as Task (always created).
  * Formats: "Drop off <carText> to <destination> — <note>"
- * payload: { rego, make, model, badge, year, description, destination, note }
+ * payload: { rego, make, model, badge, year, description, origin, destination, note }
+ * Keeps origin/destination on the task so the car's arrival can complete it.
  */
 async function createDropOffTask(payload, tctx = {}) {
   const {
@@ -57,9 +59,10 @@ async function createDropOffTask(payload, tctx = {}) {
     badge = '',
     year = '',
     description = '',
-    destination = '',
     note = ''
   } = payload;
+  const origin = await canonicalLocation(payload.origin);
+  const destination = await canonicalLocation(payload.destination);
 
   // Build user-facing text even if unidentified
   const carText = [rego, make, model, badge, year].filter(Boolean).join(' ').trim() || 'vehicle';
@@ -83,7 +86,12 @@ async function createDropOffTask(payload, tctx = {}) {
     });
   }
 
-  const doc = new Task({ task: finalText });
+  const doc = new Task({
+    task: finalText,
+    kind: 'drop-off',
+    origin: origin || car?.location || '',
+    destination,
+  });
   if (car && car._id) doc.car = car._id;
 
   await doc.save();
@@ -0,0 +1,235 @@
+// src/services/customers.js
+// Customer records behind customer appointments: matching a name/phone from chat or the
+// web form to an existing customer, the cars each customer showed interest in, and lead status.
+
+const Customer = require('../models/Customer');
+const CustomerAppointment = require('../models/CustomerAppointment');
+const { fieldsOf } = require('./changeEntries');
+
+const LEAD_STATUSES = Customer.LEAD_STATUSES;
+const INTEREST_KINDS = Customer.INTEREST_KINDS;
+
+// what attachCustomer / linkAppointment can change on an existing customer (batch log, for /undo)
+const LINK_FIELDS = ['phone', 'email', 'cars', 'leadStatus', 'leadStatusChangedAt', 'statusHistory'];
+
+// automatic moves only go forward along this path (lost is set by hand)
+const PIPELINE = ['enquiry', 'test-drive', 'negotiating', 'sold'];
+
+// "Customer" / "a guy" aren't anyone in particular — never matched or saved as a customer
+const GENERIC_NAME = /^(?:an?\s+)?(?:customer|buyer|client|someone|somebody|guy|lady|bloke|person|unknown|tbc|tba)?$/i;
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+/** "+61 412 345 678" / "0412-345-678" → "0412345678"; '' when it isn't a phone number */
+function normalizePhone(v) {
+  let d = String(v ?? '').replace(/\D/g, '');
+  if (d.startsWith('61') && d.length === 11) d = `0${d.slice(2)}`;
+  return d.length >= 8 && d.length <= 12 ? d : '';
+}
+
+const normalizeEmail = (v) => {
+  const e = clean(v).toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) ? e : '';
+};
+
+const isRealName = (name) => !GENERIC_NAME.test(clean(name));
+
+/**
+ * Existing customer for these details: by phone, then email, then an exact
+ * (case-insensitive) name — names only count when exactly one customer has it.
+ */
+async function findCustomer({ name, phone, email } = {}) {
+  const p = normalizePhone(phone);
+  if (p) {
+    const byPhone = await Customer.findOne({ phone: p });
+    if (byPhone) return byPhone;
+  }
+  const e = normalizeEmail(email);
+  if (e) {
+    const byEmail = await Customer.findOne({ email: e });
+    if (byEmail) return byEmail;
+  }
+  const n = clean(name);
+  if (n && isRealName(n)) {
+    const byName = await Customer.find({ name: new RegExp(`^${escapeRegex(n)}$`, 'i') }).limit(2);
+    if (byName.length === 1) return byName[0];
+  }
+  return null;
+}
+
+/**
+ * Customer for an appointment: an existing match (blank phone/email filled in),
+ * else a new customer when there's a real name or a phone number.
+ * `before` is the existing customer's LINK_FIELDS before any of this (null when none matched).
+ * @returns {Promise<{ customer: object|null, created: boolean, before: object|null }>}
+ */
+async function attachCustomer({ name, phone, email, source = '' } = {}, { create = true } = {}) {
+  const existing = await findCustomer({ name, phone, email });
+  const p = normalizePhone(phone);
+  const e = normalizeEmail(email);
+
+  if (existing) {
+    const before = fieldsOf(existing, LINK_FIELDS);
+    let dirty = false;
+    if (p && !existing.phone) { existing.phone = p; dirty = true; }
+    if (e && !existing.email) { existing.email = e; dirty = true; }
+    if (dirty) await existing.save();
+    return { customer: existing, created: false, before };
+  }
+
+  const n = clean(name);
+  if (!create || (!p && !isRealName(n))) return { customer: null, created: false, before: null };
+
+  const customer = new Customer({
+    name: isRealName(n) ? n : 'Customer',
+    phone: p,
+    email: e,
+    source: clean(source),
+    statusHistory: [{ status: 'enquiry', at: new Date() }],
+  });
+  await customer.save();
+  return { customer, created: true, before: null };
+}
+
+/** Set the lead status on a customer document (not saved). Returns true if it changed. */
+function applyLeadStatus(customer, status, { by = '', at = new Date() } = {}) {
+  const s = clean(status).toLowerCase();
+  if (!LEAD_STATUSES.includes(s)) throw badRequest(`leadStatus must be one of: ${LEAD_STATUSES.join(', ')}`);
+  if (customer.leadStatus === s) return false;
+  customer.leadStatus = s;
+  customer.leadStatusChangedAt = at;
+  customer.statusHistory.push({ status: s, at, by });
+  return true;
+}
+
+/**
+ * Note interest in a car on a customer document (not saved). One entry per car and kind.
+ * A test drive or purchase moves the lead forward (never back).
+ */
+function recordCarInterest(customer, { car, kind = 'viewed', appointment = null, at = new Date(), by = '' }) {
+  if (!car) return false;
+  if (!INTEREST_KINDS.includes(kind)) throw badRequest(`kind must be one of: ${INTEREST_KINDS.join(', ')}`);
+  const carId = String(car._id || car);
+  if (customer.cars.some((c) => String(c.car) === carId && c.kind === kind)) return false;
+
+  customer.cars.push({ car: carId, kind, appointment, at });
+
+  const target = kind === 'bought' ? 'sold' : kind === 'test-drive' ? 'test-drive' : null;
+  const from = PIPELINE.indexOf(customer.leadStatus);
+  if (target && from !== -1 && PIPELINE.indexOf(target) > from) applyLeadStatus(customer, target, { by, at });
+  return true;
+}
+
+/** What an appointment says about interest: deliveries are purchases */
+function interestKind(appt) {
+  if (appt.isDelivery) return 'bought';
+  return /test[\s-]?drive/i.test(appt.notes || '') ? 'test-drive' : 'viewed';
+}
+
+/**
+ * After an appointment is saved with a customer: record the car it was for, and reopen a
+ * lost lead that has booked again. Never throws — the appointment itself is already saved.
+ */
+async function linkAppointment(appt, { by = '' } = {}) {
+  if (!appt?.customer) return null;
+  try {
+    const customer = await Customer.findById(appt.customer._id || appt.customer);
+    if (!customer) return null;
+    let dirty = false;
+    if (customer.leadStatus === 'lost' && !appt.isFollowUp) {
+      dirty = applyLeadStatus(customer, 'enquiry', { by }) || dirty;
+    }
+    if (appt.car) {
+      dirty =
+        recordCarInterest(customer, {
+          car: appt.car,
+          kind: interestKind(appt),
+          appointment: appt._id,
+          at: appt.scheduledAt || new Date(),
+          by,
+        }) || dirty;
+    }
+    if (dirty) await customer.save();
+    return customer;
+  } catch (e) {
+    console.warn('[customers] linking appointment failed:', e.message);
+    return null;
+  }
+}
+
+/** Customer + populated cars + their appointments (soonest first) */
+async function customerHistory(id) {
+  const customer = await Customer.findById(id).populate('cars.car', 'rego make model year stage').lean();
+  if (!customer) return null;
+  const appointments = await CustomerAppointment.find({ customer: customer._id })
+    .populate('car', 'rego make model')
+    .sort({ scheduledAt: 1, dateCreated: 1 })
+    .lean();
+  return { ...customer, appointments };
+}
+
+/**
+ * Which cars got interest: one row per car with how many customers viewed / drove / bought it.
+ * Optional { from, to } limits to interest recorded in that window.
+ */
+async function carInterest({ from = null, to = null } = {}) {
+  const when = {};
+  if (from) when.$gte = from;
+  if (to) when.$lte = to;
+  const match = Object.keys(when).length ? [{ $match: { 'cars.at': when } }] : [];
+
+  return Customer.aggregate([
+    { $unwind: '$cars' },
+    ...match,
+    {
+      $group: {
+        _id: '$cars.car',
+        customers: { $addToSet: '$_id' },
+        viewed: { $sum: { $cond: [{ $eq: ['$cars.kind', 'viewed'] }, 1, 0] } },
+        testDrives: { $sum: { $cond: [{ $eq: ['$cars.kind', 'test-drive'] }, 1, 0] } },
+        bought: { $sum: { $cond: [{ $eq: ['$cars.kind', 'bought'] }, 1, 0] } },
+        lastInterestAt: { $max: '$cars.at' },
+      },
+    },
+    { $lookup: { from: 'cars', localField: '_id', foreignField: '_id', as: 'car' } },
+    { $unwind: { path: '$car', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        carId: '$_id',
+        rego: '$car.rego',
+        make: '$car.make',
+        model: '$car.model',
+        stage: '$car.stage',
+        customers: { $size: '$customers' },
+        viewed: 1,
+        testDrives: 1,
+        bought: 1,
+        lastInterestAt: 1,
+      },
+    },
+    { $sort: { customers: -1, lastInterestAt: -1 } },
+  ]);
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  INTEREST_KINDS,
+  LINK_FIELDS,
+  normalizePhone,
+  normalizeEmail,
+  findCustomer,
+  attachCustomer,
+  applyLeadStatus,
+  recordCarInterest,
+  linkAppointment,
+  customerHistory,
+  carInterest,
+};
@@ -0,0 +1,313 @@
+// src/services/dateParsing.js
+// Turns what people type about appointment times ("tomorrow at 12", "fri arvo", "21/10 9:30am")
+// into a real Date. Relative phrases are resolved against when the message was sent and
+// in the dealership's timezone, not the server's. The original text is always kept too.
+
+const DEALERSHIP_TZ = process.env.DEALERSHIP_TZ || 'Australia/Melbourne';
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+/* ----------------------------------------------------------------------------
+   Timezone arithmetic (Intl only — wall-clock parts ⇄ instants)
+---------------------------------------------------------------------------- */
+
+const formatters = new Map();
+function partsFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat('en-AU', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(tz);
+}
+
+/** Wall-clock { year, month (1-12), day, hour, minute, second } of an instant in tz */
+function zonedParts(date, tz = DEALERSHIP_TZ) {
+  const p = {};
+  for (const { type, value } of partsFormatter(tz).formatToParts(date)) p[type] = Number(value);
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour % 24, minute: p.minute, second: p.second };
+}
+
+const wallMs = (p) => Date.UTC(p.year, p.month - 1, p.day, p.hour || 0, p.minute || 0, p.second || 0);
+
+/** The instant at which the wall clock in tz reads { year, month, day, hour, minute } */
+function zonedTimeToDate(p, tz = DEALERSHIP_TZ) {
+  const wall = wallMs(p);
+  const offsetAt = (t) => wallMs(zonedParts(new Date(t), tz)) - t;
+  let t = wall - offsetAt(wall);
+  t = wall - offsetAt(t); // second pass settles days when DST starts or ends
+  return new Date(t);
+}
+
+/** Calendar day n days after { year, month, day } */
+function addDays(d, n) {
+  const x = new Date(Date.UTC(d.year, d.month - 1, d.day + n));
+  return { year: x.getUTCFullYear(), month: x.getUTCMonth() + 1, day: x.getUTCDate() };
+}
+
+const weekdayOf = (d) => new Date(Date.UTC(d.year, d.month - 1, d.day)).getUTCDay();
+const dayKey = (d) => d.year * 10000 + d.month * 100 + d.day;
+
+/* ----------------------------------------------------------------------------
+   Vocabulary
+---------------------------------------------------------------------------- */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_RE = /\b(?:(next|this|on|coming)\s+)?(mon|tue|tues|wed|weds|thu|thur|thurs|fri|sat|sun)(?:day|nesday|rsday|urday)?\b/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_WORD = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DAY_MONTH_RE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_WORD}(?:,?\\s+(\\d{4}))?\\b`);
+const MONTH_DAY_RE = new RegExp(`\\b${MONTH_WORD}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`);
+// Australian order: day/month[/year]
+const NUMERIC_DATE_RE = /\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?\b/;
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// Rough times for parts of the day when no clock time is given
+const PERIODS = [
+  [/\b(?:this\s+)?morning\b|\bmorn\b/, { hour: 9, pm: false }],
+  [/\blunch(?:time)?\b/, { hour: 12, pm: true }],
+  [/\b(?:this\s+)?(?:arvo|afternoon)\b/, { hour: 14, pm: true }],
+  [/\btonight\b|\b(?:this\s+)?evening\b/, { hour: 18, pm: true }],
+];
+
+/* ----------------------------------------------------------------------------
+   Parsing
+---------------------------------------------------------------------------- */
+
+function monthIndex(word) {
+  return MONTHS.indexOf(word.slice(0, 3)) + 1;
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  return n < 100 ? 2000 + n : n;
+}
+
+/**
+ * A date without a year is this year's, unless that's well in the past
+ * (appointments are booked ahead: "5/1" said in December means January).
+ */
+function withYear(day, month, year, today) {
+  const d = { year: year ?? today.year, month, day };
+  if (year == null && dayKey(d) < dayKey(addDays(today, -30))) d.year += 1;
+  const check = addDays(d, 0);
+  return check.month === month && check.day === day ? d : null; // rejects 31/2 etc.
+}
+
+/** Finds the calendar day in s; returns { day, rest } (rest = s without the matched words) */
+function findDay(s, today) {
+  const take = (m, day) => ({ day, rest: s.replace(m[0], ' ') });
+  let m;
+
+  if ((m = s.match(/\b(?:the\s+)?day\s+after\s+(?:tomorrow|tmrw|tmr|tomoz)\b/))) return take(m, addDays(today, 2));
+  if ((m = s.match(/\b(?:tomorrow|tomorow|tmrw|tmr|tomoz|2moro)\b/))) return take(m, addDays(today, 1));
+  if ((m = s.match(/\b(?:today|tonight|this\s+(?:morning|arvo|afternoon|evening))\b/))) {
+    // keep "tonight" / "this arvo" in the text so the period still sets the time
+    return { day: today, rest: /^today$/.test(m[0]) ? s.replace(m[0], ' ') : s };
+  }
+
+  if ((m = s.match(/\bin\s+(\d+|a|an|one|two|three|four|five|six|seven)\s+(day|week)s?\b/))) {
+    const n = NUMBER_WORDS[m[1]] ?? Number(m[1]);
+    return take(m, addDays(today, m[2] === 'week' ? n * 7 : n));
+  }
+  if ((m = s.match(/\bnext\s+week\b/))) return take(m, addDays(today, 7));
+
+  if ((m = s.match(DAY_MONTH_RE))) {
+    const d = withYear(Number(m[1]), monthIndex(m[2]), m[3] ? Number(m[3]) : null, today);
+    if (d) return take(m, d);
+  }
+  if ((m = s.match(MONTH_DAY_RE))) {
+    const d = withYear(Number(m[2]), monthIndex(m[1]), m[3] ? Number(m[3]) : null, today);
+    if (d) return take(m, d);
+  }
+  if ((m = s.match(NUMERIC_DATE_RE))) {
+    const d = withYear(Number(m[1]), Number(m[2]), m[3] ? fullYear(m[3]) : null, today);
+    if (d) return take(m, d);
+  }
+
+  // Weekdays mean the coming one; the same weekday as today means next week unless it's "this <day>"
+  if ((m = s.match(WEEKDAY_RE))) {
+    const target = WEEKDAYS.indexOf(m[2].slice(0, 3));
+    let ahead = (target - weekdayOf(today) + 7) % 7;
+    if (ahead === 0 && m[1] !== 'this') ahead = 7;
+    return take(m, addDays(today, ahead));
+  }
+
+  return { day: null, rest: s };
+}
+
+/** Bare hours ("at 3") are read as working hours: 1–6 → pm, 7–11 → am */
+function bareHour(h, pmHint) {
+  if (pmHint === true && h < 12) return h + 12;
+  if (pmHint === false) return h;
+  return h >= 1 && h <= 6 ? h + 12 : h;
+}
+
+function to24(h, ampm) {
+  if (ampm === 'am') return h === 12 ? 0 : h;
+  return h === 12 ? 12 : h + 12;
+}
+
+/** Finds the time of day in s; returns { hour, minute } or null */
+function findTime(s) {
+  const period = PERIODS.find(([re]) => re.test(s))?.[1] || null;
+  let m;
+
+  if (/\b(?:noon|midday)\b/.test(s)) return { hour: 12, minute: 0 };
+
+  if ((m = s.match(/\b(\d{1,2})[:.](\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/))) {
+    const h = Number(m[1]);
+    const min = Number(m[2]);
+    if (h <= 23 && min <= 59) {
+      const ampm = m[3] ? m[3][0] + 'm' : '';
+      return { hour: ampm ? to24(h % 12 || 12, ampm) : h > 12 ? h : bareHour(h, period?.pm), minute: min };
+    }
+  }
+  if ((m = s.match(/\b(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/))) {
+    const h = Number(m[1]);
+    if (h >= 1 && h <= 12) return { hour: to24(h, m[2][0] + 'm'), minute: 0 };
+  }
+  if ((m = s.match(/\bhalf\s+(?:past\s+)?(\d{1,2})\b/))) {
+    const h = Number(m[1]);
+    if (h >= 1 && h <= 12) return { hour: bareHour(h, period?.pm), minute: 30 };
+  }
+  // "at 5" anywhere; a bare number only when it's all there is ("3 cars at 5" is 5, not 3)
+  if (
+    (m = s.match(/(?:\b(?:at|@|by|from|around|about|arnd|abt)\s*)(\d{1,2})(?:\s*(?:o'?clock|ish))?(?![\d/:.-])/)) ||
+    (m = s.match(/^\s*(\d{1,2})(?:\s*(?:o'?clock|ish))?\s*$/))
+  ) {
+    const h = Number(m[1]);
+    if (h >= 1 && h <= 12) return { hour: bareHour(h, period?.pm), minute: 0 };
+    if (h > 12 && h <= 23) return { hour: h, minute: 0 };
+  }
+
+  return period ? { hour: period.hour, minute: 0 } : null;
+}
+
+/**
+ * Parse a free-text appointment time.
+ *   parseScheduledAt('tomorrow at 12', { ref: messageSentAt })
+ * Without a day, a time means today (or tomorrow if it has already passed).
+ * Without a time, the day is returned at local midnight with allDay = true.
+ * ISO strings are accepted as-is (no offset = dealership local time).
+ * @returns {{ at: Date, allDay: boolean } | null} null when nothing date-like was found
+ */
+function parseScheduledAt(text, { ref = new Date(), tz = DEALERSHIP_TZ } = {}) {
+  const raw = String(text ?? '').trim();
+  if (!raw) return null;
+  const refDate = ref instanceof Date ? ref : new Date(ref);
+
+  const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (iso) {
+    if (iso[6]) {
+      const d = new Date(raw);
+      return Number.isNaN(d.getTime()) ? null : { at: d, allDay: false };
+    }
+    const p = { year: +iso[1], month: +iso[2], day: +iso[3], hour: +(iso[4] || 0), minute: +(iso[5] || 0) };
+    return { at: zonedTimeToDate(p, tz), allDay: !iso[4] };
+  }
+
+  const s = ` ${raw.toLowerCase().replace(/\s+/g, ' ')} `;
+
+  // "in 2 hours" / "in 30 mins" are exact offsets from the message
+  const rel = s.match(/\bin\s+(\d+|a|an|one|two|three|half\s+an)\s*(hours?|hrs?|h|minutes?|mins?)\b/);
+  if (rel) {
+    const n = rel[1].startsWith('half') ? 0.5 : NUMBER_WORDS[rel[1]] ?? Number(rel[1]);
+    const ms = /^h/.test(rel[2]) ? n * 3600_000 : n * 60_000;
+    return { at: new Date(refDate.getTime() + ms), allDay: false };
+  }
+
+  const now = zonedParts(refDate, tz);
+  const today = { year: now.year, month: now.month, day: now.day };
+  const { day, rest } = findDay(s, today);
+  const time = findTime(rest);
+  if (!day && !time) return null;
+
+  if (!time) return { at: zonedTimeToDate({ ...day, hour: 0, minute: 0 }, tz), allDay: true };
+
+  let on = day || today;
+  let at = zonedTimeToDate({ ...on, ...time }, tz);
+  if (!day && at <= refDate) {
+    on = addDays(today, 1);
+    at = zonedTimeToDate({ ...on, ...time }, tz);
+  }
+  return { at, allDay: false };
+}
+
+/**
+ * scheduledAt / allDay for a create or update body (REST routes).
+ * An explicit `scheduledAt` (ISO, or null to clear) wins; otherwise a changed
+ * `dateTime` text is re-parsed against `ref`. Returns null when neither was sent, or when
+ * the text matches `current.dateTime` (re-reading an unchanged "tomorrow 10am" would move it).
+ * Throws a 400 for an unreadable explicit scheduledAt.
+ */
+function scheduleFromBody(body = {}, { ref = new Date(), tz = DEALERSHIP_TZ, current = null } = {}) {
+  if (has(body, 'scheduledAt')) {
+    const v = body.scheduledAt;
+    if (v === null || v === '') return { scheduledAt: null, allDay: false };
+    const parsed = parseScheduledAt(v instanceof Date ? v.toISOString() : v, { ref, tz });
+    if (!parsed) throw badRequest('scheduledAt must be a date');
+    return { scheduledAt: parsed.at, allDay: has(body, 'allDay') ? !!body.allDay : parsed.allDay };
+  }
+  const text = has(body, 'dateTime') ? body.dateTime : has(body, 'dayTime') ? body.dayTime : undefined;
+  if (text === undefined) return null;
+  if (current && String(text ?? '').trim() === String(current.dateTime ?? '').trim()) return null;
+  const parsed = parseScheduledAt(text, { ref, tz });
+  return { scheduledAt: parsed?.at || null, allDay: !!parsed?.allDay };
+}
+
+/**
+ * Mongo filter on `field` for ?from=&to= query params.
+ * Accepts ISO dates/times or phrases ("today", "next week"); a bare day covers the whole day.
+ * Returns null when neither bound is given; throws a 400 for unreadable bounds.
+ */
+function rangeFilter({ from, to } = {}, { field = 'scheduledAt', ref = new Date(), tz = DEALERSHIP_TZ } = {}) {
+  const bound = (v, name, end) => {
+    const parsed = parseScheduledAt(v, { ref, tz });
+    if (!parsed) throw badRequest(`${name} must be a date`);
+    if (!parsed.allDay || !end) return parsed.at;
+    const p = zonedParts(parsed.at, tz);
+    return new Date(zonedTimeToDate({ ...addDays(p, 1), hour: 0, minute: 0 }, tz).getTime() - 1);
+  };
+
+  const range = {};
+  if (from) range.$gte = bound(from, 'from', false);
+  if (to) range.$lte = bound(to, 'to', true);
+  return Object.keys(range).length ? { [field]: range } : null;
+}
+
+/** "Tue 21 Oct, 12:00 pm" (or "Tue 21 Oct" for all-day) in the dealership's timezone */
+function formatScheduled(at, { allDay = false, tz = DEALERSHIP_TZ } = {}) {
+  if (!at) return '';
+  const opts = { timeZone: tz, weekday: 'short', day: 'numeric', month: 'short' };
+  if (!allDay) Object.assign(opts, { hour: 'numeric', minute: '2-digit', hour12: true });
+  return new Intl.DateTimeFormat('en-AU', opts).format(new Date(at));
+}
+
+module.exports = {
+  DEALERSHIP_TZ,
+  zonedParts,
+  zonedTimeToDate,
+  parseScheduledAt,
+  scheduleFromBody,
+  rangeFilter,
+  formatScheduled,
+};
@@ -36,16 +36,16 @@ function mapRowToCar(row, options = {}) {
   const series = cleanStr(pick(row, ['series','model series']));
   const year = toIntOrUndefined(pick(row, ['year','build year','compliance year','yr']));
 
-  // Color/Colour can enhance description
+  // Vehicle identity — own Car fields (see services/vehicleDetails.js), not folded into description
   const colour = cleanStr(pick(row, ['colour','color','exterior colour','exterior color','body colour']));
-  const body = cleanStr(pick(row, ['body','body type']));
+  const bodyType = cleanStr(pick(row, ['body','body type']));
   const transmission = cleanStr(pick(row, ['transmission','gearbox']));
-  const driven = cleanStr(pick(row, ['drivetrain','drive type','drivetype']));
+  const drive = cleanStr(pick(row, ['drivetrain','drive type','drivetype','drive']));
+  const fuel = cleanStr(pick(row, ['fuel','fuel type']));
+  const engine = cleanStr(pick(row, ['engine','engine size','engine description']));
+  const odometer = cleanStr(pick(row, ['odometer','odo','kms','kilometres','kilometers','mileage']));
 
-  // Description: assemble something tidy if not present
-  let description = cleanStr(pick(row, ['description','desc']));
-  const bits = [colour, body, transmission, driven].filter(Boolean);
-  if (!description && bits.length) description = bits.join(' — ');
+  const description = cleanStr(pick(row, ['description','desc']));
 
   // Optional notes
   const notes = cleanStr(pick(row, ['notes','note','comment','comments']));
@@ -65,6 +65,13 @@ function mapRowToCar(row, options = {}) {
     badge: badge.slice(0, 64), // keep sane
     series,
     year,
+    colour,
+    bodyType,
+    transmission,
+    drive,
+    fuel,
+    engine,
+    odometer,
     description,
     notes,
     stage,
@@ -0,0 +1,142 @@
+// src/services/liveEvents.js
+// Live change feed for the web board (GET /api/events, Server-Sent Events).
+//
+// Models with liveEventsPlugin publish "<entity>.<action>" whenever a document is created,
+// saved, updated or deleted — whichever route, updater, creator, recon upsert, vision
+// enrichment or Autogate sync made the write. Bulk writes without a single id publish
+// "<entity>.changed" (refetch the list).
+//
+// Events are kept in memory (per process): ids are "<boot>-<seq>" and the last BUFFER_SIZE
+// are replayed to a client reconnecting with Last-Event-ID; anything older, or from before
+// a restart, gets a "resync" event instead.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = 1000;
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const buffer = [];
+let seq = 0;
+
+/**
+ * @param {string} entity  car | task | customerAppointment | reconAppointment
+ * @param {string} action  created | updated | deleted | changed
+ * @param {object} data    at least { id } except for "changed"
+ */
+function publish(entity, action, data = {}) {
+  seq += 1;
+  const event = {
+    id: `${BOOT_ID}-${seq}`,
+    seq,
+    entity,
+    type: `${entity}.${action}`,
+    data: { entity, action, ...data, at: new Date().toISOString() },
+  };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+/** Id of the newest event (what a client is up to date with right now) */
+const currentEventId = () => `${BOOT_ID}-${seq}`;
+
+/** Events after `lastEventId` — [] if up to date, null if they can't be replayed */
+function eventsSince(lastEventId) {
+  const [boot, n] = String(lastEventId || '').split('-');
+  const after = Number(n);
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > seq) return null;
+  if (after === seq) return [];
+  if (!buffer.length || buffer[0].seq > after + 1) return null;
+  return buffer.filter((e) => e.seq > after);
+}
+
+/** Call `fn(event)` for every new event; returns the unsubscribe function */
+function subscribe(fn) {
+  bus.on('event', fn);
+  return () => bus.off('event', fn);
+}
+
+/* ---------------- mongoose plugin ---------------- */
+
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+// ids a query filter pins down ({ _id } or { _id: { $in } }), else null
+function idsFromFilter(filter = {}) {
+  const id = filter._id;
+  if (!id) return null;
+  if (typeof id === 'string' || id._bsontype === 'ObjectId') return [String(id)];
+  if (Array.isArray(id.$in)) return id.$in.map(String);
+  return null;
+}
+
+/**
+ * schema.plugin(liveEventsPlugin, { entity: 'car', fields: ['rego'] })
+ * `fields` are copied into every event for that document (labels for toasts etc.).
+ */
+function liveEventsPlugin(schema, { entity, fields = [] }) {
+  const summary = (doc) => {
+    const out = { id: String(doc._id) };
+    for (const f of fields) if (doc[f] !== undefined) out[f] = doc[f];
+    return out;
+  };
+
+  schema.pre('save', function rememberChange(next) {
+    this.$locals.liveAction = this.isNew ? 'created' : 'updated';
+    const top = this.isNew ? [] : this.modifiedPaths().map((p) => p.split('.')[0]);
+    this.$locals.liveFields = [...new Set(top)].filter((f) => !TIMESTAMP_FIELDS.includes(f));
+    next();
+  });
+
+  schema.post('save', function publishSave(doc) {
+    const action = doc.$locals.liveAction || 'updated';
+    const changed = doc.$locals.liveFields || [];
+    if (action === 'updated' && !changed.length) return; // saved without changes
+    publish(entity, action, { ...summary(doc), ...(action === 'updated' && { fields: changed }) });
+  });
+
+  schema.post('findOneAndUpdate', function publishUpdate(doc) {
+    if (doc) publish(entity, 'updated', summary(doc));
+  });
+
+  schema.post('findOneAndDelete', function publishDelete(doc) {
+    if (doc) publish(entity, 'deleted', summary(doc));
+  });
+
+  schema.post(['updateOne', 'updateMany'], { document: false, query: true }, function publishQueryUpdate(res) {
+    if (!res?.modifiedCount) return;
+    const ids = idsFromFilter(this.getFilter());
+    if (ids) for (const id of ids) publish(entity, 'updated', { id });
+    else publish(entity, 'changed', { count: res.modifiedCount });
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, function publishQueryDelete(res) {
+    if (!res?.deletedCount) return;
+    const ids = idsFromFilter(this.getFilter());
+    if (ids && ids.length === 1) publish(entity, 'deleted', { id: ids[0] });
+    else publish(entity, 'changed', { count: res.deletedCount });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function publishDocDelete(doc) {
+    publish(entity, 'deleted', summary(doc));
+  });
+
+  schema.post('bulkWrite', function publishBulk(res) {
+    if (res?.modifiedCount || res?.insertedCount || res?.deletedCount || res?.upsertedCount) {
+      publish(entity, 'changed', {});
+    }
+  });
+}
+
+module.exports = {
+  BUFFER_SIZE,
+  publish,
+  currentEventId,
+  eventsSince,
+  subscribe,
+  liveEventsPlugin,
+};
@@ -0,0 +1,150 @@
+// src/services/locations.js
+// Location registry: free-text locations from chat, the web and CSV imports resolve to the
+// registered location whose name or alias matches ("Haythams" → "Haytham's Mechanical").
+// Unregistered text is kept as typed, so nothing is lost while the registry fills up.
+
+const Location = require('../models/Location');
+const Car = require('../models/Car');
+
+const { locationKey } = Location;
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+const msPerDay = 1000 * 60 * 60 * 24;
+const dateOnly = (d) => {
+  const dt = new Date(d || Date.now());
+  dt.setHours(0, 0, 0, 0);
+  return dt;
+};
+
+/** Whole days of a closed history stay (at least 1) — every path that closes a stay uses this */
+const daysClosed = (start, end) => {
+  const s = dateOnly(start).getTime();
+  const e = dateOnly(end).getTime();
+  return Math.max(1, Math.floor(Math.max(0, e - s) / msPerDay));
+};
+
+function conflict(msg) {
+  const err = new Error(msg);
+  err.status = 409;
+  return err;
+}
+
+/** Registered location for this text (by name or alias), or null */
+function findLocation(text) {
+  const key = locationKey(text);
+  return key ? Location.findOne({ keys: key }) : Promise.resolve(null);
+}
+
+/**
+ * Canonical spelling of a location: the registered name, else the text as typed.
+ * Never throws — a registry lookup failure must not block a location update.
+ */
+async function canonicalLocation(text) {
+  const t = clean(text);
+  if (!t) return '';
+  try {
+    const loc = await findLocation(t);
+    return loc ? loc.name : t;
+  } catch (e) {
+    console.warn('[locations] lookup failed:', e.message);
+    return t;
+  }
+}
+
+/** Canonical names for a list (e.g. nextLocations), duplicates after resolving dropped */
+async function canonicalLocations(list = []) {
+  const out = [];
+  for (const l of list) {
+    const name = await canonicalLocation(l);
+    if (name && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+/**
+ * Loads the registry once → synchronous resolver, for bulk work (CSV import, migrations).
+ * @returns {Promise<(text: string) => string>}
+ */
+async function loadLocationResolver() {
+  const byKey = new Map();
+  const all = await Location.find({}, { name: 1, keys: 1 }).lean();
+  for (const loc of all) for (const k of loc.keys || []) byKey.set(k, loc.name);
+  return (text) => {
+    const t = clean(text);
+    return (t && byKey.get(locationKey(t))) || t;
+  };
+}
+
+/**
+ * The car is now at `loc` (not saved): close its open history stay and start a new one.
+ * @returns {boolean} false when `loc` is blank or already the car's location
+ */
+function moveCarTo(car, loc, { at = new Date() } = {}) {
+  if (!loc || car.location === loc) return false;
+  if (!Array.isArray(car.history)) car.history = [];
+  const last = car.history[car.history.length - 1];
+  if (last && !last.endDate) {
+    last.endDate = at;
+    last.days = daysClosed(last.startDate, at);
+  }
+  car.history.push({ location: loc, startDate: at, endDate: null, days: 0 });
+  car.location = loc;
+  return true;
+}
+
+/** 409 if the document's name or an alias already belongs to another location */
+async function assertKeysFree(doc) {
+  await doc.validate();
+  const clash = await Location.findOne({ _id: { $ne: doc._id }, keys: { $in: doc.keys } }, { name: 1, keys: 1 }).lean();
+  if (!clash) return;
+  const taken = [doc.name, ...doc.aliases].find((n) => clash.keys.includes(locationKey(n)));
+  throw conflict(`"${taken}" already refers to ${clash.name}`);
+}
+
+/**
+ * Cars currently at each location → { [name]: count }. Car locations are resolved first,
+ * so cars typed as an alias, another case or a name from before a rename still count.
+ */
+async function occupancy() {
+  const [resolve, rows] = await Promise.all([
+    loadLocationResolver(),
+    Car.aggregate([
+      { $match: { location: { $nin: ['', null] } } },
+      { $group: { _id: '$location', cars: { $sum: 1 } } },
+    ]),
+  ]);
+  const counts = {};
+  for (const r of rows) {
+    const name = resolve(r._id);
+    counts[name] = (counts[name] || 0) + r.cars;
+  }
+  return counts;
+}
+
+/** Locations on cars that match nothing in the registry (candidates for new entries / aliases) */
+async function unmatchedLocations() {
+  const resolve = await loadLocationResolver();
+  const registered = new Set((await Location.find({}, { name: 1 }).lean()).map((l) => l.name));
+  const rows = await Car.aggregate([
+    { $match: { location: { $nin: ['', null] } } },
+    { $group: { _id: '$location', cars: { $sum: 1 } } },
+    { $sort: { cars: -1 } },
+  ]);
+  return rows
+    .filter((r) => !registered.has(resolve(r._id)))
+    .map((r) => ({ location: r._id, cars: r.cars }));
+}
+
+module.exports = {
+  LOCATION_TYPES: Location.LOCATION_TYPES,
+  locationKey,
+  findLocation,
+  canonicalLocation,
+  canonicalLocations,
+  loadLocationResolver,
+  daysClosed,
+  moveCarTo,
+  assertKeysFree,
+  occupancy,
+  unmatchedLocations,
+};
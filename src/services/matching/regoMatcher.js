@@ -82,11 +82,11 @@ const DEFAULT_POLICY = {
 
 async function findCandidates({ make, model, color, year }) {
   const q = {
-    ...(make ? { make: new RegExp(`^${norm(make)}$`, 'i') } : {}),
-    ...(model ? { model: new RegExp(`^${norm(model)}$`, 'i') } : {}),
+    ...(make ? { make: norm(make) } : {}),
+    ...(model ? { model: norm(model) } : {}),
   };
   // color/year are optional and *not* strict here — you can tighten later
-  const cars = await Car.find(q).lean();
+  const cars = await Car.find(q).collation(Car.CI_COLLATION).lean();
   return cars;
 }
 
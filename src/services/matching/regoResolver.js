@@ -25,10 +25,7 @@ async function resolveRego({ regoOCR, make, model, color, ocrConfidence = 0.9, a
 
   const baseSummary = `ocr:${ocr || '-'} make:${qMake || '-'} model:${qModel || '-'}`;
 
-  const cars = await Car.find({
-    make: new RegExp(`^${qMake}$`, 'i'),
-    model: new RegExp(`^${qModel}$`, 'i'),
-  }).lean();
+  const cars = await Car.find({ make: qMake, model: qModel }).collation(Car.CI_COLLATION).lean();
 
   audit.write(auditCtx, 'rego.resolve.candidates', {
     summary: `${baseSummary} candidates:${cars.length}`,
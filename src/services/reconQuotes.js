@@ -0,0 +1,172 @@
+// src/services/reconQuotes.js
+// Quote → approve → work → done, per car on a ReconditionerAppointment.
+//
+//   requested ──quote──▶ quoted ──approve──▶ approved ──▶ in-progress ──▶ done
+//                          │  ▲                              (actualCost)
+//                          ▼  │ re-quote
+//                        declined
+//
+// Categories with an approvalThreshold need a quote before work starts, and quotes
+// above the threshold need approving; at or below it they are approved automatically.
+// Categories without a threshold don't gate anything (work can be marked done directly).
+
+const ReconditionerAppointment = require('../models/ReconditionerAppointment');
+const ReconditionerCategory = require('../models/ReconditionerCategory');
+const { parseMoney } = require('./carFinancials');
+
+const STATUSES = ReconditionerAppointment.RECON_ENTRY_STATUSES;
+
+// Workflow fields kept on an entry when the web editor re-sends the cars list without them
+const WORKFLOW_FIELDS = [
+  'status', 'quotedCost', 'approvedCost', 'actualCost', 'quoteNotes', 'declineReason',
+  'requestedAt', 'quotedAt', 'quotedBy', 'approvedAt', 'approvedBy', 'declinedAt', 'declinedBy',
+  'startedAt', 'completedAt',
+];
+
+function workflowError(msg, status = 409) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+const entryLabel = (entry) => entry.car?.rego || entry.carText || 'this car';
+
+async function thresholdFor(appt) {
+  const id = appt.category?._id || appt.category;
+  const cat = await ReconditionerCategory.findById(id, { approvalThreshold: 1 }).lean();
+  return cat?.approvalThreshold ?? null;
+}
+
+/** Appointment + one of its car entries, or a 404 error */
+async function loadEntry(apptId, entryId) {
+  const appt = await ReconditionerAppointment.findById(apptId);
+  if (!appt) throw workflowError('Appointment not found', 404);
+  const entry = appt.cars.id(entryId);
+  if (!entry) throw workflowError('Car entry not found on this appointment', 404);
+  return { appt, entry };
+}
+
+/** Quote (or re-quote) the work on one car. Auto-approves at or below the category threshold. */
+async function submitQuote(appt, entry, { amount, notes, by = '' } = {}) {
+  const cost = parseMoney(amount, 'amount');
+  if (cost === null) throw workflowError('amount is required', 400);
+  if (!['requested', 'quoted', 'declined'].includes(entry.status)) {
+    throw workflowError(`Can't quote ${entryLabel(entry)}: work is already ${entry.status}`);
+  }
+
+  const now = new Date();
+  entry.quotedCost = cost;
+  entry.quoteNotes = String(notes || '').trim();
+  entry.quotedAt = now;
+  entry.quotedBy = by;
+  entry.declineReason = '';
+  entry.declinedAt = null;
+  entry.declinedBy = '';
+  entry.status = 'quoted';
+
+  const threshold = await thresholdFor(appt);
+  if (threshold !== null && cost <= threshold) {
+    entry.status = 'approved';
+    entry.approvedCost = cost;
+    entry.approvedAt = now;
+    entry.approvedBy = 'auto';
+  }
+
+  await appt.save();
+  return { appt, entry, autoApproved: entry.status === 'approved', threshold };
+}
+
+/** Approve the current quote (optionally for a different amount). */
+async function approveQuote(appt, entry, { amount, by = '' } = {}) {
+  if (entry.status !== 'quoted') {
+    throw workflowError(`Only quoted work can be approved (${entryLabel(entry)} is ${entry.status})`);
+  }
+  const override = parseMoney(amount, 'amount');
+  entry.approvedCost = override ?? entry.quotedCost;
+  entry.approvedAt = new Date();
+  entry.approvedBy = by;
+  entry.status = 'approved';
+  await appt.save();
+  return { appt, entry };
+}
+
+async function declineQuote(appt, entry, { reason, by = '' } = {}) {
+  if (entry.status !== 'quoted') {
+    throw workflowError(`Only quoted work can be declined (${entryLabel(entry)} is ${entry.status})`);
+  }
+  entry.status = 'declined';
+  entry.declineReason = String(reason || '').trim();
+  entry.declinedAt = new Date();
+  entry.declinedBy = by;
+  await appt.save();
+  return { appt, entry };
+}
+
+/**
+ * Mark work in-progress or done (optionally recording the invoiced actualCost).
+ * With an approval threshold, work can only start once its quote is approved.
+ */
+async function updateProgress(appt, entry, { status, actualCost } = {}) {
+  if (status !== undefined && !['in-progress', 'done'].includes(status)) {
+    throw workflowError('status must be in-progress or done', 400);
+  }
+
+  if (status) {
+    if (entry.status === 'declined') throw workflowError(`The quote for ${entryLabel(entry)} was declined`);
+    const threshold = await thresholdFor(appt);
+    const started = ['approved', 'in-progress', 'done'].includes(entry.status);
+    if (threshold !== null && !started) {
+      throw workflowError(
+        entry.status === 'quoted'
+          ? `The quote for ${entryLabel(entry)} is over $${threshold} and needs approval first`
+          : `${entryLabel(entry)} needs a quote before work starts`
+      );
+    }
+
+    const now = new Date();
+    if (status === 'in-progress' && entry.status !== 'in-progress') entry.startedAt = entry.startedAt || now;
+    if (status === 'done') {
+      entry.startedAt = entry.startedAt || now;
+      entry.completedAt = now;
+    }
+    entry.status = status;
+  }
+
+  if (actualCost !== undefined) entry.actualCost = parseMoney(actualCost, 'actualCost');
+
+  await appt.save();
+  return { appt, entry };
+}
+
+/**
+ * Web editor PUTs send the whole cars list (car / carText / notes / actualCost).
+ * Carry each existing entry's _id and workflow state over to the matching incoming entry
+ * (by _id, then car id, then carText) so an edit doesn't wipe quotes and approvals.
+ */
+function mergeEntries(existing = [], incoming = []) {
+  const used = new Set();
+  const find = (x) =>
+    existing.find((e) => !used.has(e) && x._id && String(e._id) === String(x._id)) ||
+    existing.find((e) => !used.has(e) && x.car && e.car && String(e.car._id || e.car) === String(x.car)) ||
+    existing.find((e) => !used.has(e) && !x.car && x.carText && e.carText === x.carText);
+
+  return incoming.map((x) => {
+    const prev = find(x);
+    if (!prev) return x;
+    used.add(prev);
+    const kept = { _id: prev._id };
+    for (const f of WORKFLOW_FIELDS) kept[f] = prev[f];
+    if (x.actualCost === undefined) delete x.actualCost;
+    return { ...kept, ...x, _id: prev._id };
+  });
+}
+
+module.exports = {
+  STATUSES,
+  loadEntry,
+  submitQuote,
+  approveQuote,
+  declineQuote,
+  updateProgress,
+  mergeEntries,
+};
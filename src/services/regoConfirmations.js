@@ -0,0 +1,78 @@
+// src/services/regoConfirmations.js
+// Resolving fuzzy rego matches that need a human ("is this 1AT8QG Corolla?").
+
+const Car = require('../models/Car');
+const { createCarFromDetails } = require('./updaters/carUpdater');
+
+/** Short label for buttons / messages: "1AT8QG Toyota Corolla" */
+function candidateLabel(c) {
+  return [c.rego, c.make, c.model].filter(Boolean).join(' ');
+}
+
+function questionText(doc) {
+  const best = doc.candidates[0];
+  const lines = [
+    `❓ Photo rego ${doc.rego} isn't in stock exactly.`,
+    best ? `Is this ${candidateLabel(best)}?` : 'Which car is this?',
+  ];
+  for (const c of doc.candidates) {
+    lines.push(`   • ${candidateLabel(c)}${c.stage ? ` [${c.stage}]` : ''} (score ${c.score ?? '-'})`);
+  }
+  return lines.join('\n');
+}
+
+function markResolved(doc, status, car, by) {
+  doc.status = status;
+  doc.car = car?._id || null;
+  doc.resolvedBy = by || '';
+  doc.resolvedAt = new Date();
+}
+
+/**
+ * doc: a pending RegoConfirmation (callers check status).
+ * carId must be one of the listed candidates unless any=true.
+ */
+async function confirmMatch(doc, { carId, by = '', any = false } = {}) {
+  const id = String(carId || '');
+  if (!id) throw new Error('carId is required');
+  if (!any && !doc.candidates.some((c) => String(c.car) === id)) {
+    throw new Error('carId is not one of the candidates');
+  }
+
+  const car = await Car.findById(id);
+  if (!car) throw new Error('Candidate car no longer exists');
+
+  markResolved(doc, 'matched', car, by);
+  await doc.save();
+  return { doc, car };
+}
+
+/** Explicitly confirmed as a different vehicle → create it now. */
+async function confirmNewCar(doc, { by = '' } = {}) {
+  // someone may have added it meanwhile; don't create a duplicate of that either
+  const existing = await Car.findOne({ rego: String(doc.rego || '').toUpperCase().replace(/[^A-Z0-9]/g, '') });
+  if (existing) {
+    markResolved(doc, 'matched', existing, by);
+    await doc.save();
+    return { doc, car: existing, created: false };
+  }
+
+  const car = await createCarFromDetails({ ...(doc.toObject().details || {}), rego: doc.rego });
+  markResolved(doc, 'created', car, by);
+  await doc.save();
+  return { doc, car, created: true };
+}
+
+async function dismiss(doc, { by = '' } = {}) {
+  markResolved(doc, 'dismissed', null, by);
+  await doc.save();
+  return { doc, car: null };
+}
+
+module.exports = {
+  candidateLabel,
+  questionText,
+  confirmMatch,
+  confirmNewCar,
+  dismiss,
+};
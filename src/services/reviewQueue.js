@@ -0,0 +1,130 @@
+// src/services/reviewQueue.js
+// Human review for pipeline actions held back by the audit gate.
+
+const PendingAction = require('../models/PendingAction');
+const { AnyAction } = require('./ai/pipeline');
+const { applyAction } = require('./actionApplier');
+const { startBatch, finishBatch } = require('./batchLog');
+
+// pipeline bookkeeping fields kept alongside the action but never editable
+const SOURCE_KEYS = ['_sourceSpeaker', '_sourceText', '_messageTs'];
+
+/** Persist held actions from one Telegram batch. */
+async function queueHeldActions({ chatId, batchId = null, messages = [], held = [] }) {
+  if (!held.length) return [];
+  return PendingAction.insertMany(
+    held.map((h) => ({
+      action: h.action,
+      type: h.action.type || '',
+      rego: h.action.rego || '',
+      chatId: String(chatId ?? ''),
+      batch: batchId,
+      messages: messages.map((m) => ({ speaker: m.speaker || '', text: m.text || '', ts: m.ts })),
+      sourceSpeaker: h.action._sourceSpeaker || '',
+      sourceText: h.action._sourceText || '',
+      verdict: h.verdict,
+      auditReason: h.reason || '',
+      evidenceText: h.evidenceText || '',
+    }))
+  );
+}
+
+/** Merge edited fields into the held action; the type may change but must stay a valid action. */
+function mergeEdits(action, patch = {}) {
+  const clean = { ...patch };
+  for (const k of SOURCE_KEYS) delete clean[k];
+
+  const parsed = AnyAction.safeParse({ ...action, ...clean });
+  if (!parsed.success) {
+    const msg = parsed.error.issues.map((i) => `${i.path.join('.') || 'action'}: ${i.message}`).join('; ');
+    throw new Error(`Invalid action: ${msg}`);
+  }
+
+  const out = { ...parsed.data };
+  for (const k of SOURCE_KEYS) if (action[k] !== undefined) out[k] = action[k];
+  if (out.rego) out.rego = String(out.rego).replace(/\s+/g, '').toUpperCase();
+  return out;
+}
+
+function setAction(doc, patch) {
+  doc.action = mergeEdits(doc.action, patch);
+  doc.type = doc.action.type;
+  doc.rego = doc.action.rego || '';
+  doc.edited = true;
+  doc.markModified('action');
+}
+
+/** doc: a pending PendingAction document (callers check status) */
+async function editPending(doc, patch) {
+  setAction(doc, patch);
+  await doc.save();
+  return doc;
+}
+
+/**
+ * Apply the (optionally edited) action through the normal updaters/creators.
+ * The writes are logged as their own batch, so an approval can be reverted too.
+ */
+async function approvePending(doc, { patch = null, source, by = '' } = {}) {
+  if (patch && Object.keys(patch).length) setAction(doc, patch);
+
+  const action = {
+    ...doc.action,
+    // approving later mustn't shift "tomorrow" — resolve it against the original messages
+    _messageTs: doc.action._messageTs || doc.messages[0]?.ts || doc.createdAt?.getTime(),
+    _changeSource: {
+      ...source,
+      chatId: doc.chatId,
+      speaker: doc.sourceSpeaker,
+      message: doc.sourceText,
+      ref: `review:${doc._id}`,
+    },
+  };
+
+  const batch = await startBatch({ chatId: 'review-queue', messages: doc.messages });
+  let r;
+  try {
+    r = await applyAction(action, null);
+  } catch (e) {
+    await batch.deleteOne().catch(() => {});
+    doc.error = e.message;
+    await doc.save();
+    throw new Error(`Apply failed: ${e.message}`);
+  }
+
+  await finishBatch(batch, [
+    {
+      type: action.type,
+      rego: action.rego,
+      summary: r.msg,
+      sourceSpeaker: doc.sourceSpeaker,
+      sourceText: doc.sourceText,
+      changes: r.changes,
+    },
+  ]);
+
+  doc.status = 'approved';
+  doc.result = r.msg;
+  doc.error = '';
+  doc.appliedBatch = batch._id;
+  doc.resolvedBy = by;
+  doc.resolvedAt = new Date();
+  await doc.save();
+  return doc;
+}
+
+async function rejectPending(doc, { reason = '', by = '' } = {}) {
+  doc.status = 'rejected';
+  doc.rejectReason = String(reason || '').trim();
+  doc.resolvedBy = by;
+  doc.resolvedAt = new Date();
+  await doc.save();
+  return doc;
+}
+
+module.exports = {
+  queueHeldActions,
+  editPending,
+  approvePending,
+  rejectPending,
+};
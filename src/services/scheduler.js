@@ -0,0 +1,152 @@
+// src/services/scheduler.js
+// In-process job scheduler. Jobs run either every N ms or once a day at a local time
+// (dealership timezone). When a job last ran is kept in Mongo (SchedulerJob), so due
+// jobs are picked up after a restart and daily jobs don't repeat.
+//
+//   defineJob({ name: 'morning-digest', dailyAt: '07:30', run: async ({ now }) => ... });
+//   defineJob({ name: 'reminders', everyMs: 60_000, run });
+//   startScheduler();
+
+const SchedulerJob = require('../models/SchedulerJob');
+const { DEALERSHIP_TZ, zonedParts, zonedTimeToDate } = require('./dateParsing');
+
+const TICK_MS = 30_000;
+const LOCK_MS = 5 * 60_000; // a crashed run frees its job after this long
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+/** HH:MM → { hour, minute }; throws on anything else */
+function parseDailyAt(s) {
+  const m = String(s || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) throw new Error(`Invalid daily time "${s}" (use HH:MM)`);
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+/**
+ * @param {object} job
+ * @param {string} job.name      unique; also the SchedulerJob key
+ * @param {number} [job.everyMs] run at most this often
+ * @param {string} [job.dailyAt] 'HH:MM' local time, once a day
+ * @param {(ctx: { now: Date, lastRunAt: Date|null }) => Promise<any>} job.run
+ */
+function defineJob({ name, everyMs, dailyAt, run }) {
+  if (!name || typeof run !== 'function') throw new Error('defineJob needs a name and run()');
+  if (!everyMs === !dailyAt) throw new Error(`Job ${name}: give exactly one of everyMs / dailyAt`);
+  jobs.set(name, { name, everyMs, daily: dailyAt ? parseDailyAt(dailyAt) : null, run });
+}
+
+/** Today's slot for a daily job, as an instant */
+function dailySlot(daily, now) {
+  const today = zonedParts(now, DEALERSHIP_TZ);
+  return zonedTimeToDate({ ...today, ...daily, second: 0 }, DEALERSHIP_TZ);
+}
+
+function isDue(job, lastRunAt, now) {
+  if (job.everyMs) return !lastRunAt || now - lastRunAt >= job.everyMs;
+  const slot = dailySlot(job.daily, now);
+  return now >= slot && (!lastRunAt || lastRunAt < slot);
+}
+
+/** Take the job's lock; false if another run (here or in another instance) holds it */
+async function acquire(name, now) {
+  try {
+    const doc = await SchedulerJob.findOneAndUpdate(
+      { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { upsert: true, new: true }
+    );
+    return !!doc;
+  } catch (e) {
+    if (e.code === 11000) return false; // locked: the upsert collided with the existing job
+    throw e;
+  }
+}
+
+/**
+ * Run one job if it's still due once its lock is held (another instance may have just run it),
+ * or regardless of schedule with `force`. lastRunAt only moves on success, so a failed run is
+ * retried on the next tick. Returns what run() returned; rethrows its error.
+ */
+async function runJob(name, { now = new Date(), force = false } = {}) {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job ${name}`);
+
+  if (!(await acquire(name, now))) return { skipped: 'locked' };
+  const release = (set) =>
+    SchedulerJob.updateOne({ name }, { $set: { ...set, lockedUntil: null } })
+      .catch((e) => console.warn(`[scheduler] ${name}: saving state failed:`, e.message));
+
+  let state;
+  try {
+    state = await SchedulerJob.findOne({ name }).lean();
+  } catch (e) {
+    await release({});
+    throw e;
+  }
+  const lastRunAt = state?.lastRunAt || null;
+  if (!force && !isDue(job, lastRunAt, now)) {
+    await release({});
+    return { skipped: 'not due' };
+  }
+
+  try {
+    const result = await job.run({ now, lastRunAt });
+    await SchedulerJob.updateOne(
+      { name },
+      {
+        $set: { lastRunAt: now, lastFinishedAt: new Date(), lastError: '', lastResult: result ?? null, lockedUntil: null },
+        $inc: { runCount: 1 },
+      }
+    ).catch((e) => console.warn(`[scheduler] ${name}: saving state failed:`, e.message));
+    return result;
+  } catch (e) {
+    await release({ lastFinishedAt: new Date(), lastError: e.message || String(e) });
+    throw e;
+  }
+}
+
+async function tick() {
+  if (ticking) return; // a slow job is still running; catch up next tick
+  ticking = true;
+  try {
+    const now = new Date();
+    const states = await SchedulerJob.find({ name: { $in: [...jobs.keys()] } }).lean();
+    const lastRun = new Map(states.map((s) => [s.name, s.lastRunAt]));
+
+    for (const job of jobs.values()) {
+      if (!isDue(job, lastRun.get(job.name) || null, now)) continue;
+      try {
+        await runJob(job.name, { now });
+      } catch (e) {
+        console.warn(`[scheduler] ${job.name} failed:`, e.message);
+      }
+    }
+  } catch (e) {
+    console.warn('[scheduler] tick failed:', e.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startScheduler() {
+  if (timer || !jobs.size) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  tick();
+  console.log(`[scheduler] started: ${[...jobs.keys()].join(', ')}`);
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  defineJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  isDue,
+};
@@ -0,0 +1,329 @@
+// src/services/stockAnalytics.js
+// Dwell / turnaround reporting over Car.history (one entry per stay at a location:
+// startDate → endDate, open while the car is still there), and stock aging of unsold cars.
+// All aggregation runs in Mongo; days are fractional, from the dates (history.days is rounded up to 1).
+
+const Car = require('../models/Car');
+const Location = require('../models/Location');
+const { DEALERSHIP_TZ } = require('./dateParsing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// used for locations without their own maxDwellDays
+const DEFAULT_MAX_DWELL_DAYS = Number(process.env.DWELL_THRESHOLD_DAYS) || 14;
+const TURNAROUND_TYPES = ['reconditioner', 'detailer'];
+// aging buckets in whole days: [0, 8) → "0-7", ... , 91 and over → "91+"
+const AGE_BOUNDARIES = [0, 8, 15, 31, 61, 91];
+const AGE_LABELS = ['0-7', '8-14', '15-30', '31-60', '61-90', '91+'];
+
+const round1 = (n) => (n == null ? null : Math.round(n * 10) / 10);
+
+/* ---------------- pipeline pieces ---------------- */
+
+const daysBetween = (start, end) => ({ $divide: [{ $subtract: [end, start] }, DAY_MS] });
+
+// p-th percentile of an already-sorted array expression (nearest rank)
+const percentile = (arr, p) => ({
+  $arrayElemAt: [arr, { $max: [0, { $subtract: [{ $ceil: { $multiply: [{ $size: arr }, p] } }, 1] }] }],
+});
+
+// after `$sort: { days: 1 }` — count / average / p90 / max of `days`
+const durationGroup = (id) => ({
+  $group: {
+    _id: id,
+    stays: { $sum: 1 },
+    avgDays: { $avg: '$days' },
+    maxDays: { $max: '$days' },
+    durations: { $push: '$days' },
+  },
+});
+const withP90 = { $addFields: { p90Days: percentile('$durations', 0.9) } };
+
+/**
+ * Location texts in use on `field` (plus every registered name) → their registry entry,
+ * matched by name or alias the way services/locations.js resolves them. Feeds lookupLocation.
+ */
+async function locationTable(field) {
+  const [locations, texts] = await Promise.all([
+    Location.find({}, { name: 1, type: 1, maxDwellDays: 1, keys: 1 }).lean(),
+    Car.distinct(field),
+  ]);
+  const byKey = new Map();
+  for (const { keys, ...loc } of locations) for (const k of keys || []) byKey.set(k, loc);
+  const all = new Set([...texts.filter(Boolean), ...locations.map((l) => l.name)]);
+  return [...all]
+    .map((text) => ({ text, loc: byKey.get(Location.locationKey(text)) || null }))
+    .filter((r) => r.loc);
+}
+
+// registry entry for a location text → `registered` (missing when unregistered)
+const lookupLocation = (localField, table) => [
+  {
+    $addFields: {
+      registered: {
+        $arrayElemAt: [
+          { $map: { input: { $filter: { input: { $literal: table }, cond: { $eq: ['$$this.text', `$${localField}`] } } }, in: '$$this.loc' } },
+          0,
+        ],
+      },
+    },
+  },
+];
+
+function windowOn(field, { from, to }) {
+  const range = { $ne: null };
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+}
+
+const roundStats = (r) => ({
+  stays: r.stays,
+  avgDays: round1(r.avgDays),
+  p90Days: round1(r.p90Days),
+  maxDays: round1(r.maxDays),
+});
+
+// cars per age bucket of `field`, with how many of them are in each stage
+const ageBuckets = (field) => ({
+  $bucket: {
+    groupBy: field,
+    boundaries: AGE_BOUNDARIES,
+    default: 'over',
+    output: { cars: { $sum: 1 }, stages: { $push: '$stage' } },
+  },
+});
+
+function bucketRows(rows) {
+  const byId = new Map(rows.map((r) => [r._id, r]));
+  return AGE_LABELS.map((label, i) => {
+    const r = byId.get(i < AGE_BOUNDARIES.length - 1 ? AGE_BOUNDARIES[i] : 'over');
+    const byStage = {};
+    for (const s of r?.stages || []) byStage[s || '(none)'] = (byStage[s || '(none)'] || 0) + 1;
+    return { bucket: label, cars: r?.cars || 0, byStage };
+  });
+}
+
+/* ---------------- reports ---------------- */
+
+/**
+ * Average / p90 stay per location, over stays that ended in the window
+ * (no window = all finished stays).
+ */
+async function dwellByLocation({ from = null, to = null } = {}) {
+  const table = await locationTable('history.location');
+  const rows = await Car.aggregate([
+    { $unwind: '$history' },
+    { $match: { 'history.location': { $nin: ['', null] }, 'history.startDate': { $ne: null }, ...windowOn('history.endDate', { from, to }) } },
+    ...lookupLocation('history.location', table),
+    {
+      $project: {
+        location: { $ifNull: ['$registered.name', '$history.location'] },
+        days: daysBetween('$history.startDate', '$history.endDate'),
+      },
+    },
+    { $sort: { days: 1 } },
+    durationGroup('$location'),
+    withP90,
+    ...lookupLocation('_id', table),
+    { $sort: { avgDays: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    location: r._id,
+    type: r.registered?.type || null,
+    registered: !!r.registered,
+    maxDwellDays: r.registered?.maxDwellDays ?? null,
+    ...roundStats(r),
+  }));
+}
+
+/**
+ * Cars at a location longer than its maxDwellDays (or `defaultDays` when it has none),
+ * most overdue first.
+ */
+async function overstays({ defaultDays = DEFAULT_MAX_DWELL_DAYS, now = new Date() } = {}) {
+  const table = await locationTable('location');
+  const rows = await Car.aggregate([
+    { $match: { location: { $nin: ['', null] } } },
+    {
+      $project: {
+        rego: 1, make: 1, model: 1, year: 1, stage: 1, location: 1,
+        current: { $arrayElemAt: ['$history', -1] },
+      },
+    },
+    { $match: { 'current.endDate': null, 'current.startDate': { $ne: null } } },
+    { $addFields: { days: daysBetween('$current.startDate', now) } },
+    ...lookupLocation('location', table),
+    { $addFields: { thresholdDays: { $ifNull: ['$registered.maxDwellDays', defaultDays] } } },
+    { $match: { $expr: { $gt: ['$days', '$thresholdDays'] } } },
+    { $addFields: { overBy: { $subtract: ['$days', '$thresholdDays'] } } },
+    { $sort: { overBy: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    carId: r._id,
+    rego: r.rego,
+    vehicle: [r.year, r.make, r.model].filter(Boolean).join(' '),
+    stage: r.stage || '',
+    location: r.location,
+    type: r.registered?.type || null,
+    since: r.current.startDate,
+    days: round1(r.days),
+    thresholdDays: r.thresholdDays,
+    overByDays: round1(r.overBy),
+  }));
+}
+
+/**
+ * Monthly turnaround per reconditioner / detailer (registered locations of those types):
+ * stays that ended in each month (dealership time), with the change on the month before.
+ */
+async function reconTurnaround({ from = null, to = null, types = TURNAROUND_TYPES, tz = DEALERSHIP_TZ } = {}) {
+  const table = await locationTable('history.location');
+  const rows = await Car.aggregate([
+    { $unwind: '$history' },
+    { $match: { 'history.location': { $nin: ['', null] }, 'history.startDate': { $ne: null }, ...windowOn('history.endDate', { from, to }) } },
+    ...lookupLocation('history.location', table),
+    { $match: { 'registered.type': { $in: types } } },
+    {
+      $project: {
+        location: '$registered.name',
+        type: '$registered.type',
+        month: { $dateToString: { format: '%Y-%m', date: '$history.endDate', timezone: tz } },
+        days: daysBetween('$history.startDate', '$history.endDate'),
+      },
+    },
+    { $sort: { days: 1 } },
+    durationGroup({ location: '$location', type: '$type', month: '$month' }),
+    withP90,
+    { $sort: { '_id.location': 1, '_id.month': 1 } },
+    {
+      $group: {
+        _id: { location: '$_id.location', type: '$_id.type' },
+        stays: { $sum: '$stays' },
+        months: { $push: { month: '$_id.month', stays: '$stays', avgDays: '$avgDays', p90Days: '$p90Days', maxDays: '$maxDays' } },
+      },
+    },
+    { $sort: { '_id.location': 1 } },
+  ]);
+
+  return rows.map((r) => {
+    let prev = null;
+    const months = r.months.map((m) => {
+      const row = { month: m.month, ...roundStats(m), changeDays: prev == null ? null : round1(m.avgDays - prev) };
+      prev = m.avgDays;
+      return row;
+    });
+    return { location: r._id.location, type: r._id.type, stays: r.stays, months };
+  });
+}
+
+/**
+ * Days in stock for cars sold in the window: first history entry (else when the car
+ * was created) → soldAt. Returns per-car rows plus average / p90.
+ */
+async function daysInStock({ from = null, to = null } = {}) {
+  const [res] = await Car.aggregate([
+    { $match: { stage: 'Sold', ...windowOn('soldAt', { from, to }) } },
+    {
+      $project: {
+        rego: 1, make: 1, model: 1, year: 1, soldAt: 1,
+        stockedAt: { $ifNull: [{ $arrayElemAt: ['$history.startDate', 0] }, '$dateCreated'] },
+      },
+    },
+    { $match: { stockedAt: { $ne: null } } },
+    { $addFields: { days: daysBetween('$stockedAt', '$soldAt') } },
+    {
+      $facet: {
+        cars: [{ $sort: { soldAt: -1 } }],
+        summary: [{ $sort: { days: 1 } }, durationGroup(null), withP90],
+      },
+    },
+  ]);
+
+  const s = res?.summary?.[0];
+  return {
+    from,
+    to,
+    totals: s
+      ? { cars: s.stays, avgDays: round1(s.avgDays), p90Days: round1(s.p90Days), maxDays: round1(s.maxDays) }
+      : { cars: 0, avgDays: null, p90Days: null, maxDays: null },
+    cars: (res?.cars || []).map((c) => ({
+      carId: c._id,
+      rego: c.rego,
+      vehicle: [c.year, c.make, c.model].filter(Boolean).join(' '),
+      stockedAt: c.stockedAt,
+      soldAt: c.soldAt,
+      days: round1(c.days),
+    })),
+  };
+}
+
+/**
+ * Unsold cars by age: days since dateCreated (in stock), since the last stage change
+ * (in stage) and since arriving at the current location. Optional `stages` limits the cars.
+ * @returns {{ asOf, buckets: { stock, stage, location }, cars }} cars oldest first
+ */
+async function agingReport({ stages = null, now = new Date() } = {}) {
+  const created = { $ifNull: ['$dateCreated', '$createdAt'] };
+  const [res] = await Car.aggregate([
+    { $match: stages?.length ? { stage: { $in: stages } } : { stage: { $ne: 'Sold' } } },
+    {
+      $project: {
+        rego: 1, make: 1, model: 1, year: 1, stage: 1, location: 1,
+        stockDays: daysBetween(created, now),
+        stageDays: daysBetween({ $ifNull: ['$stageChangedAt', created] }, now),
+        current: { $arrayElemAt: ['$history', -1] },
+      },
+    },
+    {
+      $addFields: {
+        // only while the car is still at that location (open history entry)
+        locationDays: {
+          $cond: [
+            { $and: [{ $gt: ['$current.startDate', null] }, { $eq: [{ $ifNull: ['$current.endDate', null] }, null] }] },
+            daysBetween('$current.startDate', now),
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        cars: [{ $sort: { stockDays: -1 } }],
+        stock: [ageBuckets('$stockDays')],
+        stage: [ageBuckets('$stageDays')],
+        location: [{ $match: { locationDays: { $ne: null } } }, ageBuckets('$locationDays')],
+      },
+    },
+  ]);
+
+  return {
+    asOf: now,
+    buckets: {
+      stock: bucketRows(res?.stock || []),
+      stage: bucketRows(res?.stage || []),
+      location: bucketRows(res?.location || []),
+    },
+    cars: (res?.cars || []).map((c) => ({
+      carId: c._id,
+      rego: c.rego,
+      vehicle: [c.year, c.make, c.model].filter(Boolean).join(' '),
+      stage: c.stage || '',
+      location: c.location || '',
+      stockDays: round1(c.stockDays),
+      stageDays: round1(c.stageDays),
+      locationDays: round1(c.locationDays),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_DWELL_DAYS,
+  TURNAROUND_TYPES,
+  dwellByLocation,
+  overstays,
+  reconTurnaround,
+  daysInStock,
+  agingReport,
+};
@@ -0,0 +1,204 @@
+// src/services/tasks.js
+// Task workflow: open → done | cancelled (and back to open), assignees, due dates, priority.
+// Tasks are referred to in chat by the last 6 characters of their id ("/done 3fa9c1").
+// Drop-off tasks close themselves when their car's location reaches the destination.
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { locationKey } = require('../models/Location');
+const { parseScheduledAt, zonedParts, zonedTimeToDate } = require('./dateParsing');
+const { fieldsOf, docUpdateEntry } = require('./batchLog');
+
+const TASK_STATUSES = Task.TASK_STATUSES;
+const PRIORITIES = Task.PRIORITIES;
+const SHORT_ID_LEN = 6;
+
+// Tasks saved before status existed have none — they count as open
+const OPEN_FILTER = { status: { $nin: ['done', 'cancelled'] } };
+
+function badRequest(msg, status = 400) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+const shortId = (task) => String(task._id).slice(-SHORT_ID_LEN);
+
+/** "@Bob_Smith " → "bob_smith" (Telegram usernames and app usernames are case-insensitive) */
+const normalizeAssignee = (v) => String(v ?? '').trim().replace(/^@/, '').toLowerCase();
+
+/**
+ * assignee from a request: a User id, an app username, or any other name / Telegram username.
+ * @returns {Promise<{ assignee: string, assigneeUser: ObjectId|null }>}
+ */
+async function resolveAssignee(value) {
+  const v = String(value ?? '').trim();
+  if (!v) return { assignee: '', assigneeUser: null };
+  const user = mongoose.isValidObjectId(v)
+    ? await User.findById(v, { username: 1 }).lean()
+    : await User.findOne({ username: normalizeAssignee(v) }, { username: 1 }).lean();
+  if (user) return { assignee: user.username, assigneeUser: user._id };
+  if (mongoose.isValidObjectId(v)) throw badRequest('assignee user not found', 404);
+  return { assignee: normalizeAssignee(v), assigneeUser: null };
+}
+
+/** dueAt from ISO or a phrase ("friday", "tomorrow 3pm"); a bare day means the end of it */
+function parseDue(value, { ref = new Date() } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseScheduledAt(value instanceof Date ? value.toISOString() : value, { ref });
+  if (!parsed) throw badRequest('dueAt must be a date');
+  if (!parsed.allDay) return parsed.at;
+  const p = zonedParts(parsed.at);
+  return zonedTimeToDate({ ...p, hour: 23, minute: 59, second: 0 });
+}
+
+/**
+ * Move a task document to a status (not saved). Completing stamps completedAt / completedBy;
+ * reopening clears them. Returns true if the status changed.
+ */
+function applyTaskStatus(task, status, { by = '', at = new Date() } = {}) {
+  const s = String(status || '').trim().toLowerCase();
+  if (!TASK_STATUSES.includes(s)) throw badRequest(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+  if ((task.status || 'open') === s) return false;
+
+  task.status = s;
+  if (s === 'done') {
+    task.completedAt = at;
+    task.completedBy = by;
+  } else {
+    task.completedAt = null;
+    task.completedBy = '';
+  }
+  return true;
+}
+
+/**
+ * Find a task from a chat reference: a full id, or its last 6+ characters
+ * (only open tasks are searched by suffix). Throws 404 / 409 (ambiguous).
+ */
+async function findTaskByRef(ref) {
+  const r = String(ref || '').trim().toLowerCase().replace(/^#/, '');
+  if (/^[a-f0-9]{24}$/.test(r)) {
+    const task = await Task.findById(r);
+    if (!task) throw badRequest(`No task ${r}`, 404);
+    return task;
+  }
+  if (!/^[a-f0-9]{4,23}$/.test(r)) throw badRequest(`"${ref}" isn't a task id`);
+
+  const matches = await Task.find({
+    ...OPEN_FILTER,
+    $expr: { $regexMatch: { input: { $toString: '$_id' }, regex: `${r}$` } },
+  }).limit(2);
+  if (!matches.length) throw badRequest(`No open task ${r}`, 404);
+  if (matches.length > 1) throw badRequest(`More than one open task ends in ${r} — use more characters`, 409);
+  return matches[0];
+}
+
+/** Task the bot announced in this chat message (for "done" replies), or null */
+function findTaskByNotification(chatId, messageId) {
+  return Task.findOne({ 'notification.chatId': String(chatId), 'notification.messageId': Number(messageId) });
+}
+
+/** Mark done (idempotent). Returns { task, changed }. */
+async function completeTask(task, { by = '' } = {}) {
+  if (task.status === 'cancelled') throw badRequest('Task was cancelled — reopen it first', 409);
+  const changed = applyTaskStatus(task, 'done', { by });
+  if (changed) await task.save();
+  return { task, changed };
+}
+
+/* ---------------- drop-offs ---------------- */
+
+const STATUS_FIELDS = ['status', 'completedAt', 'completedBy'];
+
+
+/** Same place, allowing for how people shorten names in chat ("Capital" vs "Capital Smash Repairs") */
+function sameLocation(a, b) {
+  const x = locationKey(a);
+  const y = locationKey(b);
+  if (!x || !y) return false;
+  if (x === y) return true;
+  const [short, long] = x.length <= y.length ? [x, y] : [y, x];
+  return short.length >= 4 && long.startsWith(short);
+}
+
+/**
+ * The car just moved to `location`: complete its open drop-off tasks headed there.
+ * `source` is the CarChange source of the move (who gets credited).
+ * Never throws — the location change itself is already saved.
+ * @returns {Promise<Array<{ task: object, change: object }>>} change = batch log entry for /undo
+ */
+async function completeDropOffsForArrival(car, location, { source = {}, at = new Date() } = {}) {
+  if (!car?._id || !location) return [];
+  try {
+    const tasks = await Task.find({ ...OPEN_FILTER, kind: 'drop-off', car: car._id });
+    const by = source.username || source.speaker || source.kind || '';
+    const done = [];
+    for (const task of tasks) {
+      if (!sameLocation(task.destination, location)) continue;
+      const before = fieldsOf(task, STATUS_FIELDS);
+      applyTaskStatus(task, 'done', { by, at });
+      await task.save();
+      done.push({ task, change: docUpdateEntry('Task', task, before, task.task) });
+    }
+    return done;
+  } catch (e) {
+    console.warn('[tasks] drop-off completion failed:', e.message);
+    return [];
+  }
+}
+
+/** Open drop-offs with their car's current whereabouts, oldest first */
+async function carsInTransit() {
+  const tasks = await Task.find({ ...OPEN_FILTER, kind: 'drop-off' })
+    .populate('car', 'rego make model location nextLocations')
+    .sort({ dateCreated: 1 })
+    .lean();
+  const now = Date.now();
+  return tasks.map((t) => ({
+    taskId: t._id,
+    shortId: shortId(t),
+    task: t.task,
+    car: t.car || null,
+    carText: t.car ? '' : t.carText,
+    origin: t.origin,
+    destination: t.destination,
+    currentLocation: t.car?.location || '',
+    assignee: t.assignee,
+    dueAt: t.dueAt,
+    overdue: !!(t.dueAt && new Date(t.dueAt).getTime() < now),
+    since: t.dateCreated,
+  }));
+}
+
+/** Sort open work first, then by priority, due date (undated last) and age */
+function compareTasks(a, b) {
+  const open = (t) => (['done', 'cancelled'].includes(t.status) ? 1 : 0);
+  const prio = (t) => -PRIORITIES.indexOf(t.priority || 'normal');
+  const due = (t) => (t.dueAt ? new Date(t.dueAt).getTime() : Infinity);
+  return (
+    open(a) - open(b) ||
+    prio(a) - prio(b) ||
+    due(a) - due(b) ||
+    new Date(a.dateCreated || 0) - new Date(b.dateCreated || 0)
+  );
+}
+
+module.exports = {
+  TASK_STATUSES,
+  PRIORITIES,
+  OPEN_FILTER,
+  shortId,
+  normalizeAssignee,
+  resolveAssignee,
+  parseDue,
+  applyTaskStatus,
+  findTaskByRef,
+  findTaskByNotification,
+  completeTask,
+  compareTasks,
+  sameLocation,
+  completeDropOffsForArrival,
+  carsInTransit,
+};
@@ -1,6 +1,14 @@
 const Car = require('../../models/Car');
+const RegoConfirmation = require('../../models/RegoConfirmation');
 const { matchRego } = require('../matching/regoMatcher');
 const timeline = require('../logging/timelineLogger');
+const { snapshot, sourceForAction, recordCarChanges } = require('../carChanges');
+const { carUpdateEntry } = require('../batchLog');
+const { addItems, saysCompleted, tickOff } = require('../checklist');
+const { applyStage, runStageHooks } = require('../carStage');
+const { applyVehicleDetails, colourFromText } = require('../vehicleDetails');
+const { completeDropOffsForArrival } = require('../tasks');
+const { canonicalLocation, moveCarTo } = require('../locations');
 
 // ---------------------------------------------------------------------------
 // Shared helpers
@@ -9,59 +17,63 @@ const normalize = (s) => String(s || '').trim();
 const normalizeRego = (s) =>
   typeof s === 'string' ? s.toUpperCase().replace(/[^A-Z0-9]/g, '') : s;
 
-const msPerDay = 1000 * 60 * 60 * 24;
-const dateOnly = (d) => {
-  const dt = new Date(d || Date.now());
-  dt.setHours(0, 0, 0, 0);
-  return dt;
-};
-const daysClosed = (start, end) => {
-  const s = dateOnly(start).getTime();
-  const e = dateOnly(end).getTime();
-  const diff = Math.max(0, e - s);
-  return Math.max(1, Math.floor(diff / msPerDay));
-};
+// Identity details mentioned alongside an action only fill blanks on the car
+// (odometer readings are always appended)
+function fillVehicleDetails(car, a = {}) {
+  const r = applyVehicleDetails(
+    car,
+    {
+      vin: a.vin,
+      colour: a.colour || a.color || colourFromText(a.description),
+      bodyType: a.bodyType,
+      odometer: a.odometer,
+      make: a.make,
+      year: a.year,
+    },
+    { source: a._changeSource?.kind || 'telegram' }
+  );
+  if (r.warnings.length) console.warn(`[vehicleDetails] ${car.rego}: ${r.warnings.join('; ')}`);
+  return r;
+}
+
+// A no-op action (already there / already sold) can still carry details fillVehicleDetails
+// put on the car: save and log those, or they'd be lost. Returns the batch entry (or null).
+async function saveFilledDetails(car, before, source) {
+  const change = carUpdateEntry(car, before);
+  if (!change) return null;
+  await car.save();
+  await recordCarChanges(car, before, source);
+  return change;
+}
 
 // ---------------------------------------------------------------------------
 // LOCATION UPDATE
 // ---------------------------------------------------------------------------
 async function applyLocationUpdate(a, tctx) {
   const rego = normalizeRego(a.rego);
-  const newLoc = normalize(a.location);
+  const newLoc = await canonicalLocation(a.location);
   if (!rego || !newLoc) throw new Error('Missing rego or location');
 
-  const car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+  const car = await Car.findOne({ rego });
   if (!car) throw new Error(`Car ${rego} not found`);
+  const before = snapshot(car);
+  fillVehicleDetails(car, a);
 
   const prev = car.location || '';
   if (prev === newLoc) {
-    return { changed: false, car };
-  }
-
-  // close old history entry
-  if (Array.isArray(car.history) && car.history.length) {
-    const last = car.history[car.history.length - 1];
-    if (last && !last.endDate) {
-      last.endDate = new Date();
-      last.days = daysClosed(last.startDate, last.endDate);
-    }
-  } else {
-    car.history = [];
+    return { changed: false, car, change: await saveFilledDetails(car, before, sourceForAction(a, tctx)) };
   }
 
-  car.history.push({
-    location: newLoc,
-    startDate: new Date(),
-    endDate: null,
-    days: 0,
-  });
-  car.location = newLoc;
+  moveCarTo(car, newLoc);
   await car.save();
+  const source = sourceForAction(a, tctx);
+  await recordCarChanges(car, before, source);
+  const arrivals = await completeDropOffsForArrival(car, newLoc, { source });
 
   if (tctx && typeof timeline.locationUpdate === 'function') {
     timeline.locationUpdate(tctx, `${rego}: ${prev || '-'} → ${newLoc}`);
   }
-  return { changed: true, car, previousLocation: prev };
+  return { changed: true, car, previousLocation: prev, change: carUpdateEntry(car, before), arrivals };
 }
 
 // ---------------------------------------------------------------------------
@@ -71,20 +83,25 @@ async function applySold(a, tctx) {
   const rego = normalizeRego(a.rego);
   if (!rego) throw new Error('Missing rego');
 
-  const car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+  const car = await Car.findOne({ rego });
   if (!car) throw new Error(`Car ${rego} not found`);
+  const before = snapshot(car);
+  fillVehicleDetails(car, a);
 
-  if (car.stage === 'Sold') {
-    return { changed: false, car };
+  const t = applyStage(car, 'Sold');
+  if (!t.changed) {
+    return { changed: false, car, change: await saveFilledDetails(car, before, sourceForAction(a, tctx)) };
   }
 
-  car.stage = 'Sold';
   await car.save();
+  const source = sourceForAction(a, tctx);
+  await recordCarChanges(car, before, source);
+  const hookChanges = await runStageHooks(car, t, { source });
 
   if (tctx && typeof timeline.sold === 'function') {
     timeline.sold(tctx, `${rego}: marked Sold`);
   }
-  return { changed: true, car };
+  return { changed: true, car, change: carUpdateEntry(car, before), hookChanges };
 }
 
 // ---------------------------------------------------------------------------
@@ -94,22 +111,33 @@ async function addChecklistItem(a, tctx) {
   const rego = normalizeRego(a.rego);
   if (!rego || !a.checklistItem) throw new Error('Missing rego or checklist item');
 
-  const car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+  const car = await Car.findOne({ rego });
   if (!car) throw new Error(`Car ${rego} not found`);
+  const before = snapshot(car);
+  fillVehicleDetails(car, a);
 
   const item = String(a.checklistItem).trim();
   if (!item) throw new Error('Empty checklist item');
 
-  const checklist = Array.isArray(car.checklist) ? car.checklist : [];
-  if (!checklist.includes(item)) checklist.push(item);
+  // "bonnet fixed" / "tyres done" → tick the matching open item instead of adding one
+  const by = a._sourceSpeaker || '';
+  const ticked = saysCompleted(item) ? tickOff(car, item, { by }) : null;
+  if (!ticked) {
+    addItems(car, [item], { source: a._changeSource?.kind || 'telegram', createdBy: by });
+  }
 
-  car.checklist = checklist;
   await car.save();
+  await recordCarChanges(car, before, sourceForAction(a, tctx));
 
   if (tctx && typeof timeline.repair === 'function') {
-    timeline.repair(tctx, `${rego}: + ${item}`);
+    timeline.repair(tctx, ticked ? `${rego}: ✓ ${ticked.text}` : `${rego}: + ${item}`);
   }
-  return { car, item };
+  return {
+    car,
+    item: ticked ? ticked.text : item,
+    ticked: !!ticked,
+    change: carUpdateEntry(car, before),
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -120,16 +148,23 @@ async function setReadinessStatus(a, tctx) {
   const readiness = normalize(a.readiness);
   if (!rego) throw new Error('Missing rego');
 
-  const car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+  const car = await Car.findOne({ rego });
   if (!car) throw new Error(`Car ${rego} not found`);
+  const before = snapshot(car);
+  fillVehicleDetails(car, a);
 
   car.readinessStatus = readiness;
+  // "tyres are ready" also closes the matching checklist item, if there is one
+  const ticked = saysCompleted(readiness, { ready: true })
+    ? tickOff(car, readiness, { by: a._sourceSpeaker || '' })
+    : null;
   await car.save();
+  await recordCarChanges(car, before, sourceForAction(a, tctx));
 
   if (tctx && typeof timeline.ready === 'function') {
-    timeline.ready(tctx, `${rego}: readiness → ${readiness}`);
+    timeline.ready(tctx, `${rego}: readiness → ${readiness}${ticked ? ` (✓ ${ticked.text})` : ''}`);
   }
-  return { car, readiness };
+  return { car, readiness, ticked: ticked ? ticked.text : null, change: carUpdateEntry(car, before) };
 }
 
 // ---------------------------------------------------------------------------
@@ -137,35 +172,40 @@ async function setReadinessStatus(a, tctx) {
 // ---------------------------------------------------------------------------
 async function setNextLocation(a, tctx) {
   const rego = normalizeRego(a.rego);
-  const nextLoc = normalize(a.nextLocation);
+  const nextLoc = await canonicalLocation(a.nextLocation);
   if (!rego || !nextLoc) throw new Error('Missing rego or next location');
 
-  const car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+  const car = await Car.findOne({ rego });
   if (!car) throw new Error(`Car ${rego} not found`);
+  const before = snapshot(car);
+  fillVehicleDetails(car, a);
 
   const nexts = Array.isArray(car.nextLocations) ? car.nextLocations : [];
   if (!nexts.includes(nextLoc)) nexts.push(nextLoc);
   car.nextLocations = nexts;
   await car.save();
+  await recordCarChanges(car, before, sourceForAction(a, tctx));
 
   if (tctx && typeof timeline.nextLocation === 'function') {
     timeline.nextLocation(tctx, `${rego}: next → ${nextLoc}`);
   }
-  return { car, nextLoc };
+  return { car, nextLoc, change: carUpdateEntry(car, before) };
 }
 
 // ---------------------------------------------------------------------------
 // ENSURE CAR EXISTS (auto-create + fuzzy match, with optional log bundle)
+// A fuzzy "review" opens a RegoConfirmation and resolves to no car (null,
+// or { car: null, confirmation, logLines } with withLog).
 // ---------------------------------------------------------------------------
 async function ensureCarForAction(base = {}, tctx = null, opts = {}) {
-  const { withLog = false } = opts;
+  const { withLog = false, chatId = null } = opts;
   const logLines = [];
 
-  const rego = (base.rego || '').toUpperCase().replace(/\s+/g, '');
+  const rego = (base.rego || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
   const make = (base.make || '').trim();
   const model = (base.model || '').trim();
   const color =
-    (base.color || '').trim() ||
+    (base.colour || base.color || '').trim() ||
     (base.description || '').split(',')[0]?.trim() ||
     '';
   const year = base.year || '';
@@ -186,7 +226,7 @@ async function ensureCarForAction(base = {}, tctx = null, opts = {}) {
   // 1️⃣ Exact rego match
   let car = null;
   if (rego) {
-    car = await Car.findOne({ rego: new RegExp(`^${rego}$`, 'i') });
+    car = await Car.findOne({ rego });
     if (car) {
       const line = `exact match in DB → ${car.rego} (${car.make || ''} ${car.model || ''})`;
       logLines.push(line);
@@ -194,6 +234,7 @@ async function ensureCarForAction(base = {}, tctx = null, opts = {}) {
         timeline.ensureCar(tctx, line);
       }
       console.log('🚘 REGO RESOLUTION\n' + logLines.map(l => `- ${l}`).join('\n'));
+      await saveVehicleDetails(car, base);
       if (withLog) return { car, logLines };
       return car;
     }
@@ -254,42 +295,106 @@ async function ensureCarForAction(base = {}, tctx = null, opts = {}) {
         timeline.ensureCar(tctx, line);
       }
       console.log('🚘 REGO RESOLUTION\n' + logLines.map(l => `- ${l}`).join('\n'));
+      await saveVehicleDetails(car, base);
       if (withLog) return { car, logLines };
       return car;
     }
     logLines.push('fuzzy suggested car, but lookup by _id failed');
   }
 
-  // 3️⃣ Create new car if none found / fuzzy not strong enough
+  // 3️⃣ Close but not certain → ask a human instead of creating a likely duplicate
+  if (rego && fuzzy && fuzzy.action === 'review' && fuzzy.best?.car?._id) {
+    const confirmation = await openRegoConfirmation(
+      { rego, make, model, badge, year, color, description: desc },
+      fuzzy,
+      chatId
+    );
+    const line = `needs confirmation → ${rego} vs ${confirmation.candidates
+      .map((c) => c.rego)
+      .join(' / ')} (no car created)`;
+    logLines.push(line);
+    if (tctx && typeof timeline.ensureCar === 'function') {
+      timeline.ensureCar(tctx, line);
+    }
+    console.log('🚘 REGO RESOLUTION\n' + logLines.map(l => `- ${l}`).join('\n'));
+    if (withLog) return { car: null, confirmation, logLines };
+    return null;
+  }
+
+  // 4️⃣ Create new car if none found / nothing close enough
+  const newCar = await createCarFromDetails({ ...base, rego, make, model, badge, year, description: desc });
+  const line = `created new car → ${newCar.rego} (${newCar.make || ''} ${newCar.model || ''})`;
+  logLines.push(line);
+
+  if (tctx && typeof timeline.ensureCar === 'function') {
+    timeline.ensureCar(tctx, line);
+  }
+
+  console.log('🚘 REGO RESOLUTION\n' + logLines.map(l => `- ${l}`).join('\n'));
+
+  // `created` lets the caller log the new car in its batch, so /undo deletes it again
+  if (withLog) return { car: newCar, logLines, created: true };
+  return newCar;
+}
+
+async function createCarFromDetails(d = {}) {
   const newCar = new Car({
-    rego,
-    make,
-    model,
-    badge,
-    year,
-    color,
-    description: desc || color,
+    rego: d.rego,
+    make: d.make || '',
+    model: d.model || '',
+    badge: d.badge || '',
+    year: d.year || '',
+    description: d.description || '',
     location: '',
-    stage: 'In Works',
     readinessStatus: '',
     nextLocations: [],
     checklist: [],
     history: [],
     notes: '',
   });
-
+  applyStage(newCar, 'In Works', { initial: true });
+  fillVehicleDetails(newCar, d);
   await newCar.save();
-  const line = `created new car → ${newCar.rego} (${newCar.make || ''} ${newCar.model || ''})`;
-  logLines.push(line);
+  return newCar;
+}
 
-  if (tctx && typeof timeline.ensureCar === 'function') {
-    timeline.ensureCar(tctx, line);
-  }
+// Photo / chat details for an already-known car: fill blanks and log the change
+async function saveVehicleDetails(car, details, source = { kind: 'telegram' }) {
+  const before = snapshot(car);
+  const { changed } = fillVehicleDetails(car, { ...details, _changeSource: source });
+  if (!changed.length) return;
+  await car.save();
+  await recordCarChanges(car, before, source);
+}
 
-  console.log('🚘 REGO RESOLUTION\n' + logLines.map(l => `- ${l}`).join('\n'));
+// One open confirmation per rego: repeat sightings reuse it (candidates refreshed)
+async function openRegoConfirmation(details, fuzzy, chatId) {
+  const candidates = [fuzzy.best, fuzzy.second]
+    .filter((c) => c?.car?._id)
+    .map((c) => ({
+      car: c.car._id,
+      rego: c.plate || c.car.rego || '',
+      make: c.car.make || '',
+      model: c.car.model || '',
+      stage: c.car.stage || '',
+      score: typeof c.score === 'number' ? Number(c.score.toFixed(3)) : null,
+    }));
+
+  const existing = await RegoConfirmation.findOne({ rego: details.rego, status: 'pending' });
+  if (existing) {
+    existing.candidates = candidates;
+    existing.reason = fuzzy.reason || '';
+    await existing.save();
+    return existing;
+  }
 
-  if (withLog) return { car: newCar, logLines };
-  return newCar;
+  return RegoConfirmation.create({
+    rego: details.rego,
+    details,
+    candidates,
+    reason: fuzzy.reason || '',
+    chatId: chatId == null ? '' : String(chatId),
+  });
 }
 
 module.exports = {
@@ -299,4 +404,5 @@ module.exports = {
   setReadinessStatus,
   setNextLocation,
   ensureCarForAction,
+  createCarFromDetails,
 };
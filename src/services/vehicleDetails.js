@@ -0,0 +1,173 @@
+// src/services/vehicleDetails.js
+// Vehicle identity fields on Car (VIN, colour, body, transmission, drive, fuel, engine, odometer).
+// Every source (web, CSV import, photo analysis, chat pipeline) funnels through applyVehicleDetails()
+// so the same spelling ends up in the database whoever typed it.
+
+const { normalizeVin, vinProblem } = require('./vin');
+const { decodeVin, vinMismatches } = require('./vinDecoder');
+
+const VEHICLE_FIELDS = ['vin', 'colour', 'bodyType', 'transmission', 'drive', 'fuel', 'engine'];
+
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+const titleCase = (s) => clean(s).toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+
+function normalizeTransmission(v) {
+  const t = clean(v).toLowerCase();
+  if (!t) return '';
+  if (/manual|\bm\/?t\b|\d\s*-?\s*sp(eed)?\s*man/.test(t)) return 'Manual';
+  if (/auto|\ba\/?t\b|cvt|dct|dsg|tiptronic|sports? ?shift|constantly variable/.test(t)) return 'Automatic';
+  return titleCase(t);
+}
+
+function normalizeDrive(v) {
+  const t = clean(v).toLowerCase();
+  if (!t) return '';
+  if (/4\s*x\s*4|4wd|four wheel/.test(t)) return '4WD';
+  if (/awd|all wheel/.test(t)) return 'AWD';
+  if (/fwd|front/.test(t)) return 'FWD';
+  if (/rwd|rear/.test(t)) return 'RWD';
+  if (/4\s*x\s*2|2wd|two wheel/.test(t)) return '2WD';
+  return clean(v).toUpperCase();
+}
+
+function normalizeFuel(v) {
+  const t = clean(v).toLowerCase();
+  if (!t) return '';
+  if (/plug-?in|phev/.test(t)) return 'Plug-in Hybrid';
+  if (/hybrid/.test(t)) return 'Hybrid';
+  if (/diesel|\bdsl\b|\btd\b/.test(t)) return 'Diesel';
+  if (/electric|\bev\b|\bbev\b/.test(t)) return 'Electric';
+  if (/lpg|gas/.test(t) && !/gasoline/.test(t)) return 'LPG';
+  if (/petrol|unleaded|\bulp\b|\bpulp\b|premium|gasoline/.test(t)) return 'Petrol';
+  return titleCase(t);
+}
+
+const NORMALIZERS = {
+  vin: normalizeVin,
+  colour: titleCase,
+  bodyType: titleCase,
+  transmission: normalizeTransmission,
+  drive: normalizeDrive,
+  fuel: normalizeFuel,
+  engine: clean,
+};
+
+// Chat descriptions lead with the colour ("white, bullbar") but not always
+const COLOURS = [
+  'white', 'black', 'silver', 'grey', 'gray', 'red', 'blue', 'green', 'yellow', 'orange', 'gold',
+  'brown', 'beige', 'bronze', 'maroon', 'purple', 'charcoal', 'gunmetal', 'champagne',
+];
+const COLOUR_RE = new RegExp(`\\b(?:(?:dark|light|pearl|metallic)\\s+)?(?:${COLOURS.join('|')})\\b`, 'i');
+
+/** First colour word in free text ("white ute with canopy" → "White"), or '' */
+function colourFromText(text) {
+  const m = String(text || '').match(COLOUR_RE);
+  return m ? titleCase(m[0].replace(/^gray$/i, 'grey')) : '';
+}
+
+const ODO_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mil: 1e6, million: 1e6 };
+const KM_PER_MILE = 1.609344;
+// number, optional multiplier, optional unit — and no other word stuck to it ("120000xyz")
+const ODO_RE = /(\d+(?:\.\d+)?)\s*(k|thousand|million|mil|m)?\s*(kms?|kilomet(?:er|re)s?|mi|miles?)?(?![\w.])/;
+
+/** "123,456 km" / "123k" / "75,000 miles" / 123456 → km, or null if it isn't a sane reading */
+function parseOdometer(v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) && v >= 0 && v < 2000000 ? Math.round(v) : null;
+  const t = String(v).toLowerCase().replace(/,|(?<=\d) (?=\d{3}\b)/g, '').trim();
+  const m = t.match(ODO_RE);
+  if (!m) return null;
+  const n = Number(m[1]) * (ODO_MULTIPLIERS[m[2]] || 1) * (/^mi/.test(m[3] || '') ? KM_PER_MILE : 1);
+  return n >= 0 && n < 2000000 ? Math.round(n) : null;
+}
+
+/**
+ * Append an odometer reading and keep car.odometer = the most recent one.
+ * The same km as the latest reading isn't stored twice. Returns true if a reading was added.
+ */
+function recordOdometer(car, km, { source = '', at = new Date() } = {}) {
+  const n = parseOdometer(km);
+  if (n === null) return false;
+  if (!Array.isArray(car.odometerReadings)) car.odometerReadings = [];
+
+  const latest = car.odometerReadings[car.odometerReadings.length - 1];
+  if (latest && latest.km === n) return false;
+
+  car.odometerReadings.push({ km: n, readAt: at, source });
+  const newest = [...car.odometerReadings].sort((a, b) => new Date(a.readAt) - new Date(b.readAt)).pop();
+  car.odometer = newest.km;
+  return true;
+}
+
+/**
+ * Copy vehicle details onto a car (document, not saved).
+ * Keys: vin, colour (or color), bodyType (or body), transmission, drive, fuel, engine, odometer.
+ * Blank values are ignored; existing values are only replaced with { overwrite: true }.
+ * An invalid VIN is skipped with a warning, or throws a 400 with { strict: true }.
+ * make / year are never written from details — they are what the source claimed, checked against the VIN.
+ * @returns {{ changed: string[], warnings: string[] }}
+ */
+function applyVehicleDetails(car, details = {}, { overwrite = false, strict = false, source = '', at } = {}) {
+  const d = {
+    ...details,
+    colour: details.colour ?? details.color,
+    bodyType: details.bodyType ?? details.body,
+  };
+  const changed = [];
+  const warnings = [];
+
+  for (const f of VEHICLE_FIELDS) {
+    const value = NORMALIZERS[f](d[f]);
+    if (!value) continue;
+
+    if (f === 'vin') {
+      const problem = vinProblem(value);
+      if (problem) {
+        if (strict) {
+          const err = new Error(problem);
+          err.status = 400;
+          throw err;
+        }
+        warnings.push(`${value}: ${problem}`);
+        continue;
+      }
+    }
+
+    if (car[f] && !overwrite) continue;
+    if (car[f] === value) continue;
+    car[f] = value;
+    changed.push(f);
+  }
+
+  // A (new) VIN fills a blank make/year and flags a make/year the source got wrong
+  if (car.vin && (changed.includes('vin') || d.make || d.year)) {
+    const decoded = decodeVin(car.vin);
+    warnings.push(...vinMismatches(decoded, { make: d.make || car.make, year: d.year || car.year }));
+    if (decoded.make && !car.make) {
+      car.make = decoded.make;
+      changed.push('make');
+    }
+    if (decoded.year && !car.year) {
+      car.year = decoded.year;
+      changed.push('year');
+    }
+  }
+
+  if (d.odometer !== undefined && d.odometer !== '') {
+    if (recordOdometer(car, d.odometer, { source, at })) changed.push('odometer');
+    else if (parseOdometer(d.odometer) === null) warnings.push(`Ignored odometer "${d.odometer}"`);
+  }
+
+  return { changed, warnings };
+}
+
+module.exports = {
+  VEHICLE_FIELDS,
+  normalizeTransmission,
+  normalizeDrive,
+  normalizeFuel,
+  colourFromText,
+  parseOdometer,
+  recordOdometer,
+  applyVehicleDetails,
+};
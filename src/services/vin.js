@@ -0,0 +1,55 @@
+// src/services/vin.js
+// 17-character VINs (ISO 3779): normalising, check digit and validation.
+
+const VIN_RE = /^[A-HJ-NPR-Z0-9]{17}$/; // I, O and Q are never used
+
+// Letter → value used by the check digit (digits are themselves)
+const TRANSLIT = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/** " jtm-hv05j 604 ..." → "JTMHV05J604..." (no other fixes) */
+const normalizeVin = (v) => String(v ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/** Expected 9th character for a VIN (0-9 or X). Assumes a well-formed VIN. */
+function vinCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /\d/.test(ch) ? Number(ch) : TRANSLIT[ch] || 0;
+    sum += value * WEIGHTS[i];
+  }
+  const r = sum % 11;
+  return r === 10 ? 'X' : String(r);
+}
+
+/**
+ * The check digit is only mandatory for North American VINs (WMI 1-5); European and
+ * Japanese makers often put a letter or an unchecked digit there (WVWZZZ1JZ3W386752).
+ */
+const checkDigitRequired = (vin) => /^[1-5]/.test(normalizeVin(vin));
+
+/** null when valid, otherwise a short human reason */
+function vinProblem(input) {
+  const vin = normalizeVin(input);
+  if (vin.length !== 17) return `VIN must be 17 characters (got ${vin.length})`;
+  if (!VIN_RE.test(vin)) return 'VIN cannot contain I, O or Q';
+  if (checkDigitRequired(vin)) {
+    const expected = vinCheckDigit(vin);
+    if (vin[8] !== expected) return `VIN check digit is ${vin[8]}, expected ${expected}`;
+  }
+  return null;
+}
+
+const isValidVin = (input) => vinProblem(input) === null;
+
+module.exports = {
+  normalizeVin,
+  vinCheckDigit,
+  checkDigitRequired,
+  vinProblem,
+  isValidVin,
+};
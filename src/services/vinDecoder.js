@@ -0,0 +1,194 @@
+// src/services/vinDecoder.js
+// Offline VIN decoding: manufacturer (WMI), region and model year. No network lookups,
+// so it only knows what the first three and the tenth characters say — not model/badge.
+
+const { normalizeVin, vinProblem, vinCheckDigit, checkDigitRequired } = require('./vin');
+
+// World Manufacturer Identifier → make. Three-character codes win over two-character prefixes.
+const WMI = {
+  // Toyota / Lexus
+  JT: 'Toyota', JTH: 'Lexus', JTJ: 'Lexus', '6T1': 'Toyota', MR0: 'Toyota', MR1: 'Toyota', MR2: 'Toyota',
+  AHT: 'Toyota', SB1: 'Toyota', '4T1': 'Toyota', '4T3': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota',
+  // Nissan / Infiniti
+  JN: 'Nissan', JNK: 'Infiniti', MNT: 'Nissan', VSK: 'Nissan', SJN: 'Nissan', '1N4': 'Nissan', '5N1': 'Nissan',
+  // Mazda
+  JM: 'Mazda', MM0: 'Mazda', MM6: 'Mazda', MM7: 'Mazda', MM8: 'Mazda',
+  // Mitsubishi
+  JA: 'Mitsubishi', JMB: 'Mitsubishi', JMF: 'Mitsubishi', JMY: 'Mitsubishi', MMA: 'Mitsubishi',
+  MMB: 'Mitsubishi', MMC: 'Mitsubishi', MMT: 'Mitsubishi',
+  // Honda
+  JH: 'Honda', MRH: 'Honda', SHH: 'Honda', SHS: 'Honda', '1HG': 'Honda', '2HG': 'Honda', '5FN': 'Honda',
+  // Subaru
+  JF: 'Subaru', '4S3': 'Subaru', '4S4': 'Subaru',
+  // Suzuki
+  JS: 'Suzuki', MA3: 'Suzuki', TSM: 'Suzuki',
+  // Isuzu
+  JAA: 'Isuzu', JAL: 'Isuzu', MPA: 'Isuzu', MP2: 'Isuzu',
+  // Korea
+  KMH: 'Hyundai', KMF: 'Hyundai', KM8: 'Hyundai', MAL: 'Hyundai', TMA: 'Hyundai', NLH: 'Hyundai',
+  KMT: 'Genesis', KN: 'Kia', U5Y: 'Kia', U6Y: 'Kia', KPT: 'SsangYong',
+  // Holden / GM
+  '6G1': 'Holden', '6G2': 'Holden', '6H8': 'Holden', KL3: 'Holden', '1G1': 'Chevrolet', '1GC': 'Chevrolet',
+  // Ford
+  '6FP': 'Ford', MNA: 'Ford', MNB: 'Ford', WF0: 'Ford', '1FA': 'Ford', '1FM': 'Ford', '1FT': 'Ford',
+  '2FM': 'Ford', '3FA': 'Ford',
+  // Europe
+  WVW: 'Volkswagen', WVG: 'Volkswagen', WV1: 'Volkswagen', WV2: 'Volkswagen', WV3: 'Volkswagen',
+  AAV: 'Volkswagen', WAU: 'Audi', WA1: 'Audi', TRU: 'Audi', WBA: 'BMW', WBS: 'BMW', WBY: 'BMW',
+  WMW: 'Mini', WDB: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDD: 'Mercedes-Benz', WDF: 'Mercedes-Benz',
+  W1K: 'Mercedes-Benz', W1N: 'Mercedes-Benz', W1V: 'Mercedes-Benz', WP0: 'Porsche', WP1: 'Porsche',
+  TMB: 'Skoda', VSS: 'Seat', YV1: 'Volvo', YV4: 'Volvo', SAL: 'Land Rover', SAJ: 'Jaguar',
+  VF1: 'Renault', VF3: 'Peugeot', VF7: 'Citroen', ZFA: 'Fiat', ZAR: 'Alfa Romeo',
+  // North America (other)
+  '1C4': 'Jeep', '1J4': 'Jeep', '1J8': 'Jeep', '2C3': 'Chrysler', '5YJ': 'Tesla', '7SA': 'Tesla',
+  // China
+  LRW: 'Tesla', LSJ: 'MG', LGW: 'GWM', LGX: 'BYD', LVV: 'Chery',
+};
+
+// First character(s) → region of manufacture
+const REGIONS = [
+  [/^J/, 'Japan'],
+  [/^K[L-R]/, 'South Korea'],
+  [/^L/, 'China'],
+  [/^M[A-E]/, 'India'],
+  [/^M[F-K]/, 'Indonesia'],
+  [/^M[L-R]/, 'Thailand'],
+  [/^S[A-M]/, 'United Kingdom'],
+  [/^N[L-R]/, 'Turkey'],
+  [/^T[J-P]/, 'Czech Republic'],
+  [/^T[R-V]/, 'Hungary'],
+  [/^V[F-R]/, 'France'],
+  [/^V[S-W]/, 'Spain'],
+  [/^W/, 'Germany'],
+  [/^Y[A-E]/, 'Belgium'],
+  [/^Y[S-W]/, 'Sweden'],
+  [/^Z/, 'Italy'],
+  [/^[145]/, 'United States'],
+  [/^2/, 'Canada'],
+  [/^3/, 'Mexico'],
+  [/^6/, 'Australia'],
+  [/^7/, 'New Zealand'],
+  [/^9/, 'Brazil'],
+  [/^A[A-H]/, 'South Africa'],
+];
+
+// 10th character → year, on a 30-year cycle (1980 + offset, or 2010 + offset)
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// Japanese and Thai-built cars sold here usually don't encode the year in position 10
+// (build/compliance plates carry it instead), so those only get candidates, not a year.
+const YEAR_CODED = /^([1-7]|K|L|S|T|V|W|Y|Z|A)/;
+
+function lookupMake(vin) {
+  return WMI[vin.slice(0, 3)] || WMI[vin.slice(0, 2)] || '';
+}
+
+function lookupRegion(vin) {
+  const hit = REGIONS.find(([re]) => re.test(vin));
+  return hit ? hit[1] : '';
+}
+
+/**
+ * Model year from the 10th character. Both cycles are candidates; North American VINs
+ * say which one with the 7th character (digit = 1980–2009, letter = 2010–2039),
+ * otherwise the latest year that isn't in the future wins.
+ */
+function decodeModelYear(vin, { now = new Date() } = {}) {
+  const i = YEAR_CODES.indexOf(vin[9]);
+  if (i === -1) return { year: null, candidates: [] };
+
+  const candidates = [1980 + i, 2010 + i];
+  if (!YEAR_CODED.test(vin)) return { year: null, candidates };
+  if (/^[1-5]/.test(vin)) {
+    return { year: /\d/.test(vin[6]) ? candidates[0] : candidates[1], candidates };
+  }
+  const maxYear = now.getFullYear() + 1;
+  const year = [...candidates].reverse().find((y) => y <= maxYear) ?? null;
+  return { year, candidates };
+}
+
+/**
+ * @returns {{ vin, valid, problem, wmi, make, region, year, yearCandidates,
+ *   checkDigit: { actual, expected, ok, required } }}
+ * Decodes even when the check digit is wrong (valid=false) so a typo can still be spotted;
+ * outside North America a wrong check digit is reported (ok=false) but doesn't make it invalid.
+ */
+function decodeVin(input, opts = {}) {
+  const vin = normalizeVin(input);
+  const problem = vinProblem(vin);
+  const wellFormed = vin.length === 17 && !/[IOQ]/.test(vin);
+
+  const { year, candidates } = wellFormed ? decodeModelYear(vin, opts) : { year: null, candidates: [] };
+  const expected = wellFormed ? vinCheckDigit(vin) : null;
+
+  return {
+    vin,
+    valid: !problem,
+    problem,
+    wmi: vin.slice(0, 3),
+    make: wellFormed ? lookupMake(vin) : '',
+    region: wellFormed ? lookupRegion(vin) : '',
+    year,
+    yearCandidates: candidates,
+    checkDigit: {
+      actual: vin[8] || null,
+      expected,
+      ok: !!expected && vin[8] === expected,
+      required: wellFormed && checkDigitRequired(vin),
+    },
+  };
+}
+
+// Yard shorthand / common spellings → the make as WMI names it (both in makeKey form)
+const MAKE_ALIASES = {
+  vw: 'volkswagen',
+  volkswagon: 'volkswagen',
+  vdub: 'volkswagen',
+  merc: 'mercedesbenz',
+  mercedes: 'mercedesbenz',
+  benz: 'mercedesbenz',
+  chev: 'chevrolet',
+  chevy: 'chevrolet',
+  landy: 'landrover',
+  rangerover: 'landrover',
+  beemer: 'bmw',
+  bimmer: 'bmw',
+  alfa: 'alfaromeo',
+  mitsi: 'mitsubishi',
+  mitsu: 'mitsubishi',
+  subie: 'subaru',
+  greatwall: 'gwm',
+  haval: 'gwm',
+  ssang: 'ssangyong',
+};
+
+const makeKey = (s) => {
+  const k = String(s || '').normalize('NFD').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return MAKE_ALIASES[k] || k;
+};
+
+/**
+ * Differences between a decoded VIN and what a source claimed ({ make, year }).
+ * Model year and build/compliance year are often a year apart, so only bigger gaps count.
+ * @returns {string[]} human-readable mismatch notes (empty when they agree or nothing to compare)
+ */
+function vinMismatches(decoded, { make, year } = {}) {
+  const out = [];
+  const a = makeKey(decoded?.make);
+  const b = makeKey(make);
+  if (a && b && !a.includes(b) && !b.includes(a)) {
+    out.push(`VIN ${decoded.vin} is a ${decoded.make}, not ${make}`);
+  }
+  const y = Number(year);
+  if (decoded?.year && Number.isInteger(y) && y > 0 && Math.abs(decoded.year - y) > 1) {
+    out.push(`VIN ${decoded.vin} says model year ${decoded.year}, not ${y}`);
+  }
+  return out;
+}
+
+module.exports = {
+  WMI,
+  decodeVin,
+  decodeModelYear,
+  vinMismatches,
+};
@@ -0,0 +1,438 @@
+// src/services/webhooks.js
+// Outbound webhooks: car / appointment events POSTed as signed JSON to subscribed URLs
+// (models/Webhook.js, admin routes in routes/webhooks.js).
+//
+// Every event is stored as one WebhookDelivery per matching webhook, sent straight away and,
+// when that fails (network error, timeout, non-2xx), retried with exponential backoff by the
+// webhook-deliveries job (services/scheduler.js) until MAX_ATTEMPTS is reached.
+//
+// Request:
+//   POST <url>   body: { id, event, createdAt, data }   (id = delivery id, same on redelivery)
+//   X-Crai-Event, X-Crai-Delivery, X-Crai-Timestamp (unix seconds)
+//   X-Crai-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret>
+//
+// Events come from webhookEventsPlugin on the models, so they fire whichever route, updater
+// or bot made the change.
+//
+// URLs on local / private addresses are refused when saved and again (after DNS) when sending,
+// unless the host is listed in WEBHOOK_ALLOW_HOSTS.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { defineJob } = require('./scheduler');
+
+const WEBHOOK_EVENTS = [
+  'car.created',
+  'car.stage_changed',
+  'car.sold',
+  'car.location_changed',
+  'appointment.created',
+  'recon.completed',
+];
+const TEST_EVENT = 'ping'; // POST /api/webhooks/:id/test only
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 30_000; // 30s, 1m, 2m, 4m … (~1h over 8 attempts)
+const TIMEOUT_MS = 10_000;
+const SEND_LOCK_MS = 60_000; // a delivery stuck in "sending" (crash) is retried after this
+const BATCH_SIZE = 50;
+const MAX_RESPONSE_CHARS = 1000;
+const QUEUED = ['pending', 'retrying', 'sending'];
+// hosts allowed even though they're local / private, e.g. WEBHOOK_ALLOW_HOSTS=hooks.internal,10.0.0.5
+const ALLOW_HOSTS = new Set(
+  String(process.env.WEBHOOK_ALLOW_HOSTS || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean)
+);
+
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+const newSecret = () => crypto.randomBytes(24).toString('hex');
+
+/** "sha256=<hex>" over `${timestamp}.${body}` — what receivers recompute to verify */
+function sign(secret, timestamp, body) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${mac}`;
+}
+
+/* ---------------- targets ---------------- */
+
+/** Unspecified, loopback, link-local, private / CGNAT or unique-local (v4, v6, v4-mapped v6) */
+function isPrivateAddress(ip) {
+  let a = String(ip).toLowerCase();
+  // ::ffff:127.0.0.1, which URL() writes as ::ffff:7f00:1
+  const mapped = a.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const [hi, lo] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    a = mapped[1] || [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+  }
+  if (net.isIPv4(a)) {
+    const [x, y] = a.split('.').map(Number);
+    return (
+      x === 0 || x === 10 || x === 127 ||
+      (x === 169 && y === 254) ||
+      (x === 172 && y >= 16 && y <= 31) ||
+      (x === 192 && y === 168) ||
+      (x === 100 && y >= 64 && y <= 127)
+    );
+  }
+  if (net.isIPv6(a)) return a === '::' || a === '::1' || /^f[cd]/.test(a) || /^fe[89ab]/.test(a);
+  return false;
+}
+
+const bareHost = (hostname) => String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+const blockedMessage = (host) => `${host} is a local or private address (allow it with WEBHOOK_ALLOW_HOSTS)`;
+
+/**
+ * Why a URL's host can't be a webhook target, or '' when it can. Only the host as written is
+ * checked (localhost, IP literals); names are resolved and checked again when sending.
+ */
+function hostProblem(hostname) {
+  const host = bareHost(hostname);
+  if (ALLOW_HOSTS.has(host)) return '';
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) return blockedMessage(host);
+  return '';
+}
+
+/** hostProblem, plus every address the name resolves to right now */
+async function targetProblem(url) {
+  const host = bareHost(new URL(url).hostname);
+  const problem = hostProblem(host);
+  if (problem || ALLOW_HOSTS.has(host) || net.isIP(host)) return problem;
+  try {
+    const addresses = await dns.lookup(host, { all: true });
+    return addresses.some((a) => isPrivateAddress(a.address)) ? blockedMessage(host) : '';
+  } catch (e) {
+    return `Couldn't resolve ${host}: ${e.code || e.message}`;
+  }
+}
+
+/* ---------------- sending ---------------- */
+
+async function post(hook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const result = { statusCode: null, error: '', responseBody: '' };
+
+  result.error = await targetProblem(hook.url);
+  if (result.error) return { ...result, durationMs: 0 };
+
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'crai-webhooks/1',
+        'X-Crai-Event': delivery.event,
+        'X-Crai-Delivery': String(delivery._id),
+        'X-Crai-Timestamp': String(timestamp),
+        'X-Crai-Signature': sign(hook.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    result.statusCode = res.status;
+    result.responseBody = (await res.text().catch(() => '')).slice(0, MAX_RESPONSE_CHARS);
+    if (!res.ok) result.error = `HTTP ${res.status}`;
+  } catch (e) {
+    result.error = e.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS / 1000}s` : e.cause?.message || e.message;
+  }
+
+  result.durationMs = Date.now() - started;
+  return result;
+}
+
+/**
+ * Send one delivery now. Automatic attempts only claim a delivery that is due; `manual`
+ * (redeliver) sends it whatever its state unless it's being sent right now, and a failed manual
+ * attempt leaves any automatic retries where they were.
+ * @returns {Promise<object|null>} the updated delivery, null if it wasn't due / is being sent / doesn't exist
+ */
+async function attemptDelivery(id, { manual = false, now = new Date() } = {}) {
+  const filter = manual
+    ? { _id: id, $or: [{ status: { $ne: 'sending' } }, { nextAttemptAt: { $lte: now } }] }
+    : { _id: id, status: { $in: QUEUED }, nextAttemptAt: { $lte: now } };
+  // the state before this claim: a failed manual attempt restores its retry schedule
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    filter,
+    { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + SEND_LOCK_MS) } },
+    { new: false }
+  );
+  if (!delivery) return null;
+
+  const hook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+  let result;
+  if (!hook) result = { statusCode: null, error: 'Webhook was deleted', durationMs: 0 };
+  else if (!hook.active && !manual) result = { statusCode: null, error: 'Webhook is disabled', durationMs: 0 };
+  else result = await post(hook, delivery);
+
+  const ok = !result.error;
+  const automatic = delivery.attempts.filter((a) => !a.manual).length + (manual ? 0 : 1);
+  const giveUp = ok || !hook || (!manual && (!hook.active || automatic >= MAX_ATTEMPTS));
+
+  let status = ok ? 'success' : 'failed';
+  let nextAttemptAt = null;
+  if (!giveUp && !manual) {
+    status = 'retrying';
+    nextAttemptAt = new Date(Date.now() + retryDelay(automatic));
+  } else if (!giveUp && QUEUED.includes(delivery.status) && delivery.nextAttemptAt) {
+    // a stale "sending" claim (crash) was due for its retry anyway
+    status = delivery.status === 'sending' ? 'retrying' : delivery.status;
+    nextAttemptAt = delivery.status === 'sending' ? now : delivery.nextAttemptAt;
+  }
+
+  const set = {
+    status,
+    nextAttemptAt,
+    lastStatusCode: result.statusCode,
+    lastError: result.error,
+  };
+  if (result.responseBody !== undefined) set.responseBody = result.responseBody;
+  if (ok) set.deliveredAt = new Date();
+
+  const attempt = {
+    at: now,
+    statusCode: result.statusCode,
+    error: result.error,
+    durationMs: result.durationMs,
+    manual,
+  };
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: set, $push: { attempts: attempt } }, { new: true }).lean();
+}
+
+function sendInBackground(ids) {
+  for (const id of ids) {
+    setImmediate(() => {
+      attemptDelivery(id).catch((e) => console.warn(`[webhooks] delivery ${id} failed:`, e.message));
+    });
+  }
+}
+
+function deliveryDocs(hooks, event, data) {
+  const createdAt = new Date().toISOString();
+  return hooks.map((h) => {
+    const _id = new mongoose.Types.ObjectId();
+    return { _id, webhook: h._id, event, payload: { id: String(_id), event, createdAt, data } };
+  });
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it and start sending.
+ * Never throws (called from model hooks); returns the delivery ids.
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const hooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } }).select('_id').lean();
+    if (!hooks.length) return [];
+    const docs = deliveryDocs(hooks, event, data);
+    await WebhookDelivery.insertMany(docs);
+    const ids = docs.map((d) => d._id);
+    sendInBackground(ids);
+    return ids;
+  } catch (e) {
+    console.warn(`[webhooks] couldn't queue ${event}:`, e.message);
+    return [];
+  }
+}
+
+/** POST a "ping" to one webhook (active or not) and wait for the result */
+async function sendTestEvent(hook, { by = '' } = {}) {
+  const [doc] = deliveryDocs([hook], TEST_EVENT, { webhook: String(hook._id), name: hook.name, by });
+  await WebhookDelivery.create({ ...doc, nextAttemptAt: null }); // never retried automatically
+  return attemptDelivery(doc._id, { manual: true });
+}
+
+/** Send a delivery again now (same payload and id), e.g. after fixing the receiver */
+async function redeliver(deliveryId) {
+  const delivery = await attemptDelivery(deliveryId, { manual: true });
+  if (!delivery) {
+    const exists = await WebhookDelivery.exists({ _id: deliveryId });
+    const err = new Error(exists ? 'Delivery is being sent right now; try again shortly' : 'Delivery not found');
+    err.status = exists ? 409 : 404;
+    throw err;
+  }
+  return delivery;
+}
+
+/** Retry every due delivery (oldest first) */
+async function processDueDeliveries({ now = new Date() } = {}) {
+  const due = await WebhookDelivery.find({
+    status: { $in: QUEUED },
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  for (const { _id } of due) {
+    const d = await attemptDelivery(_id, { now });
+    if (!d) continue;
+    if (d.status === 'success') counts.sent += 1;
+    else if (d.status === 'retrying') counts.retrying += 1;
+    else counts.failed += 1;
+  }
+  return { due: due.length, ...counts };
+}
+
+function registerWebhookJobs() {
+  defineJob({
+    name: 'webhook-deliveries',
+    everyMs: 30_000,
+    run: ({ now }) => processDueDeliveries({ now }),
+  });
+  return true;
+}
+
+/* ---------------- events from models ---------------- */
+
+const idOf = (v) => (v ? String(v._id || v) : null);
+
+const carData = (car) => ({
+  id: idOf(car),
+  rego: car.rego,
+  make: car.make || '',
+  model: car.model || '',
+  badge: car.badge || '',
+  year: car.year ?? null,
+  vin: car.vin || '',
+  colour: car.colour || '',
+  odometer: car.odometer ?? null,
+  stage: car.stage || '',
+  location: car.location || '',
+  advertisedPrice: car.advertisedPrice ?? null,
+});
+
+const appointmentData = (appt) => ({
+  kind: 'customer',
+  id: idOf(appt),
+  name: appt.name,
+  dateTime: appt.dateTime || '',
+  scheduledAt: appt.scheduledAt || null,
+  allDay: !!appt.allDay,
+  isDelivery: !!appt.isDelivery,
+  isFollowUp: !!appt.isFollowUp,
+  car: idOf(appt.car),
+  carText: appt.carText || '',
+  notes: appt.notes || '',
+});
+
+const reconData = (appt) => ({
+  kind: 'recon',
+  id: idOf(appt),
+  name: appt.name,
+  category: idOf(appt.category),
+  dateTime: appt.dateTime || '',
+  scheduledAt: appt.scheduledAt || null,
+  cars: (appt.cars || []).map((e) => ({ car: idOf(e.car), carText: e.carText || '', status: e.status })),
+});
+
+// what each model remembers when loaded, and which events a save turns that into
+const SOURCES = {
+  car: {
+    snapshot: (car) => ({ stage: car.stage || '', location: car.location || '' }),
+    events(car, before) {
+      const data = carData(car);
+      if (!before) return [['car.created', data]];
+
+      const out = [];
+      if (data.stage !== before.stage) {
+        out.push(['car.stage_changed', { ...data, from: before.stage || null, to: data.stage }]);
+        if (data.stage === 'Sold') {
+          out.push(['car.sold', { ...data, soldAt: car.soldAt || null, salePrice: car.salePrice ?? null }]);
+        }
+      }
+      if (data.location !== before.location) {
+        out.push(['car.location_changed', { ...data, from: before.location || null, to: data.location }]);
+      }
+      return out;
+    },
+  },
+
+  customerAppointment: {
+    snapshot: () => ({}),
+    events: (appt, before) => (before ? [] : [['appointment.created', appointmentData(appt)]]),
+  },
+
+  // recon.completed: a car's work on the appointment was marked done (services/reconQuotes.js)
+  reconAppointment: {
+    snapshot: (appt) => ({ done: (appt.cars || []).filter((e) => e.status === 'done').map((e) => String(e._id)) }),
+    events(appt, before) {
+      const out = before ? [] : [['appointment.created', reconData(appt)]];
+      const wasDone = new Set(before?.done || []);
+      for (const e of appt.cars || []) {
+        if (e.status !== 'done' || wasDone.has(String(e._id))) continue;
+        out.push([
+          'recon.completed',
+          {
+            appointment: idOf(appt),
+            name: appt.name,
+            category: idOf(appt.category),
+            entry: String(e._id),
+            car: idOf(e.car),
+            carText: e.carText || '',
+            actualCost: e.actualCost ?? null,
+            approvedCost: e.approvedCost ?? null,
+            completedAt: e.completedAt || null,
+          },
+        ]);
+      }
+      return out;
+    },
+  },
+};
+
+/**
+ * schema.plugin(webhookEventsPlugin, { source: 'car' })
+ * Diffs a document against what it looked like when loaded, after each save. Only
+ * document saves are seen — query updates (updateMany, bulkWrite) send no webhooks.
+ */
+function webhookEventsPlugin(schema, { source }) {
+  const def = SOURCES[source];
+  if (!def) throw new Error(`Unknown webhook source: ${source}`);
+
+  schema.post('init', function rememberForWebhooks(doc) {
+    doc.$locals.webhookBefore = def.snapshot(doc);
+  });
+
+  schema.pre('save', function markCreated(next) {
+    this.$locals.webhookCreated = this.isNew;
+    next();
+  });
+
+  schema.post('save', function emitWebhooks(doc) {
+    const created = !!doc.$locals.webhookCreated;
+    const before = created ? null : doc.$locals.webhookBefore;
+    if (!created && !before) return; // not loaded from the db: nothing to diff against
+
+    let events = [];
+    try {
+      events = def.events(doc, before);
+    } catch (e) {
+      console.warn(`[webhooks] ${source} events failed:`, e.message);
+    }
+    doc.$locals.webhookBefore = def.snapshot(doc); // a later save diffs against this one
+    for (const [event, data] of events) emitWebhookEvent(event, data);
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  retryDelay,
+  newSecret,
+  sign,
+  emitWebhookEvent,
+  hostProblem,
+  attemptDelivery,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries,
+  registerWebhookJobs,
+  webhookEventsPlugin,
+};